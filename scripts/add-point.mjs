@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/*
+  VBH Tracker manual price point
+
+  Prompts for a price point (a Grailed or eBay sale, a price seen in a shop, …), validates it and
+  appends it to supplementary-points.json:
+
+    node scripts/add-point.mjs
+    node scripts/add-point.mjs --source grailed --date 2026-02-10 --amount 140 --currency USD --url https://… [--yes]
+
+  Every field can be given as a flag (--product, --source, --date, --kind, --amount, --currency,
+  --shipping, --url, --listing-id, --title, --condition); only the missing ones are asked for. With
+  --yes nothing is asked: missing or invalid fields are an error. The point is checked against
+  schemas/supplementary-point.schema.json and the existing entries (duplicates are refused) before
+  it is written. Run update:data afterwards to merge it into the series.
+*/
+
+import readline from 'node:readline';
+
+import { loadTrackedProducts } from './lib/products.mjs';
+import { loadSupplementaryPoints, saveSupplementaryPoints } from './lib/supplementary.mjs';
+import { checkSupplementaryPoint, describePoint, findDuplicatePoints } from './lib/validate.mjs';
+import { SOURCE_ADAPTERS, adapterUrl, getAdapter } from './sources/index.mjs';
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const positiveNumber = (value) => {
+  const n = Number(value);
+  if (!(n > 0)) throw new Error(`expected a positive number, got "${value}"`);
+  return n;
+};
+
+/**
+ * The questions, in order. `check` turns the answer into the field value or throws the reason it is
+ * invalid; `fallback` is the default offered (and used for an empty answer). The full point is
+ * checked against the schema once every field is in.
+ */
+function fields(products) {
+  const productFor = (answers) => products.find((p) => p.id === answers.product) ?? products[0];
+  return [
+    {
+      name: 'product',
+      label: `Product (${products.map((p) => p.id).join(', ')})`,
+      fallback: () => products[0].id,
+      check: (v) => {
+        if (!products.some((p) => p.id === v)) throw new Error(`unknown product "${v}"`);
+        return v;
+      }
+    },
+    {
+      name: 'source',
+      label: `Source (${SOURCE_ADAPTERS.map((a) => a.id).join(', ')})`,
+      fallback: () => SOURCE_ADAPTERS.find((a) => a.role === 'resale')?.id,
+      check: (v) => {
+        if (!getAdapter(v)) throw new Error(`unknown source "${v}"`);
+        return v;
+      }
+    },
+    {
+      name: 'date',
+      label: 'Date sold or seen (YYYY-MM-DD)',
+      fallback: today,
+      check: (v) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(v) || Number.isNaN(Date.parse(v))) throw new Error(`expected a date (YYYY-MM-DD), got "${v}"`);
+        if (v > today()) throw new Error(`${v} is in the future`);
+        return v;
+      }
+    },
+    {
+      name: 'kind',
+      label: 'Kind (sale, msrp)',
+      fallback: () => 'sale',
+      check: (v) => {
+        if (v !== 'sale' && v !== 'msrp') throw new Error('expected sale or msrp');
+        return v;
+      }
+    },
+    { name: 'amount', label: 'Price', check: positiveNumber },
+    {
+      name: 'currency',
+      label: 'Currency',
+      fallback: (answers) => getAdapter(answers.source)?.currency ?? 'USD',
+      check: (v) => {
+        if (!/^[a-z]{3}$/i.test(v)) throw new Error(`expected a 3-letter currency code, got "${v}"`);
+        return v.toUpperCase();
+      }
+    },
+    {
+      name: 'shipping',
+      label: 'Shipping (empty if none quoted)',
+      optional: true,
+      check: (v) => {
+        const n = Number(v);
+        if (!(n >= 0)) throw new Error(`expected a number, got "${v}"`);
+        return n;
+      }
+    },
+    {
+      name: 'url',
+      label: 'Listing or page URL',
+      fallback: (answers) => {
+        const adapter = getAdapter(answers.source);
+        return adapter ? adapterUrl(adapter, productFor(answers)) : undefined;
+      },
+      check: (v) => {
+        if (!/^https?:\/\//.test(v)) throw new Error(`expected an http(s) URL, got "${v}"`);
+        return v;
+      }
+    },
+    { name: 'listing-id', label: 'Listing id (empty if unknown)', optional: true, check: (v) => v },
+    { name: 'title', label: 'Listing title', when: (answers) => answers['listing-id'], check: (v) => v },
+    { name: 'condition', label: 'Condition (empty if unknown)', optional: true, when: (answers) => answers['listing-id'], check: (v) => v }
+  ];
+}
+
+/** Line-by-line prompts that also work with piped input (readline's question() drops buffered lines). */
+function createPrompt() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+  const lines = rl[Symbol.asyncIterator]();
+  return {
+    async question(text) {
+      process.stdout.write(text);
+      const { value, done } = await lines.next();
+      if (done) throw new Error('\nInput ended; nothing added.');
+      return value;
+    },
+    close: () => rl.close()
+  };
+}
+
+function buildPoint(a, defaultProductId) {
+  const point = {
+    ...(a.product !== defaultProductId ? { productId: a.product } : {}),
+    date: a.date,
+    kind: a.kind,
+    price: { amount: a.amount, currency: a.currency },
+    ...(a.shipping != null ? { shipping: { amount: a.shipping, currency: a.currency } } : {}),
+    sourceId: a.source,
+    url: a.url
+  };
+  if (a['listing-id']) {
+    point.listing = { id: a['listing-id'], title: a.title, ...(a.condition ? { condition: a.condition } : {}) };
+  }
+  return point;
+}
+
+async function main() {
+  const products = await loadTrackedProducts();
+  const assumeYes = process.argv.includes('--yes');
+  const rl = assumeYes ? null : createPrompt();
+
+  try {
+    const answers = {};
+    for (const field of fields(products)) {
+      if (field.when && !field.when(answers)) continue;
+      const fallback = field.fallback?.(answers);
+      let raw = argValue(`--${field.name}`);
+      for (;;) {
+        if (raw == null && rl) {
+          const answer = (await rl.question(`${field.label}${fallback ? ` [${fallback}]` : ''}: `)).trim();
+          raw = answer || undefined;
+        }
+        raw ??= fallback;
+        if (raw == null || raw === '') {
+          if (field.optional) break;
+          if (!rl) throw new Error(`--${field.name} is required`);
+          console.log(`  ${field.name} is required`);
+          continue;
+        }
+        try {
+          answers[field.name] = field.check(String(raw));
+          break;
+        } catch (e) {
+          if (!rl) throw new Error(`--${field.name}: ${e.message}`);
+          console.log(`  ${e.message}`);
+          raw = undefined;
+        }
+      }
+    }
+
+    const point = buildPoint(answers, products[0].id);
+    const reasons = checkSupplementaryPoint(point, { products, sourceIds: SOURCE_ADAPTERS.map((a) => a.id) });
+    if (reasons.length > 0) throw new Error(`Not added, the point is invalid:\n  ${reasons.join('\n  ')}`);
+
+    const points = await loadSupplementaryPoints();
+    const duplicate = findDuplicatePoints([...points, point], products[0].id).find((d) => d.index === points.length);
+    if (duplicate) throw new Error(`Not added, already in supplementary-points.json as #${duplicate.of} (${describePoint(points[duplicate.of])}).`);
+
+    console.log(JSON.stringify(point, null, 2));
+    if (rl && !/^y(es)?$/i.test((await rl.question('Add this point? [y/N] ')).trim())) {
+      console.log('Nothing added.');
+      return;
+    }
+    await saveSupplementaryPoints([...points, point]);
+    console.log(`Added ${describePoint(point)}. Run npm run update:data to merge it into the series.`);
+  } finally {
+    rl?.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(err?.message || err);
+  process.exit(1);
+});
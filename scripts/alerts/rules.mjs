@@ -0,0 +1,138 @@
+/*
+  Alert rules, evaluated against the previous and the newly built series of one product.
+
+  Each rule in alerts.json has an `id`, a `type` (one of RULES below), an optional `product`
+  (product id; all products when omitted) and type-specific settings. Only accepted points of the
+  new series are considered, so flagged outliers and rejected points never alert. Every alert carries a
+  `key` that identifies the event, so the same event never fires twice (see state.mjs).
+*/
+
+import { pointKey } from '../lib/points.mjs';
+
+/** Amount of a point in `currency`: the original price when it matches, else its CAD conversion for CAD. */
+function amountIn(p, currency) {
+  if (p.price.currency === currency) return p.price.amount;
+  if (currency === 'CAD') return p.priceCad?.amount ?? null;
+  return null;
+}
+
+function sourceIdsWithRole(series, role) {
+  return new Set(series.sources.filter((s) => s.role === role).map((s) => s.id));
+}
+
+/** Latest point per retail source for a kind. */
+function latestRetail(series, kind) {
+  const retail = sourceIdsWithRole(series, 'retail');
+  const latest = new Map();
+  for (const p of series.series) {
+    if (!retail.has(p.sourceId) || p.kind !== kind) continue;
+    const prev = latest.get(p.sourceId);
+    if (!prev || p.date >= prev.date) latest.set(p.sourceId, p);
+  }
+  return [...latest.values()];
+}
+
+function sourceName(series, sourceId) {
+  return series.sources.find((s) => s.id === sourceId)?.name ?? sourceId;
+}
+
+function productLabel(series) {
+  return `${series.product.name} (${series.product.color})`;
+}
+
+function money(amount, currency) {
+  return `${amount.toFixed(2)} ${currency}`;
+}
+
+export const RULES = {
+  /** Current retail price at or below `below` (in `currency`, default CAD). */
+  'retail-below'(rule, { next }) {
+    const currency = rule.currency || 'CAD';
+    return latestRetail(next, 'sale')
+      .filter((p) => {
+        const amount = amountIn(p, currency);
+        return amount != null && amount <= rule.below;
+      })
+      .map((p) => ({
+        key: `${rule.id}|${next.product.id}|${p.sourceId}|${p.price.amount}|${p.price.currency}`,
+        title: `${productLabel(next)} is ${money(amountIn(p, currency), currency)} at ${sourceName(next, p.sourceId)}`,
+        message: `Retail price is at or below your ${money(rule.below, currency)} threshold (seen ${p.date}).`,
+        url: p.url,
+        date: p.date
+      }));
+  },
+
+  /** A resale point that wasn't in the previous series, at or below `below`. */
+  'resale-below'(rule, { previous, next }) {
+    const currency = rule.currency || 'CAD';
+    const resale = sourceIdsWithRole(next, 'resale');
+    const known = new Set((previous?.series ?? []).map(pointKey));
+    return next.series
+      .filter((p) => resale.has(p.sourceId) && !known.has(pointKey(p)))
+      .filter((p) => {
+        const amount = amountIn(p, currency);
+        return amount != null && amount <= rule.below;
+      })
+      .map((p) => ({
+        key: `${rule.id}|${next.product.id}|${pointKey(p)}`,
+        title: `${productLabel(next)} listed at ${money(amountIn(p, currency), currency)} on ${sourceName(next, p.sourceId)}`,
+        message: `${p.listing?.title ?? 'New resale observation'} (${p.date}) is at or below your ${money(rule.below, currency)} threshold.`,
+        url: p.url,
+        date: p.date
+      }));
+  },
+
+  /** Retail sale price at least `minPercent` below the MSRP recorded for the same date. */
+  'msrp-gap'(rule, { next }) {
+    const minPercent = rule.minPercent ?? 0;
+    const alerts = [];
+    for (const msrp of latestRetail(next, 'msrp')) {
+      const sale = next.series.find((p) => p.sourceId === msrp.sourceId && p.kind === 'sale' && p.date === msrp.date);
+      if (!sale || sale.price.currency !== msrp.price.currency) continue;
+      const gap = ((msrp.price.amount - sale.price.amount) / msrp.price.amount) * 100;
+      if (gap < minPercent || gap <= 0) continue;
+      alerts.push({
+        key: `${rule.id}|${next.product.id}|${msrp.sourceId}|${msrp.price.amount}|${sale.price.amount}`,
+        title: `${productLabel(next)} is ${gap.toFixed(0)}% off at ${sourceName(next, msrp.sourceId)}`,
+        message: `${money(sale.price.amount, sale.price.currency)} vs MSRP ${money(msrp.price.amount, msrp.price.currency)} (seen ${sale.date}).`,
+        url: sale.url,
+        date: sale.date
+      });
+    }
+    return alerts;
+  },
+
+  /** A source has points for the product for the first time. */
+  'new-source'(rule, { previous, next }) {
+    const before = new Set((previous?.series ?? []).map((p) => p.sourceId));
+    const after = new Set(next.series.map((p) => p.sourceId));
+    return [...after]
+      .filter((sourceId) => !before.has(sourceId))
+      .map((sourceId) => {
+        const first = next.series.find((p) => p.sourceId === sourceId);
+        return {
+          key: `${rule.id}|${next.product.id}|${sourceId}`,
+          title: `New source for ${productLabel(next)}: ${sourceName(next, sourceId)}`,
+          message: `First observation: ${money(first.price.amount, first.price.currency)} on ${first.date}.`,
+          url: first.url,
+          date: first.date
+        };
+      });
+  }
+};
+
+/** Evaluate every applicable rule for one product. Returns alerts tagged with ruleId and productId. */
+export function evaluateRules(rules, { previous, next: built }) {
+  // points from before outlier review have no status and count as accepted
+  const next = { ...built, series: built.series.filter((p) => !p.status || p.status === 'accepted') };
+  const alerts = [];
+  for (const rule of rules) {
+    if (rule.product && rule.product !== next.product.id) continue;
+    const evaluate = RULES[rule.type];
+    if (!evaluate) throw new Error(`Unknown alert rule type "${rule.type}" (rule ${rule.id})`);
+    for (const alert of evaluate(rule, { previous, next })) {
+      alerts.push({ ruleId: rule.id, productId: next.product.id, ...alert });
+    }
+  }
+  return alerts;
+}
@@ -0,0 +1,34 @@
+/*
+  Sends one email per run via SMTP. Recipients come from `to` in alerts.json; the server and
+  credentials from SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS and ALERT_EMAIL_FROM.
+*/
+
+import { formatAlert } from './format.mjs';
+
+/** @type {import('./index.mjs').AlertSink} */
+export default {
+  type: 'email',
+  notifies: true,
+  missingConfig(config) {
+    if (!config.to || config.to.length === 0) return 'no "to" recipients set';
+    if (!process.env.SMTP_HOST) return 'SMTP_HOST is not set';
+    return null;
+  },
+  async send(alerts, config) {
+    // only needed when the email sink is configured
+    const { default: nodemailer } = await import('nodemailer');
+    const port = Number(process.env.SMTP_PORT || 587);
+    const transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    await transport.sendMail({
+      from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+      to: [].concat(config.to).join(', '),
+      subject: alerts.length === 1 ? `[VBH Tracker] ${alerts[0].title}` : `[VBH Tracker] ${alerts.length} price alerts`,
+      text: alerts.map(formatAlert).join('\n\n')
+    });
+  }
+};
@@ -0,0 +1,19 @@
+/*
+  Appends alerts as JSON lines to a local file (`path`, relative to the repo root).
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/** @type {import('./index.mjs').AlertSink} */
+export default {
+  type: 'file',
+  notifies: false,
+  missingConfig: (config) => (config.path ? null : 'no "path" set'),
+  async send(alerts, config) {
+    const out = path.resolve(process.cwd(), config.path);
+    await fs.mkdir(path.dirname(out), { recursive: true });
+    const firedAt = new Date().toISOString();
+    await fs.appendFile(out, alerts.map((a) => JSON.stringify({ firedAt, ...a })).join('\n') + '\n', 'utf8');
+  }
+};
@@ -0,0 +1,4 @@
+/** Plain-text rendering shared by the text-based sinks. */
+export function formatAlert(alert) {
+  return [alert.title, alert.message, alert.url].filter(Boolean).join('\n');
+}
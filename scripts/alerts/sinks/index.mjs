@@ -0,0 +1,62 @@
+/*
+  Alert sinks. Each module's default export is an AlertSink; register new ones in SINKS.
+  Secrets (webhook URL, SMTP credentials) come from env vars, never from alerts.json.
+  Only sinks that reach someone (`notifies`) count as delivering an alert; stdout and file are logs.
+*/
+
+import email from './email.mjs';
+import file from './file.mjs';
+import stdout from './stdout.mjs';
+import webhook from './webhook.mjs';
+
+/**
+ * @typedef {object} Alert
+ * @property {string} key unique id of the event (used to remember fired alerts)
+ * @property {string} ruleId
+ * @property {string} productId
+ * @property {string} title
+ * @property {string} message
+ * @property {string} [url]
+ * @property {string} [date]
+ */
+
+/**
+ * @typedef {object} AlertSink
+ * @property {string} type matches `type` in the sinks section of alerts.json
+ * @property {boolean} notifies whether a send reaches a person (webhook, email) rather than a log
+ * @property {(config: object) => string | null} missingConfig why the sink can't run (e.g. a secret isn't set), or null
+ * @property {(alerts: Alert[], config: object) => Promise<void>} send
+ */
+
+/** @type {Record<string, AlertSink>} */
+export const SINKS = Object.fromEntries([stdout, file, webhook, email].map((s) => [s.type, s]));
+
+/**
+ * Sends `alerts` to every configured sink, logging the ones skipped or failing, and returns how
+ * each went: [{ type, status: 'sent' | 'skipped' | 'failed', notifies }].
+ */
+export async function deliverAlerts(alerts, sinkConfigs, sinks = SINKS) {
+  const results = [];
+  for (const sinkConfig of sinkConfigs) {
+    const sink = sinks[sinkConfig.type];
+    if (!sink) {
+      console.warn(`Unknown alert sink "${sinkConfig.type}" (skipping).`);
+      results.push({ type: sinkConfig.type, status: 'skipped', notifies: false });
+      continue;
+    }
+    const missing = sink.missingConfig(sinkConfig);
+    if (missing) {
+      console.log(`Alert sink ${sink.type} skipped: ${missing}.`);
+      results.push({ type: sink.type, status: 'skipped', notifies: sink.notifies });
+      continue;
+    }
+    try {
+      await sink.send(alerts, sinkConfig);
+      results.push({ type: sink.type, status: 'sent', notifies: sink.notifies });
+    } catch (e) {
+      console.warn(`Alert sink ${sink.type} failed:`, e?.message || e);
+      results.push({ type: sink.type, status: 'failed', notifies: sink.notifies });
+    }
+  }
+  return results;
+}
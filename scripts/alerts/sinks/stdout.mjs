@@ -0,0 +1,15 @@
+/*
+  Prints alerts to stdout. Handy locally and in workflow logs.
+*/
+
+import { formatAlert } from './format.mjs';
+
+/** @type {import('./index.mjs').AlertSink} */
+export default {
+  type: 'stdout',
+  notifies: false,
+  missingConfig: () => null,
+  async send(alerts) {
+    for (const alert of alerts) console.log(`[alert] ${formatAlert(alert).replace(/\n/g, '\n        ')}`);
+  }
+};
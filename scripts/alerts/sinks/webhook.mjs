@@ -0,0 +1,26 @@
+/*
+  POSTs alerts as JSON to a webhook. The URL is read from the env var named by `urlEnv`
+  (default ALERT_WEBHOOK_URL) so it can live in a repository secret. The body has a Slack-style
+  `text` summary plus the structured `alerts`.
+*/
+
+import { formatAlert } from './format.mjs';
+
+function webhookUrl(config) {
+  return config.url || process.env[config.urlEnv || 'ALERT_WEBHOOK_URL'];
+}
+
+/** @type {import('./index.mjs').AlertSink} */
+export default {
+  type: 'webhook',
+  notifies: true,
+  missingConfig: (config) => (webhookUrl(config) ? null : `${config.urlEnv || 'ALERT_WEBHOOK_URL'} is not set`),
+  async send(alerts, config) {
+    const res = await fetch(webhookUrl(config), {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ text: alerts.map(formatAlert).join('\n\n'), alerts })
+    });
+    if (!res.ok) throw new Error(`Webhook responded HTTP ${res.status}`);
+  }
+};
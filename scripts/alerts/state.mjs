@@ -0,0 +1,26 @@
+/*
+  Remembers which alerts already fired (by alert key) so a condition that stays true
+  doesn't notify every day. Stored in src/data/alert-state.json and committed with the data.
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const ROOT = path.resolve(process.cwd());
+export const ALERT_STATE_PATH = path.join(ROOT, 'src', 'data', 'alert-state.json');
+
+export async function loadAlertState() {
+  try {
+    const state = JSON.parse(await fs.readFile(ALERT_STATE_PATH, 'utf8'));
+    return { fired: {}, ...state };
+  } catch (e) {
+    if (e?.code === 'ENOENT') return { fired: {} };
+    throw e;
+  }
+}
+
+export async function saveAlertState(state) {
+  const fired = Object.fromEntries(Object.entries(state.fired).sort(([a], [b]) => a.localeCompare(b)));
+  await fs.mkdir(path.dirname(ALERT_STATE_PATH), { recursive: true });
+  await fs.writeFile(ALERT_STATE_PATH, JSON.stringify({ fired }, null, 2) + '\n', 'utf8');
+}
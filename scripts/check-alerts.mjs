@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/*
+  VBH Tracker alerts
+
+  Diffs each product's freshly built series against the previous version (the committed file at
+  a git ref, HEAD by default), evaluates the rules in alerts.json and sends new alerts to the
+  configured sinks. Alerts that already fired are remembered in src/data/alert-state.json.
+
+  Run after update:data and before committing the data:
+    node scripts/check-alerts.mjs [--dry-run] [--since <git-ref>]
+
+  --dry-run prints what would fire without sending or recording anything.
+*/
+
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+import { evaluateRules } from './alerts/rules.mjs';
+import { SINKS, deliverAlerts } from './alerts/sinks/index.mjs';
+import { loadAlertState, saveAlertState } from './alerts/state.mjs';
+import { loadTrackedProducts, seriesPath } from './lib/products.mjs';
+
+const ROOT = path.resolve(process.cwd());
+const CONFIG_PATH = path.join(ROOT, 'alerts.json');
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+async function loadConfig() {
+  try {
+    const config = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf8'));
+    return { rules: config.rules ?? [], sinks: config.sinks ?? [] };
+  } catch (e) {
+    if (e?.code === 'ENOENT') return { rules: [], sinks: [] };
+    throw e;
+  }
+}
+
+/** The series file as committed at `ref`, or null when it didn't exist there. */
+async function previousSeries(ref, filePath) {
+  const rel = path.relative(ROOT, filePath).split(path.sep).join('/');
+  try {
+    const { stdout } = await promisify(execFile)('git', ['show', `${ref}:${rel}`], { cwd: ROOT, maxBuffer: 64 * 1024 * 1024 });
+    return JSON.parse(stdout);
+  } catch {
+    return null;
+  }
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const ref = argValue('--since') || 'HEAD';
+  const config = await loadConfig();
+  if (config.rules.length === 0) {
+    console.log('No alert rules configured (alerts.json).');
+    return;
+  }
+
+  const state = await loadAlertState();
+  const alerts = [];
+  for (const product of await loadTrackedProducts()) {
+    const file = seriesPath(product.id);
+    let next;
+    try {
+      next = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+      if (e?.code === 'ENOENT') continue;
+      throw e;
+    }
+    const previous = await previousSeries(ref, file);
+    for (const alert of evaluateRules(config.rules, { previous, next })) {
+      if (!state.fired[alert.key]) alerts.push(alert);
+    }
+  }
+
+  if (alerts.length === 0) {
+    console.log('No new alerts.');
+    return;
+  }
+  console.log(`${alerts.length} new alert(s).`);
+
+  if (dryRun) {
+    await SINKS.stdout.send(alerts, {});
+    return;
+  }
+
+  // Only remember alerts someone actually received (printing or logging them to a file doesn't
+  // count); otherwise retry on the next run.
+  const results = await deliverAlerts(alerts, config.sinks);
+  if (!results.some((r) => r.notifies && r.status === 'sent')) {
+    console.warn('No notifying alert sink (webhook, email) delivered; alerts will be retried next run.');
+    return;
+  }
+  const firedAt = new Date().toISOString();
+  for (const alert of alerts) state.fired[alert.key] = firedAt;
+  await saveAlertState(state);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
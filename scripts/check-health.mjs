@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/*
+  VBH Tracker scraper health
+
+  Reports the last run of every tracked product's sources from src/data/health.json (written by
+  update:data and fetch:marketplace, see lib/health.mjs):
+
+    node scripts/check-health.mjs
+
+  Exits non-zero when a source scored by the latest scrape regressed (failed fetch, fallback parse
+  strategy, too few points or an unconfirmed price jump). update:data has already kept the stored points of such a
+  source; the deploy workflow runs this after it to mark the run as failed.
+*/
+
+import { describeRun, healthKey, latestRunKeys, loadHealth, regressions } from './lib/health.mjs';
+import { loadTrackedProducts } from './lib/products.mjs';
+import { SOURCE_ADAPTERS, adapterUrl } from './sources/index.mjs';
+
+async function main() {
+  const health = await loadHealth();
+  const tracked = new Set();
+  for (const product of await loadTrackedProducts()) {
+    for (const adapter of SOURCE_ADAPTERS) {
+      if (adapterUrl(adapter, product)) tracked.add(healthKey(product.id, adapter.id));
+    }
+  }
+
+  // an entry from an earlier scrape (e.g. a resale search the scheduled run doesn't do) can't be
+  // fixed by this one, so it is reported but doesn't fail the check
+  const current = latestRunKeys(health, tracked);
+  for (const key of [...tracked].sort()) {
+    const entry = health.sources[key];
+    if (!entry?.lastRun) {
+      console.log(`${key}: not run yet`);
+      continue;
+    }
+    const { lastRun } = entry;
+    const earlier = current.has(key) ? '' : ' (earlier scrape)';
+    console.log(
+      `${key}: ${lastRun.status} at ${lastRun.at}${earlier}, ${lastRun.points} point(s); last success ${entry.lastSuccess ?? 'never'}`
+    );
+    if (lastRun.status !== 'ok') console.log(`      ${describeRun(lastRun)}`);
+  }
+
+  const regressed = regressions(health, current);
+  if (regressed.length > 0) {
+    console.error(`${regressed.length} source(s) regressed: ${regressed.map((r) => r.key).join(', ')}.`);
+    process.exit(1);
+  }
+  console.log('All sources healthy.');
+}
+
+main().catch((err) => {
+  console.error(err?.message || err);
+  process.exit(1);
+});
@@ -1,233 +1,235 @@
 #!/usr/bin/env node
 /*
-  Fetch Veilance Bucket Hat price data from Grailed, eBay, and Wayback.
-  Appends new points to supplementary-points.json (merge run separately via update-data.mjs).
+  Fetch resale price data from every resale source adapter (Grailed, eBay, ...) and Wayback
+  for every product in tracked-products.json.
+  Appends new points (tagged with productId) to supplementary-points.json (merge run separately via update-data.mjs).
 
-  Grailed / eBay are JS-heavy; we try to extract prices from HTML or embedded JSON.
-  Run: node scripts/fetch-marketplace.mjs
-*/
-
-import fs from 'node:fs/promises';
-import path from 'node:path';
+  Marketplaces are JS-heavy; each adapter in scripts/sources/ extracts prices from HTML or embedded JSON.
+  Every fetched page is archived (src/data/archive/) and referenced from the points parsed from it.
+  Each live search is scored into src/data/health.json (see lib/health.mjs; check with npm run check:health).
+  Listings quote shipping to the landed-cost destination (landed-cost.json, see lib/landed.mjs) where the
+  marketplace says, so update-data can estimate what they cost delivered.
 
-const ROOT = path.resolve(process.cwd());
-const SUPP_PATH = path.join(ROOT, 'src', 'data', 'supplementary-points.json');
+  Run: node scripts/fetch-marketplace.mjs [--from-archive] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--max N] [--rate N] [--retry-failed]
 
-const GRAILED_SEARCH = 'https://www.grailed.com/search?q=veilance+bucket+hat';
-const EBAY_SOLD = 'https://www.ebay.com/sch/i.html?_nkw=veilance+bucket+hat+carmine&_sacat=0&LH_Sold=1&LH_Complete=1';
-const EBAY_LISTINGS = 'https://www.ebay.com/sch/i.html?_nkw=veilance+bucket+hat+carmine&_sacat=0';
+  Wayback snapshots are fetched rate-limited and only once: progress is kept in src/data/wayback-state.json
+  (see lib/wayback.mjs), so each run picks up snapshots the previous ones haven't processed.
 
-async function fetchText(url) {
-  const res = await fetch(url, {
-    redirect: 'follow',
-    headers: {
-      'user-agent': 'Mozilla/5.0 (compatible; vbh-tracker/1.0; +https://github.com/snugglepilot/vbh-tracker)',
-      'accept': 'text/html,application/xhtml+xml'
-    }
-  });
-  if (!res.ok) throw new Error(`HTTP ${res.status} ${url}`);
-  return await res.text();
-}
+  --from-archive re-parses every archived search page with the current parsers instead of fetching,
+  replacing the archived points in supplementary-points.json (manual points are kept).
+*/
 
-function parseGrailedPrices(html) {
-  const points = [];
-  const today = new Date().toISOString().slice(0, 10);
-  const seen = new Set();
-  // Grailed embeds __NEXT_DATA__; listing prices may be loaded client-side. Capture any price in plausible range.
-  const priceMatches = html.matchAll(/"price"\s*:\s*"?(\d{2,3}(?:\.\d+)?)"?/g);
-  const usdMatches = html.matchAll(/\$\s*(\d{2,3}(?:\.\d+)?)\s*(?:USD|usd)/gi);
-  const plainDollar = html.matchAll(/\$(\d{2,3})(?:\s|"|,|<\/|\.)/g);
-  for (const m of priceMatches) {
-    const amount = Number(m[1]);
-    if (amount >= 80 && amount <= 350 && !seen.has(amount)) {
-      seen.add(amount);
-      points.push({ date: today, kind: 'sale', price: { amount, currency: 'USD' }, sourceId: 'grailed', url: GRAILED_SEARCH });
-    }
-  }
-  for (const m of usdMatches) {
-    const amount = Number(m[1]);
-    if (amount >= 80 && amount <= 350 && !seen.has(amount)) {
-      seen.add(amount);
-      points.push({ date: today, kind: 'sale', price: { amount, currency: 'USD' }, sourceId: 'grailed', url: GRAILED_SEARCH });
-    }
-  }
-  for (const m of plainDollar) {
-    const amount = Number(m[1]);
-    if (amount >= 80 && amount <= 350 && !seen.has(amount)) {
-      seen.add(amount);
-      points.push({ date: today, kind: 'sale', price: { amount, currency: 'USD' }, sourceId: 'grailed', url: GRAILED_SEARCH });
-    }
-  }
-  return points;
-}
+import fs from 'node:fs/promises';
 
-/** Parse eBay HTML for prices. If snapshotDate is set, use it for each point (Wayback); else use today. */
-function parseEbayPrices(html, snapshotDate = null) {
-  const points = [];
-  const dateStr = snapshotDate || new Date().toISOString().slice(0, 10);
-  const priceMatches = html.matchAll(/\$\s*(\d+(?:\.\d+)?)\s*(?:CAD|USD|CAD\s*\/\s*USD)?/gi);
-  const spanPrice = html.matchAll(/s-item__price[^>]*>[\s$]*(\d+(?:\.\d+)?)/g);
-  const seen = new Set();
-  const url = snapshotDate ? EBAY_SOLD : EBAY_SOLD;
-  for (const m of priceMatches) {
-    const amount = Number(m[1]);
-    if (amount >= 50 && amount <= 500 && !seen.has(amount)) {
-      seen.add(amount);
-      points.push({ date: dateStr, kind: 'sale', price: { amount, currency: 'USD' }, sourceId: 'ebay', url: EBAY_SOLD });
-    }
-  }
-  for (const m of spanPrice) {
-    const amount = Number(m[1]);
-    if (amount >= 50 && amount <= 500 && !seen.has(amount)) {
-      seen.add(amount);
-      points.push({ date: dateStr, kind: 'sale', price: { amount, currency: 'USD' }, sourceId: 'ebay', url: EBAY_SOLD });
-    }
+import { archivePage, keepUnparsed, loadArchive, readArchivedPage, saveArchive, withProvenance } from './lib/archive.mjs';
+import { describeRun, loadHealth, recordRun, saveHealth } from './lib/health.mjs';
+import { loadLandedCostModel } from './lib/landed.mjs';
+import { loadTrackedProducts, seriesPath } from './lib/products.mjs';
+import { loadSupplementaryPoints, mergeScrape, saveSupplementaryPoints } from './lib/supplementary.mjs';
+import { checkSupplementaryPoint, describePoint } from './lib/validate.mjs';
+import {
+  createWaybackClient,
+  fetchSnapshot,
+  loadWaybackState,
+  markFailed,
+  markProcessed,
+  pageState,
+  pendingSnapshots,
+  saveWaybackState,
+  waybackOptionsFromArgs
+} from './lib/wayback.mjs';
+import { SOURCE_ADAPTERS, adapterUrl } from './sources/index.mjs';
+
+/** The product's stored series points, the last known prices the health check compares against. */
+async function storedPoints(productId) {
+  try {
+    return JSON.parse(await fs.readFile(seriesPath(productId), 'utf8')).series ?? [];
+  } catch (e) {
+    if (e?.code === 'ENOENT') return [];
+    throw e;
   }
-  return points;
 }
-
-/** Get Wayback CDX timestamps for a URL. Returns array of { timestamp, dateISO } sorted oldest first. */
-async function getWaybackSnapshotsForUrl(url, limit = 50) {
-  const cdxUrl = new URL('https://web.archive.org/cdx/search/cdx');
-  cdxUrl.searchParams.set('url', url);
-  cdxUrl.searchParams.set('output', 'json');
-  cdxUrl.searchParams.set('fl', 'timestamp');
-  cdxUrl.searchParams.set('filter', 'statuscode:200');
-  cdxUrl.searchParams.set('collapse', 'timestamp'); // one per day
-  cdxUrl.searchParams.set('limit', String(limit));
-
-  const raw = await fetch(cdxUrl.toString(), {
-    headers: { 'user-agent': 'Mozilla/5.0 (compatible; vbh-tracker/1.0)' }
-  });
-  if (!raw.ok) throw new Error(`Wayback CDX HTTP ${raw.status}`);
-  const text = await raw.text();
-  if (!text.trimStart().startsWith('[')) throw new Error('Wayback CDX returned non-JSON');
-  const data = JSON.parse(text);
-  const rows = data.slice(1) || [];
-  const byDate = new Map();
-  for (const [ts] of rows) {
-    if (!ts) continue;
-    const dateISO = `${ts.slice(0, 4)}-${ts.slice(4, 6)}-${ts.slice(6, 8)}`;
-    if (!byDate.has(dateISO)) byDate.set(dateISO, ts);
-  }
-  return Array.from(byDate.entries())
-    .sort((a, b) => a[0].localeCompare(b[0]))
-    .map(([dateISO, timestamp]) => ({ timestamp, dateISO }));
+/**
+ * Parse one archived search page into supplementary points for the product, with shipping to
+ * `shipTo`. Points from a Wayback snapshot carry its `wayback` timestamp and the page `url` it
+ * captured (the search page, while the point's own `url` is the listing's).
+ */
+function observePage(adapter, html, { hash, product, url, date, shipTo, wayback }) {
+  return adapter.parse(html, { date, url, product, shipTo }).map((obs) => ({
+    productId: product.id,
+    ...withProvenance(obs, adapter, hash),
+    sourceId: adapter.id,
+    url: obs.url || url,
+    ...(wayback ? { wayback: { timestamp: wayback.timestamp, url } } : {})
+  }));
 }
 
-/** Fetch eBay sold listings from Wayback snapshots to get (date, price) with real archive dates. */
-async function fetchEbayFromWayback(maxSnapshots = 15) {
+/**
+ * Parse the source's search page from Wayback snapshots not processed yet, for (date, price) with
+ * real archive dates. Up to `maxSnapshots` (or --max) per run, spread over the pending ones.
+ */
+async function fetchFromWayback(adapter, { product, url, archive, run, backfill, shipTo }) {
+  const { collapse, maxSnapshots = 15, fallbackUrl } = adapter.wayback;
+  const { client, state, options } = backfill;
   const points = [];
   let snapshots = [];
-  for (const tryUrl of [EBAY_SOLD, 'https://www.ebay.com/sch/i.html*']) {
+  for (const tryUrl of [url, fallbackUrl].filter(Boolean)) {
     try {
-      snapshots = await getWaybackSnapshotsForUrl(tryUrl, 100);
+      // the fallback is a prefix query over the whole site, so it is capped
+      snapshots = await client.snapshots(tryUrl, {
+        collapse,
+        from: options.from,
+        to: options.to,
+        perDay: true,
+        ...(tryUrl === url ? {} : { limit: 100 })
+      });
       if (snapshots.length > 0) break;
     } catch (e) {
-      if (tryUrl === EBAY_SOLD) console.warn('  Wayback CDX for eBay failed:', e?.message);
+      if (tryUrl === url) console.warn(`  Wayback CDX for ${adapter.name} failed:`, e?.message);
     }
   }
   if (snapshots.length === 0) {
-    console.log('  No Wayback snapshots found for eBay URL.');
+    console.log(`  No Wayback snapshots found for ${adapter.name} URL.`);
     return points;
   }
-  // Sample spread: oldest, newest, and evenly in between
-  const step = Math.max(1, Math.floor((snapshots.length - 1) / Math.max(1, maxSnapshots - 2)));
-  const indices = new Set([0]);
-  for (let i = step; i < snapshots.length; i += step) indices.add(i);
-  indices.add(snapshots.length - 1);
-  const sampled = snapshots.filter((_, i) => indices.has(i)).slice(0, maxSnapshots);
-
-  console.log(`  Found ${snapshots.length} Wayback snapshots for eBay; fetching ${sampled.length} for prices.`);
-  for (const { timestamp, dateISO } of sampled) {
+
+  const entry = pageState(state, { productId: product.id, sourceId: adapter.id, url });
+  const pending = pendingSnapshots(snapshots, entry, { ...options, max: options.max ?? maxSnapshots });
+  console.log(`  Found ${snapshots.length} Wayback snapshots for ${adapter.name}; fetching ${pending.length} not processed yet.`);
+  for (const { timestamp, date } of pending) {
     try {
-      const waybackUrl = `https://web.archive.org/web/${timestamp}/${EBAY_SOLD}`;
-      const res = await fetch(waybackUrl, {
-        headers: { 'user-agent': 'Mozilla/5.0 (compatible; vbh-tracker/1.0)' }
-      });
-      if (!res.ok) continue;
-      const html = await res.text();
-      const parsed = parseEbayPrices(html, dateISO);
-      for (const pt of parsed) points.push(pt);
-    } catch {
-      // skip
+      const snap = await fetchSnapshot(client, archive, adapter, { url, timestamp, date, run, productId: product.id });
+      points.push(...observePage(adapter, snap.html, { hash: snap.hash, product, url, date, shipTo, wayback: { timestamp } }));
+      markProcessed(entry, timestamp);
+    } catch (e) {
+      markFailed(entry, timestamp, e);
     }
   }
   return points;
 }
 
-async function main() {
-  let supplementary = [];
-  try {
-    const raw = await fs.readFile(SUPP_PATH, 'utf8');
-    supplementary = JSON.parse(raw);
-    if (!Array.isArray(supplementary)) supplementary = [];
-  } catch (e) {
-    if (e?.code !== 'ENOENT') throw e;
-  }
-
-  const newPoints = [];
-  const seenKey = (pt) => `${pt.date}|${pt.sourceId}|${pt.price?.amount}`;
-  let existingKeys = new Set(supplementary.map(seenKey));
-
-  console.log('Fetching Grailed...');
-  try {
-    const html = await fetchText(GRAILED_SEARCH);
-    const grailed = parseGrailedPrices(html);
-    for (const pt of grailed) {
-      if (!existingKeys.has(seenKey(pt))) {
-        newPoints.push(pt);
-        existingKeys.add(seenKey(pt));
+/** Fetch every resale source for every product (live and Wayback), archiving each page and scoring each live search in `health`. */
+async function collectLive(products, resaleAdapters, { archive, run, backfill, health, shipTo }) {
+  const today = new Date().toISOString().slice(0, 10);
+  const found = [];
+
+  for (const product of products) {
+    const label = `${product.name} (${product.color})`;
+    const known = await storedPoints(product.id);
+
+    for (const adapter of resaleAdapters) {
+      const url = adapterUrl(adapter, product);
+      if (!url) continue;
+
+      console.log(`Fetching ${adapter.name} (live) for ${label}...`);
+      let points = [];
+      let error = null;
+      try {
+        const html = await adapter.fetch(url);
+        const hash = await archivePage(archive, html, { sourceId: adapter.id, url, date: today, run, productId: product.id });
+        points = observePage(adapter, html, { hash, product, url, date: today, shipTo });
+        found.push(...points);
+        console.log(`  ${adapter.name}: ${points.length} price(s) found`);
+      } catch (e) {
+        error = e;
+        console.warn(`  ${adapter.name} failed:`, e.message);
       }
-    }
-    console.log(`  Grailed: ${grailed.length} price(s) found, ${newPoints.filter((p) => p.sourceId === 'grailed').length} new`);
-  } catch (e) {
-    console.warn('  Grailed failed:', e.message);
-  }
-
-  console.log('Fetching eBay (live)...');
-  try {
-    const html = await fetchText(EBAY_SOLD);
-    const ebay = parseEbayPrices(html);
-    for (const pt of ebay) {
-      if (!existingKeys.has(seenKey(pt))) {
-        newPoints.push(pt);
-        existingKeys.add(seenKey(pt));
+      const entry = recordRun(health, adapter, { productId: product.id, at: run, error, points, known });
+      if (entry.lastRun.status !== 'ok') console.warn(`  ${adapter.name} run regressed: ${describeRun(entry.lastRun)}`);
+
+      if (!adapter.wayback) continue;
+      console.log(`Fetching ${adapter.name} from Wayback Machine (for dates) for ${label}...`);
+      try {
+        const fromWayback = await fetchFromWayback(adapter, { product, url, archive, run, backfill, shipTo });
+        found.push(...fromWayback);
+        console.log(`  ${adapter.name} Wayback: ${fromWayback.length} point(s) with snapshot dates.`);
+      } catch (e) {
+        console.warn(`  ${adapter.name} Wayback failed:`, e.message);
       }
     }
-    console.log(`  eBay live: ${ebay.length} price(s) found.`);
-  } catch (e) {
-    console.warn('  eBay failed:', e.message);
   }
+  return found;
+}
 
-  console.log('Fetching eBay from Wayback Machine (for dates)...');
-  let waybackEbay = [];
-  try {
-    waybackEbay = await fetchEbayFromWayback(15);
-    for (const pt of waybackEbay) {
-      if (!existingKeys.has(seenKey(pt))) {
-        newPoints.push(pt);
-        existingKeys.add(seenKey(pt));
-      }
+/**
+ * Re-parse the archived search pages, grouped by the scrape (run) that fetched them, oldest run
+ * first. Returns { runs, hashes } with the content hashes of the pages re-parsed.
+ */
+async function collectArchived(products, resaleAdapters, { archive, shipTo }) {
+  const byRun = new Map();
+  const hashes = new Set();
+  for (const f of archive.fetches) {
+    const adapter = resaleAdapters.find((a) => a.id === f.sourceId);
+    const product = products.find((p) => p.id === f.productId);
+    if (!adapter || !product) continue;
+    const html = await readArchivedPage(archive, f.hash);
+    if (html == null) {
+      console.warn(`Archived page ${f.hash} of ${adapter.name} is missing (skipping).`);
+      continue;
     }
-    console.log(`  eBay Wayback: ${waybackEbay.length} point(s) with snapshot dates.`);
-  } catch (e) {
-    console.warn('  eBay Wayback failed:', e.message);
+    hashes.add(f.hash);
+    if (!byRun.has(f.run)) byRun.set(f.run, []);
+    byRun.get(f.run).push(...observePage(adapter, html, { hash: f.hash, product, url: f.url, date: f.date, shipTo, wayback: f.wayback }));
   }
+  const runs = [...byRun.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([, points]) => points);
+  return { runs, hashes };
+}
 
-  const hasNewEbay = newPoints.some((p) => p.sourceId === 'ebay');
-  if (hasNewEbay) {
-    supplementary = supplementary.filter((p) => p.sourceId !== 'ebay');
+async function main() {
+  const fromArchive = process.argv.includes('--from-archive');
+  const supplementary = await loadSupplementaryPoints();
+  const products = await loadTrackedProducts();
+  const defaultProductId = products[0].id;
+  const resaleAdapters = SOURCE_ADAPTERS.filter((a) => a.role === 'resale');
+  const shipTo = (await loadLandedCostModel())?.destination;
+  const context = { products, sourceIds: SOURCE_ADAPTERS.map((a) => a.id) };
+
+  // a parser yielding a malformed point is reported rather than written
+  const valid = (points) =>
+    points.filter((pt) => {
+      const reasons = checkSupplementaryPoint(pt, context);
+      if (reasons.length > 0) console.warn(`  Skipped ${describePoint(pt)} (${pt.url}): ${reasons.join('; ')}`);
+      return reasons.length === 0;
+    });
+  const archive = await loadArchive();
+  if (fromArchive && archive.fetches.length === 0) throw new Error('The page archive is empty; nothing to re-parse.');
+
+  const mergeOptions = {
+    defaultProductId,
+    replaceOnRefresh: new Set(resaleAdapters.filter((a) => a.replaceOnRefresh).map((a) => a.id)),
+    waybackSnapshots: new Set(archive.fetches.filter((f) => f.wayback).map((f) => f.hash))
+  };
+  const mergeRun = (existing, found) => mergeScrape(existing, found, mergeOptions);
+
+  let merged;
+  let added = 0;
+  let replaced = 0;
+  if (fromArchive) {
+    // the points of the re-parsed pages are rebuilt below; manual points, points from before the
+    // archive and points whose page the (possibly partial) archive lacks stay
+    const { runs, hashes } = await collectArchived(products, resaleAdapters, { archive, shipTo });
+    const { kept, missing } = keepUnparsed(supplementary, hashes);
+    if (missing > 0) console.warn(`Kept ${missing} point(s) whose page isn't in the archive.`);
+    merged = kept;
+    for (const found of runs) merged = mergeRun(merged, valid(found)).merged;
+    added = merged.filter((p) => hashes.has(p.provenance?.snapshot)).length;
+    console.log(`Re-parsed ${runs.length} archived scrape(s) into ${added} point(s).`);
+  } else {
+    const options = waybackOptionsFromArgs();
+    const backfill = { client: createWaybackClient({ rate: options.rate }), state: await loadWaybackState(), options };
+    const health = await loadHealth();
+    const found = await collectLive(products, resaleAdapters, { archive, run: new Date().toISOString(), backfill, health, shipTo });
+    ({ merged, added, replaced } = mergeRun(supplementary, valid(found)));
+    await saveArchive(archive);
+    await saveWaybackState(backfill.state);
+    await saveHealth(health);
   }
 
-  if (newPoints.length > 0 || hasNewEbay) {
-    const merged = [...supplementary, ...newPoints];
-    merged.sort((a, b) => a.date.localeCompare(b.date) || (a.price?.amount ?? 0) - (b.price?.amount ?? 0));
-    await fs.mkdir(path.dirname(SUPP_PATH), { recursive: true });
-    await fs.writeFile(SUPP_PATH, JSON.stringify(merged, null, 2) + '\n', 'utf8');
-    console.log(`Wrote ${newPoints.length} new point(s) to supplementary-points.json (total ${merged.length}). Run npm run update:data to merge into price-series.`);
+  if (fromArchive || added > 0 || replaced > 0) {
+    await saveSupplementaryPoints(merged);
+    console.log(`Wrote ${added} new point(s) to supplementary-points.json (total ${merged.length}). Run npm run update:data to merge into the product series.`);
   } else {
-    console.log('No new price points to add. You can add manual entries to src/data/supplementary-points.json.');
+    console.log('No new price points to add. You can add manual entries with npm run add:point.');
   }
 }
 
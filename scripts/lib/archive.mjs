@@ -0,0 +1,113 @@
+/*
+  Raw page archive: every page a scraper fetches is kept, so a point can be traced back to what the
+  parser actually saw and the whole history can be re-parsed offline (--from-archive).
+
+    src/data/archive/pages/<sha256>.html.gz   page content, gzipped, one file per distinct content
+    src/data/archive/manifest.json            { "fetches": [{ hash, sourceId, url, date, run, productId?, wayback? }] }
+
+  `date` is the capture date handed to the parser, `run` the start time of the scrape that fetched it
+  and `productId` is set for search pages (retail product pages are shared between colourways).
+
+  The archive is git-ignored: it grows with every scrape, so the deploy workflow keeps it in an
+  Actions cache between runs instead.
+*/
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+const ROOT = path.resolve(process.cwd());
+export const ARCHIVE_DIR = path.join(ROOT, 'src', 'data', 'archive');
+
+const pagePath = (dir, hash) => path.join(dir, 'pages', `${hash}.html.gz`);
+
+export async function loadArchive(dir = ARCHIVE_DIR) {
+  try {
+    const manifest = JSON.parse(await fs.readFile(path.join(dir, 'manifest.json'), 'utf8'));
+    return { dir, fetches: Array.isArray(manifest?.fetches) ? manifest.fetches : [] };
+  } catch (e) {
+    if (e?.code === 'ENOENT') return { dir, fetches: [] };
+    throw e;
+  }
+}
+
+export async function saveArchive(archive) {
+  await fs.mkdir(archive.dir, { recursive: true });
+  const body = archive.fetches.map((f) => `    ${JSON.stringify(f)}`).join(',\n');
+  // one fetch per line keeps the manifest diff append-only
+  await fs.writeFile(path.join(archive.dir, 'manifest.json'), `{\n  "fetches": [\n${body}\n  ]\n}\n`, 'utf8');
+}
+
+const fetchKey = (f) => [f.hash, f.sourceId, f.url, f.date, f.productId ?? '', f.wayback?.timestamp ?? ''].join('|');
+
+/** The keys of the recorded fetches, built on first use and kept up to date by archivePage. */
+function seenFetches(archive) {
+  archive.seen ??= new Set(archive.fetches.map(fetchKey));
+  return archive.seen;
+}
+
+/** Store a fetched page (once per distinct content) and record the fetch. Returns the content hash. */
+export async function archivePage(archive, html, { sourceId, url, date, run, productId, wayback }) {
+  const hash = crypto.createHash('sha256').update(html).digest('hex');
+  const file = pagePath(archive.dir, hash);
+  try {
+    await fs.access(file);
+  } catch {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, zlib.gzipSync(html, { level: 9 }));
+  }
+  const record = { hash, sourceId, url, date, run, ...(productId ? { productId } : {}), ...(wayback ? { wayback } : {}) };
+  const seen = seenFetches(archive);
+  const key = fetchKey(record);
+  if (!seen.has(key)) {
+    seen.add(key);
+    archive.fetches.push(record);
+  }
+  return hash;
+}
+
+/** Content hash of an already archived Wayback snapshot of `url`, or null. */
+export function findArchivedSnapshot(archive, { sourceId, url, timestamp }) {
+  return archive.fetches.find((f) => f.sourceId === sourceId && f.url === url && f.wayback?.timestamp === timestamp)?.hash ?? null;
+}
+
+/**
+ * The stored points a re-parse doesn't rebuild: points without a snapshot (manual entries, points
+ * from before the archive) and points whose snapshot isn't among the re-parsed `hashes`, since the
+ * archive may be partial (an expired cache). Returns { kept, missing } with `missing` the number of
+ * points kept only because their page isn't archived.
+ */
+export function keepUnparsed(points, hashes) {
+  const kept = points.filter((pt) => !hashes.has(pt.provenance?.snapshot));
+  const missing = kept.filter((pt) => pt.provenance?.snapshot).length;
+  return { kept, missing };
+}
+
+/** The archived page content, or null when its file is missing (a partial archive). */
+export async function readArchivedPage(archive, hash) {
+  try {
+    return zlib.gunzipSync(await fs.readFile(pagePath(archive.dir, hash))).toString('utf8');
+  } catch (e) {
+    if (e?.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+/**
+ * Attach provenance to a parsed observation: the archived page it came from, the parser (adapter id
+ * and version), and the text the parser matched and how it found it, which the adapter reports as
+ * `match` and `strategy`.
+ */
+export function withProvenance(obs, adapter, hash) {
+  const { match, strategy, ...rest } = obs;
+  return {
+    ...rest,
+    provenance: {
+      snapshot: hash,
+      parser: `${adapter.id}@${adapter.version ?? 1}`,
+      ...(match ? { match } : {}),
+      ...(strategy ? { strategy } : {})
+    }
+  };
+}
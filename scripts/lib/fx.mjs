@@ -0,0 +1,189 @@
+/*
+  Historical FX rates with a persistent on-disk cache.
+
+  Rates come from frankfurter.app (ECB reference rates, business days only) and are cached in
+  src/data/fx-cache.json per pair:
+
+    { "pairs": { "USD/CAD": { "covered": [["2025-12-01", "2026-02-05"]], "rates": { "2026-01-20": 1.3826 } } } }
+
+  `covered` records which date ranges have already been fetched, so a date inside a covered range
+  without a rate is a weekend/holiday and resolves to the previous business day's rate instead of
+  triggering another request. Missing dates are fetched in batches with frankfurter's range API.
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { fetchText } from './http.mjs';
+
+const ROOT = path.resolve(process.cwd());
+export const FX_CACHE_PATH = path.join(ROOT, 'src', 'data', 'fx-cache.json');
+export const FX_SOURCE = 'frankfurter.app';
+
+// Long enough to bridge Easter / Christmas closures.
+const MAX_FALLBACK_DAYS = 7;
+// Uncovered dates further apart than this are fetched as separate ranges.
+const MAX_RANGE_GAP_DAYS = 60;
+
+function addDays(dateISO, days) {
+  const d = new Date(`${dateISO}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+}
+
+export async function loadFxCache() {
+  try {
+    const cache = JSON.parse(await fs.readFile(FX_CACHE_PATH, 'utf8'));
+    return { source: FX_SOURCE, pairs: {}, ...cache };
+  } catch (e) {
+    if (e?.code === 'ENOENT') return { source: FX_SOURCE, pairs: {} };
+    throw e;
+  }
+}
+
+export async function saveFxCache(cache) {
+  // keep the file diff-friendly: dates sorted, covered ranges merged
+  const pairs = {};
+  for (const pair of Object.keys(cache.pairs).sort()) {
+    const { covered, rates } = cache.pairs[pair];
+    pairs[pair] = {
+      covered: mergeRanges(covered),
+      rates: Object.fromEntries(Object.entries(rates).sort(([a], [b]) => a.localeCompare(b)))
+    };
+  }
+  await fs.mkdir(path.dirname(FX_CACHE_PATH), { recursive: true });
+  await fs.writeFile(FX_CACHE_PATH, JSON.stringify({ source: FX_SOURCE, pairs }, null, 2) + '\n', 'utf8');
+}
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0].localeCompare(b[0]));
+  const out = [];
+  for (const [start, end] of sorted) {
+    const last = out[out.length - 1];
+    if (last && start <= addDays(last[1], 1)) {
+      if (end > last[1]) last[1] = end;
+    } else {
+      out.push([start, end]);
+    }
+  }
+  return out;
+}
+
+function pairEntry(cache, pair) {
+  if (!cache.pairs[pair]) cache.pairs[pair] = { covered: [], rates: {} };
+  return cache.pairs[pair];
+}
+
+function isCovered(entry, dateISO) {
+  return entry.covered.some(([start, end]) => start <= dateISO && dateISO <= end);
+}
+
+/**
+ * Look up a cached rate. Returns { rate, date } where `date` is the business day the rate is from
+ * (earlier than `dateISO` on weekends/holidays), or null when the cache can't answer. Only a date
+ * inside a fetched range falls back: one that was never fetched is a miss, not a weekend.
+ */
+export function lookupRate(cache, dateISO, from, to) {
+  const entry = cache.pairs[`${from}/${to}`];
+  if (!entry) return null;
+  if (entry.rates[dateISO] != null) return { rate: entry.rates[dateISO], date: dateISO };
+  if (!isCovered(entry, dateISO)) return null;
+  for (let i = 1; i <= MAX_FALLBACK_DAYS; i++) {
+    const d = addDays(dateISO, -i);
+    if (entry.rates[d] != null) return { rate: entry.rates[d], date: d };
+  }
+  return null;
+}
+
+/**
+ * Make sure the cache can answer every { date, from, to } request, fetching missing dates as ranges.
+ * With `offline`, nothing is fetched. Fetch failures are logged and leave those dates unresolved.
+ */
+export async function prefetchRates(cache, requests, { offline = false } = {}) {
+  const missingByPair = new Map();
+  for (const { date, from, to } of requests) {
+    if (from === to) continue;
+    const pair = `${from}/${to}`;
+    const entry = pairEntry(cache, pair);
+    if (isCovered(entry, date)) continue;
+    if (!missingByPair.has(pair)) missingByPair.set(pair, new Set());
+    missingByPair.get(pair).add(date);
+  }
+  if (offline) return;
+
+  for (const [pair, dates] of missingByPair) {
+    const [from, to] = pair.split('/');
+    const sorted = [...dates].sort();
+    const ranges = [];
+    for (const d of sorted) {
+      const last = ranges[ranges.length - 1];
+      if (last && daysBetween(last[1], d) <= MAX_RANGE_GAP_DAYS) last[1] = d;
+      else ranges.push([d, d]);
+    }
+    for (const [start, end] of ranges) {
+      // start a few days early so weekend/holiday dates at the start have a business day to fall back to
+      const fetchStart = addDays(start, -MAX_FALLBACK_DAYS);
+      try {
+        await fetchRange(cache, pair, fetchStart, end, from, to);
+      } catch (e) {
+        console.warn(`FX fetch failed for ${pair} ${fetchStart}..${end}:`, e?.message || e);
+      }
+    }
+  }
+}
+
+async function fetchRange(cache, pair, start, end, from, to) {
+  const url = `https://api.frankfurter.app/${start}..${end}?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`;
+  const json = JSON.parse(await fetchText(url));
+  const entry = pairEntry(cache, pair);
+  let added = 0;
+  for (const [date, rates] of Object.entries(json?.rates ?? {})) {
+    const rate = rates?.[to];
+    if (rate == null) continue;
+    entry.rates[date] = Number(rate);
+    added++;
+  }
+  // the API ends the range at its last business day: past days after it are weekends or holidays and
+  // count as covered, but from today on the rate may not be published yet
+  const today = new Date().toISOString().slice(0, 10);
+  const coveredEnd = json?.end_date && json.end_date < end && end >= today ? json.end_date : end;
+  if (added > 0) entry.covered.push([start, coveredEnd]);
+}
+
+/** Currencies the app can display prices in. CAD is the pivot every point is already converted to. */
+export const DISPLAY_CURRENCIES = ['CAD', 'USD', 'EUR', 'GBP', 'JPY'];
+export const FX_TABLE_PATH = path.join(ROOT, 'src', 'data', 'fx-table.json');
+
+/**
+ * Compact CAD→display-currency table for client-side reconversion:
+ * { base: 'CAD', dates: [...], rates: { USD: [...], ... } } with one column entry per date (null = no rate).
+ * Call prefetchRates for the CAD/<currency> pairs first.
+ */
+export function buildFxTable(cache, dates, currencies = DISPLAY_CURRENCIES) {
+  const sortedDates = [...new Set(dates)].sort();
+  const targets = currencies.filter((c) => c !== 'CAD');
+  const rates = {};
+  for (const currency of targets) {
+    rates[currency] = sortedDates.map((d) => lookupRate(cache, d, 'CAD', currency)?.rate ?? null);
+  }
+  return { base: 'CAD', source: FX_SOURCE, currencies: targets, dates: sortedDates, rates };
+}
+
+export async function writeFxTable(table) {
+  await fs.mkdir(path.dirname(FX_TABLE_PATH), { recursive: true });
+  // one line per currency keeps the file small and the diff readable
+  const body = [
+    `  "base": ${JSON.stringify(table.base)}`,
+    `  "source": ${JSON.stringify(table.source)}`,
+    `  "currencies": ${JSON.stringify(table.currencies)}`,
+    `  "dates": ${JSON.stringify(table.dates)}`,
+    `  "rates": {\n${Object.entries(table.rates)
+      .map(([c, col]) => `    ${JSON.stringify(c)}: ${JSON.stringify(col)}`)
+      .join(',\n')}\n  }`
+  ].join(',\n');
+  await fs.writeFile(FX_TABLE_PATH, `{\n${body}\n}\n`, 'utf8');
+}
@@ -0,0 +1,172 @@
+/*
+  Scraper health checks.
+
+  Every live run of a source for a product (update-data for retail sources, fetch-marketplace for
+  resale ones) is scored on:
+  - fetch: the page could be fetched
+  - strategy: the prices were found the adapter's preferred way (its first `strategies` entry), not
+    by a fallback
+  - count: it yielded at least half the points of the source's recent healthy runs
+  - price: each kind's price is within MAX_PRICE_RATIO of the last known accepted one. A move seen by
+    the previous run too is confirmed, so a real price change only holds the data back for one run.
+
+  The runs are kept in src/data/health.json, one entry per product and source with its last run, its
+  last successful update and its recent point counts. A regressed retail source keeps its stored
+  points (update-data). check:health fails when a tracked source regressed in the latest scrape;
+  entries left over from earlier scrapes (e.g. resale searches CI doesn't run) are only reported.
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const ROOT = path.resolve(process.cwd());
+export const HEALTH_PATH = path.join(ROOT, 'src', 'data', 'health.json');
+
+export const HEALTH_VERSION = 1;
+// the norm is the median point count of this many recent healthy runs
+const NORM_RUNS = 10;
+// fewer points than this share of the norm is a regression
+const MIN_COUNT_SHARE = 0.5;
+// a price more than this factor above or below the last known one is a regression
+const MAX_PRICE_RATIO = 2;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export const healthKey = (productId, sourceId) => `${productId}/${sourceId}`;
+
+export async function loadHealth() {
+  try {
+    const health = JSON.parse(await fs.readFile(HEALTH_PATH, 'utf8'));
+    return { version: HEALTH_VERSION, sources: {}, ...health };
+  } catch (e) {
+    if (e?.code === 'ENOENT') return { version: HEALTH_VERSION, sources: {} };
+    throw e;
+  }
+}
+
+export async function saveHealth(health) {
+  const sources = Object.fromEntries(Object.entries(health.sources).sort(([a], [b]) => a.localeCompare(b)));
+  await fs.mkdir(path.dirname(HEALTH_PATH), { recursive: true });
+  await fs.writeFile(HEALTH_PATH, JSON.stringify({ version: HEALTH_VERSION, sources }, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Per kind, the median price of the latest day with accepted points (in that day's first currency):
+ * { sale: { amount, currency, date } }.
+ */
+export function lastKnownPrices(points) {
+  const latest = {};
+  for (const p of points) {
+    if ((p.status ?? 'accepted') !== 'accepted') continue;
+    const current = latest[p.kind];
+    if (!current || p.date > current.date) latest[p.kind] = { date: p.date, points: [p] };
+    else if (p.date === current.date) current.points.push(p);
+  }
+  return Object.fromEntries(
+    Object.entries(latest).map(([kind, { date, points: day }]) => {
+      const currency = day[0].price.currency;
+      const amounts = day.filter((p) => p.price.currency === currency).map((p) => p.price.amount);
+      return [kind, { amount: median(amounts), currency, date }];
+    })
+  );
+}
+
+const money = (m) => `${m.amount} ${m.currency}`;
+
+const jumped = (a, b) => a.currency === b.currency && Math.max(a.amount / b.amount, b.amount / a.amount) > MAX_PRICE_RATIO;
+
+/**
+ * Score one run of a source: `points` are the run's parsed points (with provenance), `error` the
+ * fetch error if any, `entry` the source's health entry so far and `known` its stored points.
+ * Returns the run record: { at, status: 'ok' | 'regressed', points, prices, checks: [{ name, ok, detail }] }.
+ */
+export function scoreRun(adapter, { at, error, points, entry, known = [] }) {
+  if (error) {
+    return { at, status: 'regressed', points: 0, prices: {}, checks: [{ name: 'fetch', ok: false, detail: String(error?.message || error) }] };
+  }
+  const checks = [{ name: 'fetch', ok: true, detail: 'ok' }];
+
+  const preferred = adapter.strategies?.[0];
+  const used = [...new Set(points.map((p) => p.provenance?.strategy).filter(Boolean))].sort();
+  if (preferred && used.length > 0) {
+    const fallbacks = used.filter((s) => s !== preferred);
+    checks.push({
+      name: 'strategy',
+      ok: fallbacks.length === 0,
+      detail: fallbacks.length === 0 ? preferred : `${fallbacks.join(', ')} fallback instead of ${preferred}`
+    });
+  }
+
+  // before any history, a retail page is expected to show a price; a resale search may be empty
+  const counts = entry?.recentCounts ?? [];
+  const norm = counts.length > 0 ? median(counts) : adapter.role === 'retail' ? 1 : 0;
+  checks.push({
+    name: 'count',
+    ok: points.length >= norm * MIN_COUNT_SHARE,
+    detail: `${points.length} point(s), usually ${norm}`
+  });
+
+  const prices = lastKnownPrices(points);
+  const before = lastKnownPrices(known.filter((p) => p.sourceId === adapter.id));
+  for (const [kind, price] of Object.entries(prices)) {
+    const last = before[kind];
+    if (!last) continue;
+    const previousRun = entry?.lastRun?.prices?.[kind];
+    const jump = jumped(price, last);
+    const confirmed = jump && previousRun != null && !jumped(price, previousRun);
+    checks.push({
+      name: 'price',
+      ok: !jump || confirmed,
+      detail: `${kind} ${money(price)}, last known ${money(last)} (${last.date})${confirmed ? ', confirmed by the previous run' : ''}`
+    });
+  }
+
+  const withoutDate = ({ date: _date, ...m }) => m;
+  return {
+    at,
+    status: checks.every((c) => c.ok) ? 'ok' : 'regressed',
+    points: points.length,
+    prices: Object.fromEntries(Object.entries(prices).map(([kind, m]) => [kind, withoutDate(m)])),
+    checks
+  };
+}
+
+/** Score a run (see scoreRun) and record it in `health`; returns the source's updated entry. */
+export function recordRun(health, adapter, { productId, at, error, points, known }) {
+  const key = healthKey(productId, adapter.id);
+  const entry = health.sources[key] ?? { productId, sourceId: adapter.id, lastSuccess: null, recentCounts: [] };
+  const run = scoreRun(adapter, { at, error, points, entry, known });
+  const next = {
+    ...entry,
+    lastRun: run,
+    ...(run.status === 'ok'
+      ? { lastSuccess: at, recentCounts: [...entry.recentCounts, run.points].slice(-NORM_RUNS) }
+      : {})
+  };
+  health.sources[key] = next;
+  return next;
+}
+
+/** The failed checks of a run on one line, for logs. */
+export function describeRun(run) {
+  const failed = run.checks.filter((c) => !c.ok);
+  return failed.length === 0 ? 'ok' : failed.map((c) => `${c.name}: ${c.detail}`).join('; ');
+}
+
+/** Of `keys`, the ones scored by the latest scrape: every source a script scores in one run shares its start time. */
+export function latestRunKeys(health, keys) {
+  const at = (key) => health.sources[key]?.lastRun?.at ?? '';
+  const latest = [...keys].reduce((max, key) => (at(key) > max ? at(key) : max), '');
+  return new Set([...keys].filter((key) => latest && at(key) === latest));
+}
+
+/** Entries whose last run regressed, limited to `keys` (the tracked product/source pairs) when given. */
+export function regressions(health, keys) {
+  return Object.entries(health.sources)
+    .filter(([key, entry]) => entry.lastRun?.status === 'regressed' && (!keys || keys.has(key)))
+    .map(([key, entry]) => ({ key, ...entry }));
+}
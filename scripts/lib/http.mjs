@@ -0,0 +1,37 @@
+/*
+  Shared HTTP helpers for the data scripts.
+*/
+
+export const USER_AGENT = 'vbh-tracker/1.0 (+https://github.com/snugglepilot/vbh-tracker)';
+
+/** Browser-ish headers for marketplaces that refuse obvious bots. */
+export const BROWSER_HEADERS = {
+  'user-agent': 'Mozilla/5.0 (compatible; vbh-tracker/1.0; +https://github.com/snugglepilot/vbh-tracker)',
+  'accept': 'text/html,application/xhtml+xml'
+};
+
+/** Non-2xx response. `retryAfter` is the Retry-After header in seconds, when the server sent one. */
+export class HttpError extends Error {
+  constructor(status, url, retryAfter = null) {
+    super(`HTTP ${status} for ${url}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+export async function fetchText(url, init = {}) {
+  const res = await fetch(url, {
+    redirect: 'follow',
+    ...init,
+    headers: {
+      'user-agent': USER_AGENT,
+      ...init.headers
+    }
+  });
+  if (!res.ok) {
+    const retryAfter = Number(res.headers.get('retry-after'));
+    throw new HttpError(res.status, url, Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : null);
+  }
+  return await res.text();
+}
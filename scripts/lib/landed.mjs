@@ -0,0 +1,89 @@
+/*
+  Landed cost: an estimate of what a buyer in the destination country pays for a point, delivered,
+  from the model in landed-cost.json. Amounts in the model are CAD, like every point's `priceCad`:
+
+    {
+      "destination": "CA",
+      "salesTaxRate": 0.13,
+      "import": { "dutyRate": 0.18, "dutyFreeUpTo": 150, "taxFreeUpTo": 40, "brokerageFee": 10, "feeRate": 0.025 },
+      "sources": { "ebay": { "origin": "US", "shipping": 30 }, "arcteryx-ca": { "origin": "CA", "shipping": 0 } }
+    }
+
+  Only sources listed under `sources` get an estimate. The item price is the point's CAD price and
+  shipping the listing's own shipping cost, or else the source's `shipping` estimate. A source
+  shipping from the destination country pays sales tax on item and shipping. One shipping from
+  abroad also pays:
+  - duty at `dutyRate` on the item, when the item is worth more than `dutyFreeUpTo`
+  - sales tax on item, shipping and duty, when the item is worth more than `taxFreeUpTo`
+  - cross-border fees: `feeRate` of the item (card currency conversion), plus `brokerageFee`
+    when duty or tax is collected at the border
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { lookupRate } from './fx.mjs';
+
+const ROOT = path.resolve(process.cwd());
+export const LANDED_COST_PATH = path.join(ROOT, 'landed-cost.json');
+
+const round = (amount) => Number(amount.toFixed(2));
+
+/** The landed-cost model, or null when landed-cost.json doesn't exist. */
+export async function loadLandedCostModel() {
+  let model;
+  try {
+    model = JSON.parse(await fs.readFile(LANDED_COST_PATH, 'utf8'));
+  } catch (e) {
+    if (e?.code === 'ENOENT') return null;
+    throw e;
+  }
+  if (!/^[A-Z]{2}$/.test(model?.destination ?? '')) {
+    throw new Error(`${LANDED_COST_PATH}: "destination" must be a two-letter country code`);
+  }
+  return model;
+}
+
+/** The point's shipping cost in CAD, or null when it has none or no FX rate is cached for it. */
+export function shippingInCad(pt, fxCache) {
+  if (!pt.shipping) return null;
+  const currency = pt.shipping.currency.toUpperCase();
+  if (currency === 'CAD') return pt.shipping.amount;
+  const hit = lookupRate(fxCache, pt.date, currency, 'CAD');
+  return hit ? round(pt.shipping.amount * hit.rate) : null;
+}
+
+/**
+ * The landed cost of a series point in CAD with its breakdown,
+ * { amount, shipping, duty, tax, fees, estimatedShipping? }, or null when the model doesn't cover
+ * the point's source or the point has no CAD price. `shippingCad` is the listing's own shipping
+ * cost (see shippingInCad).
+ */
+export function landedCost(pt, model, shippingCad = null) {
+  const source = model?.sources?.[pt.sourceId];
+  const item = pt.priceCad?.amount;
+  if (!source || item == null) return null;
+
+  const shipping = shippingCad ?? source.shipping ?? 0;
+  const crossBorder = (source.origin ?? model.destination) !== model.destination;
+  const { dutyRate = 0, dutyFreeUpTo = 0, taxFreeUpTo = 0, brokerageFee = 0, feeRate = 0 } = model.import ?? {};
+  const duty = crossBorder && item > dutyFreeUpTo ? item * dutyRate : 0;
+  const taxed = !crossBorder || item > taxFreeUpTo;
+  const tax = taxed ? (item + shipping + duty) * (model.salesTaxRate ?? 0) : 0;
+  const fees = crossBorder ? item * feeRate + (duty > 0 || tax > 0 ? brokerageFee : 0) : 0;
+  return {
+    amount: round(item + shipping + duty + tax + fees),
+    shipping: round(shipping),
+    duty: round(duty),
+    tax: round(tax),
+    fees: round(fees),
+    ...(shippingCad == null ? { estimatedShipping: true } : {})
+  };
+}
+
+/** The point with its `landedCad` from the model (dropping a stale one); unchanged when the model doesn't cover it. */
+export function withLanded(pt, model, fxCache) {
+  const { landedCad: _stale, ...rest } = pt;
+  const landedCad = landedCost(rest, model, shippingInCad(rest, fxCache));
+  return landedCad ? { ...rest, landedCad } : rest;
+}
@@ -0,0 +1,32 @@
+/*
+  Helpers for per-listing marketplace extraction.
+*/
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+/** Plain text of an HTML fragment: tags stripped, common entities decoded, whitespace collapsed. */
+export function htmlText(fragment) {
+  return String(fragment ?? '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(#39|[a-z]+);/gi, (m, name) => ENTITIES[name.toLowerCase()] ?? m)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** Terms a listing title must contain to count as this product (`titleMatch` in tracked-products.json). */
+export function productTitleTerms(product) {
+  const terms = product.titleMatch ?? [...product.name.split(/\s+/), product.color];
+  return terms.map((t) => t.toLowerCase());
+}
+
+/** True when the title mentions every title term of the product. Without a product, everything matches. */
+export function titleMatchesProduct(title, product) {
+  if (!product) return true;
+  const haystack = String(title ?? '').toLowerCase();
+  return productTitleTerms(product).every((term) => haystack.includes(term));
+}
+
+/** Drop undefined/null fields so stored points stay compact. */
+export function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null));
+}
@@ -0,0 +1,172 @@
+/*
+  Rewrites of committed series files, run with scripts/migrate-data.mjs.
+
+  Each migration takes a parsed series file and returns { data, changed } where `changed` lists
+  human-readable descriptions of what it rewrote (empty when the file needed nothing).
+
+  The file format is versioned (`version`, absent in version 1 files). `upgradeSeries` brings a file
+  to SERIES_VERSION one step at a time; the updater applies it on load and `compact` rewrites the
+  committed files with it.
+*/
+
+import { lookupRate } from './fx.mjs';
+import { pointId } from './points.mjs';
+
+export const SERIES_VERSION = 2;
+
+// the step from `to - 1` to `to`
+const UPGRADES = [
+  {
+    to: 2,
+    description: 'give every point a stable id',
+    apply: (data) => ({ ...data, series: data.series.map((p) => ({ id: pointId(p), ...p })) })
+  }
+];
+
+/** The file at SERIES_VERSION, with `version` as its first field. Throws for files newer than this code. */
+export function upgradeSeries(data) {
+  let version = data.version ?? 1;
+  if (version > SERIES_VERSION) {
+    throw new Error(`Series file version ${version} is newer than this updater (version ${SERIES_VERSION}); update the scripts.`);
+  }
+  const changed = [];
+  let { version: _version, ...rest } = data;
+  for (const step of UPGRADES) {
+    if (step.to <= version) continue;
+    rest = step.apply(rest);
+    changed.push(`version ${version} → ${step.to}: ${step.description}`);
+    version = step.to;
+  }
+  return { data: { version, ...rest }, changed };
+}
+
+/** Points sharing an id (the later entry wins, in the earlier one's place), then sorted by date. */
+export function compactPoints(points) {
+  const byId = new Map();
+  for (const p of points) byId.set(p.id, p);
+  const compacted = [...byId.values()].sort((a, b) => a.date.localeCompare(b.date));
+  return { points: compacted, merged: points.length - compacted.length };
+}
+
+function addDays(dateISO, days) {
+  const d = new Date(`${dateISO}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Older updaters spread same-day resale points backwards one day each (cheapest first) so they'd
+ * draw as a trend. Such a run looks like: same source, kind and URL, no listing id, consecutive
+ * days, prices never decreasing. Every point in the run is moved to the run's last date, which was
+ * the real capture date. Returns the re-dated points and the runs found.
+ */
+export function unspreadDates(points, resaleSourceIds) {
+  const groups = new Map();
+  points.forEach((p, index) => {
+    if (p.listing?.id || !resaleSourceIds.has(p.sourceId)) return;
+    const key = `${p.sourceId}|${p.kind}|${p.url}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ p, index });
+  });
+
+  const newDates = new Map();
+  const runs = [];
+  for (const group of groups.values()) {
+    group.sort((a, b) => a.p.date.localeCompare(b.p.date));
+    let run = [group[0]];
+    const close = () => {
+      if (run.length > 1) {
+        const date = run[run.length - 1].p.date;
+        for (const { index } of run) newDates.set(index, date);
+        runs.push({ sourceId: run[0].p.sourceId, from: run[0].p.date, to: date, count: run.length });
+      }
+    };
+    for (const item of group.slice(1)) {
+      const prev = run[run.length - 1].p;
+      if (item.p.date === addDays(prev.date, 1) && item.p.price.amount >= prev.price.amount) {
+        run.push(item);
+      } else {
+        close();
+        run = [item];
+      }
+    }
+    close();
+  }
+
+  return { points: points.map((p, i) => (newDates.has(i) ? { ...p, date: newDates.get(i) } : p)), runs };
+}
+
+/** FX cache plus the rates the series' own points were converted at, so a re-dated point can reuse a neighbour's rate. */
+function ratesFrom(series, fxCache) {
+  const pairs = structuredClone(fxCache?.pairs ?? {});
+  for (const p of series) {
+    const fx = p.priceCad?.fx;
+    if (!fx) continue;
+    pairs[fx.pair] ??= { covered: [], rates: {} };
+    pairs[fx.pair].rates[fx.date] ??= fx.rate;
+  }
+  return { pairs };
+}
+
+/** Re-convert a re-dated point at its new date when a rate is known; otherwise keep the old conversion. */
+function reconvert(p, fxCache) {
+  const fx = p.priceCad?.fx;
+  if (!fx) return p;
+  const [from, to] = fx.pair.split('/');
+  const hit = lookupRate(fxCache, p.date, from, to);
+  if (!hit) return p;
+  const { fallback: _fallback, ...rest } = fx;
+  return {
+    ...p,
+    priceCad: {
+      amount: Number((p.price.amount * hit.rate).toFixed(2)),
+      fx: { ...rest, rate: hit.rate, date: hit.date, ...(hit.date !== p.date ? { fallback: 'previous-business-day' } : {}) }
+    }
+  };
+}
+
+export const MIGRATIONS = {
+  compact: {
+    description: 'upgrade to the current file format, merge points that share an id and sort by date',
+    apply(data) {
+      const upgraded = upgradeSeries(data);
+      const { points, merged } = compactPoints(upgraded.data.series);
+      const resorted = merged === 0 && points.some((p, i) => p !== upgraded.data.series[i]);
+      return {
+        data: { ...upgraded.data, series: points },
+        changed: [
+          ...upgraded.changed,
+          ...(merged ? [`merged ${merged} duplicate point(s)`] : []),
+          ...(resorted ? ['sorted points by date'] : [])
+        ]
+      };
+    }
+  },
+  prune: {
+    description: 'drop history explicitly: points dated before --before <date> and/or from --source <id>',
+    apply(data, { options = {} } = {}) {
+      if (!options.before && !options.source) throw new Error('prune needs --before <YYYY-MM-DD> and/or --source <id>');
+      const drop = (p) =>
+        (!options.before || p.date < options.before) && (!options.source || p.sourceId === options.source);
+      const series = data.series.filter((p) => !drop(p));
+      const dropped = data.series.length - series.length;
+      return { data: { ...data, series }, changed: dropped ? [`dropped ${dropped} point(s)`] : [] };
+    }
+  },
+  'unspread-dates': {
+    description: 'move resale points that were spread across consecutive days back to their capture date',
+    apply(data, { fxCache } = {}) {
+      const resale = new Set(data.sources.filter((s) => s.role === 'resale').map((s) => s.id));
+      const { points, runs } = unspreadDates(data.series, resale);
+      const rates = ratesFrom(data.series, fxCache);
+      // a point without a listing id is identified by its date, so a re-dated one gets a new id
+      const series = points
+        .map((p, i) => (p === data.series[i] ? p : reconvert(p.id ? { ...p, id: pointId(p) } : p, rates)))
+        .sort((a, b) => a.date.localeCompare(b.date));
+      return {
+        data: { ...data, series },
+        changed: runs.map((r) => `${r.sourceId}: ${r.count} points ${r.from}..${r.to} → ${r.to}`)
+      };
+    }
+  }
+};
@@ -0,0 +1,174 @@
+/*
+  Outlier review for series points.
+
+  Every point gets a `status`:
+  - `accepted`: plotted and used by stats and alerts
+  - `flagged`: a resale price far from nearby points of the same source and kind (robust z-score
+    against the median/MAD of the points within WINDOW_DAYS), or under RETAIL_FLOOR of the retail
+    price; hidden unless the app shows flagged points. Retail prices are never flagged: they sit flat
+    at list price, so any markdown would score as an outlier, and markdowns are what alerts and
+    promotions are looking for.
+  - `rejected`: excluded by hand
+
+  Manual decisions live in exclusions.json, keyed by product id and point key (see points.mjs), so
+  they survive re-scrapes and a listing both colourways' searches found is reviewed per product:
+  `rejected` drops a point from charts, stats and alerts; `accepted` clears an automatic flag.
+
+    { "points": [{ "key": "veilance-bucket-hat-carmine/ebay|listing|123456789012|sale", "status": "rejected", "reason": "shipping price" }] }
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { pointKey } from './points.mjs';
+
+const ROOT = path.resolve(process.cwd());
+export const EXCLUSIONS_PATH = path.join(ROOT, 'exclusions.json');
+
+export const POINT_STATUSES = ['accepted', 'flagged', 'rejected'];
+
+// Iglewicz & Hoaglin: |modified z| > 3.5 is a likely outlier.
+const Z_THRESHOLD = 3.5;
+// "nearby": same source and kind within this many days either side
+const WINDOW_DAYS = 90;
+// fewer points than this (the point included) are too few to judge
+const MIN_POINTS = 5;
+// a resale price under this share of the retail price is a part, a fake or a mislabelled listing,
+// however few points there are to compare it with
+export const RETAIL_FLOOR = 0.35;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function daysBetween(a, b) {
+  return Math.abs(Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000;
+}
+
+/** Comparable amount of a point: its CAD price, or null when it couldn't be converted. */
+function cadAmount(p) {
+  if (p.price.currency === 'CAD') return p.price.amount;
+  return p.priceCad?.amount ?? null;
+}
+
+/**
+ * Modified z-score of `value` within `values`: 0.6745 · (x − median) / MAD. When more than half the
+ * values are identical (MAD = 0) the mean absolute deviation stands in, scaled to match.
+ * Null when the values have no spread at all.
+ */
+export function robustZ(value, values) {
+  const m = median(values);
+  const mad = median(values.map((v) => Math.abs(v - m)));
+  if (mad > 0) return (0.6745 * (value - m)) / mad;
+  const meanAd = values.reduce((sum, v) => sum + Math.abs(v - m), 0) / values.length;
+  return meanAd > 0 ? (value - m) / (1.253314 * meanAd) : null;
+}
+
+/**
+ * Automatic flags: for each point, the robust z-score of its CAD price against the points of the same
+ * source and kind within WINDOW_DAYS. Returns a Map of point → { z, median } for flagged points.
+ */
+export function findOutliers(points, { threshold = Z_THRESHOLD, windowDays = WINDOW_DAYS, minPoints = MIN_POINTS } = {}) {
+  const groups = new Map();
+  for (const p of points) {
+    if (cadAmount(p) == null) continue;
+    const key = `${p.sourceId}|${p.kind}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(p);
+  }
+
+  const flagged = new Map();
+  for (const group of groups.values()) {
+    for (const p of group) {
+      const nearby = group.filter((q) => daysBetween(p.date, q.date) <= windowDays).map(cadAmount);
+      if (nearby.length < minPoints) continue;
+      const z = robustZ(cadAmount(p), nearby);
+      if (z != null && Math.abs(z) > threshold) {
+        flagged.set(p, { z: Number(z.toFixed(2)), median: Number(median(nearby).toFixed(2)) });
+      }
+    }
+  }
+  return flagged;
+}
+
+/** Ids of the `sources` ([{ id, role }], as in a series file) with the given role. */
+const idsOf = (sources, role) => new Set(sources.filter((s) => s.role === role).map((s) => s.id));
+
+/**
+ * Floor flags: points of resale `sources` priced under RETAIL_FLOOR of the median CAD price of the
+ * retail ones. Returns a Map of point → { median, floor } (median of the retail prices); empty when
+ * there are no retail points.
+ */
+export function findBelowRetail(points, sources, { ratio = RETAIL_FLOOR } = {}) {
+  const retailIds = idsOf(sources, 'retail');
+  const resaleIds = idsOf(sources, 'resale');
+  const retail = points.filter((p) => retailIds.has(p.sourceId)).map(cadAmount).filter((v) => v != null);
+  const flagged = new Map();
+  if (retail.length === 0) return flagged;
+  const reference = median(retail);
+  const floor = Number((reference * ratio).toFixed(2));
+  for (const p of points) {
+    const amount = cadAmount(p);
+    if (resaleIds.has(p.sourceId) && amount != null && amount < floor) flagged.set(p, { median: Number(reference.toFixed(2)), floor });
+  }
+  return flagged;
+}
+
+/** Why a point was flagged, as update:data and review:points print it. */
+export function describeOutlier({ z, median, floor }) {
+  return floor != null ? `under ${floor} CAD, ${RETAIL_FLOOR * 100}% of the retail median ${median} CAD` : `z=${z} vs median ${median} CAD`;
+}
+
+/** Key of a manual decision on a product's point. */
+export function exclusionKey(productId, p) {
+  return `${productId}/${pointKey(p)}`;
+}
+
+export async function loadExclusions() {
+  try {
+    const raw = JSON.parse(await fs.readFile(EXCLUSIONS_PATH, 'utf8'));
+    const points = Array.isArray(raw?.points) ? raw.points : [];
+    for (const e of points) {
+      if (!/^[^/|]+\//.test(e.key)) console.warn(`${EXCLUSIONS_PATH}: "${e.key}" names no product and applies to none; prefix it with "<productId>/".`);
+    }
+    return points;
+  } catch (e) {
+    if (e?.code === 'ENOENT') return [];
+    throw e;
+  }
+}
+
+export async function saveExclusions(entries) {
+  const points = [...entries].sort((a, b) => a.key.localeCompare(b.key));
+  await fs.writeFile(EXCLUSIONS_PATH, JSON.stringify({ points }, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Set `status` on every point of a product's series: manual decisions from `exclusions` first, then
+ * automatic flags on the points of resale `sources` ([{ id, role }]). Flagged points carry `outlier: { z, median }` (median of the nearby CAD prices) or,
+ * under the retail floor, `outlier: { median, floor }`; manual decisions carry their `reason`. Any
+ * earlier review of the points is discarded. Returns new point objects.
+ */
+export function reviewPoints(points, exclusions = [], { productId, sources = [] } = {}) {
+  const manual = new Map(exclusions.map((e) => [e.key, e]));
+  const decisionFor = (p) => manual.get(exclusionKey(productId, p));
+  const fresh = points.map(({ status, outlier, reason, ...p }) => p);
+  // rejected points don't count as neighbours for the automatic check
+  const candidates = fresh.filter((p) => decisionFor(p)?.status !== 'rejected');
+  const resaleIds = idsOf(sources, 'resale');
+  const outliers = new Map([
+    ...findBelowRetail(candidates, sources),
+    ...findOutliers(candidates.filter((p) => resaleIds.has(p.sourceId)))
+  ]);
+
+  return fresh.map((p) => {
+    const decision = decisionFor(p);
+    if (decision && POINT_STATUSES.includes(decision.status)) {
+      return { ...p, status: decision.status, ...(decision.reason ? { reason: decision.reason } : {}) };
+    }
+    const outlier = outliers.get(p);
+    return outlier ? { ...p, status: 'flagged', outlier } : { ...p, status: 'accepted' };
+  });
+}
@@ -0,0 +1,16 @@
+/*
+  Identity of series points across runs.
+*/
+
+import { createHash } from 'node:crypto';
+
+/** A point's listing when known, otherwise what was observed (source, date, kind, price). */
+export function pointKey(p) {
+  if (p.listing?.id) return `${p.sourceId}|listing|${p.listing.id}|${p.kind}`;
+  return `${p.sourceId}|${p.date}|${p.kind}|${p.price.amount}|${p.price.currency}`;
+}
+
+/** Stable id stored on series points: a short hash of the point key, so the same observation always gets the same id. */
+export function pointId(p) {
+  return createHash('sha256').update(pointKey(p)).digest('hex').slice(0, 12);
+}
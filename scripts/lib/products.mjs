@@ -0,0 +1,34 @@
+/*
+  Tracked products config.
+
+  `tracked-products.json` lists every product/colourway we follow and, per source id,
+  either a fixed `url` or a search `query` the source adapter turns into a URL
+  (see scripts/sources/index.mjs).
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const ROOT = path.resolve(process.cwd());
+export const PRODUCTS_PATH = path.join(ROOT, 'tracked-products.json');
+export const SERIES_DIR = path.join(ROOT, 'src', 'data', 'series');
+
+/** Load tracked products. The first entry is the default product (used for points without a productId). */
+export async function loadTrackedProducts() {
+  const raw = JSON.parse(await fs.readFile(PRODUCTS_PATH, 'utf8'));
+  const products = Array.isArray(raw?.products) ? raw.products : [];
+  if (products.length === 0) throw new Error(`No products configured in ${PRODUCTS_PATH}`);
+  const ids = new Set();
+  for (const p of products) {
+    if (!p?.id || !p?.name || !p?.color) throw new Error(`Tracked product is missing id/name/color: ${JSON.stringify(p)}`);
+    if (ids.has(p.id)) throw new Error(`Duplicate tracked product id: ${p.id}`);
+    ids.add(p.id);
+    p.sources = p.sources || {};
+  }
+  return products;
+}
+
+/** Path of the generated series file for a product. */
+export function seriesPath(productId) {
+  return path.join(SERIES_DIR, `${productId}.json`);
+}
@@ -0,0 +1,66 @@
+/*
+  Retail promotions: the periods a retail source sold below its list price.
+
+  A day is discounted when the source's sale price is below the list (`msrp`) price seen the same
+  day. A day with only a sale price continues a running promotion while it stays below that
+  promotion's list price. A promotion runs from its first discounted day to the first later
+  observation at full price (`end`, absent while it's still on); `discount` is the deepest markdown
+  in whole percent, with the list price and lowest sale price behind it.
+*/
+
+const discountOf = (sale, list) => Math.round((1 - sale / list) * 100);
+
+/** Per date, the lowest sale and highest list price of one source's accepted points. */
+function pricesByDay(points) {
+  const days = new Map();
+  for (const p of points) {
+    if ((p.status ?? 'accepted') !== 'accepted') continue;
+    const day = days.get(p.date) ?? {};
+    const amount = p.price.amount;
+    if (p.kind === 'msrp') day.list = Math.max(day.list ?? 0, amount);
+    else day.sale = Math.min(day.sale ?? Infinity, amount);
+    day.currency = p.price.currency;
+    days.set(p.date, day);
+  }
+  return [...days.entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * Promotions of every source in `points` (pass retail points; resale sources have no list price):
+ * [{ sourceId, start, end?, list: { amount, currency }, sale: { amount, currency }, discount }], by start date.
+ */
+export function findPromotions(points) {
+  const bySource = new Map();
+  for (const p of points) {
+    if (!bySource.has(p.sourceId)) bySource.set(p.sourceId, []);
+    bySource.get(p.sourceId).push(p);
+  }
+
+  const out = [];
+  for (const [sourceId, sourcePoints] of bySource) {
+    let current = null;
+    for (const [date, { sale, list, currency }] of pricesByDay(sourcePoints)) {
+      if (sale == null) continue;
+      const listPrice = list ?? (current?.list.currency === currency ? current.list.amount : null);
+      if (listPrice == null || sale >= listPrice) {
+        if (current) current.end = date;
+        current = null;
+        continue;
+      }
+      if (!current) {
+        current = { sourceId, start: date, list: { amount: listPrice, currency }, sale: { amount: sale, currency }, discount: 0 };
+        out.push(current);
+      }
+      const discount = discountOf(sale, listPrice);
+      if (discount > current.discount) {
+        current.discount = discount;
+        current.list = { amount: listPrice, currency };
+        current.sale = { amount: sale, currency };
+      }
+    }
+  }
+  // in the key order of the series file
+  return out
+    .map(({ sourceId, start, end, list, sale, discount }) => ({ sourceId, start, ...(end ? { end } : {}), list, sale, discount }))
+    .sort((a, b) => a.start.localeCompare(b.start) || a.sourceId.localeCompare(b.sourceId));
+}
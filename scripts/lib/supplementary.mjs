@@ -0,0 +1,62 @@
+/*
+  src/data/supplementary-points.json: resale listings from fetch:marketplace plus manual entries
+  (add:point), merged into the product series by update:data. Schema: schemas/supplementary-point.schema.json.
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const ROOT = path.resolve(process.cwd());
+export const SUPPLEMENTARY_PATH = path.join(ROOT, 'src', 'data', 'supplementary-points.json');
+
+export async function loadSupplementaryPoints(file = SUPPLEMENTARY_PATH) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (e) {
+    if (e?.code === 'ENOENT') return [];
+    throw e;
+  }
+  const points = JSON.parse(raw);
+  if (!Array.isArray(points)) throw new Error(`${path.relative(ROOT, file)} must contain a JSON array of points`);
+  return points;
+}
+
+/** Write the points sorted by date, then price. */
+export async function saveSupplementaryPoints(points, file = SUPPLEMENTARY_PATH) {
+  const sorted = [...points].sort((a, b) => a.date.localeCompare(b.date) || (a.price?.amount ?? 0) - (b.price?.amount ?? 0));
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(sorted, null, 2) + '\n', 'utf8');
+}
+
+/** A listing seen again (later scrape, another snapshot) is the same sale. */
+function seenKey(pt, defaultProductId) {
+  const productId = pt.productId || defaultProductId;
+  return pt.listing?.id
+    ? `${productId}|${pt.sourceId}|listing|${pt.listing.id}`
+    : `${productId}|${pt.date}|${pt.sourceId}|${pt.price?.amount}`;
+}
+
+/**
+ * Merge one scrape's points into the supplementary points, adding each sale once. For the sources in
+ * `replaceOnRefresh` (eBay's sold search only lists recent sales), a live search replaces the
+ * product's points from earlier live searches. Wayback backfill and manual entries stay, since they
+ * can't be fetched again: backfilled points carry `wayback`, or (from before it was recorded) come
+ * from one of the `waybackSnapshots` content hashes.
+ * Returns { merged, added, replaced }.
+ */
+export function mergeScrape(existing, found, { defaultProductId, replaceOnRefresh = new Set(), waybackSnapshots = new Set() }) {
+  const fromLiveSearch = (pt) => Boolean(pt.provenance?.snapshot) && !pt.wayback && !waybackSnapshots.has(pt.provenance.snapshot);
+  const group = (pt) => `${pt.productId || defaultProductId}|${pt.sourceId}`;
+  const refreshed = new Set(found.filter((pt) => replaceOnRefresh.has(pt.sourceId) && fromLiveSearch(pt)).map(group));
+  const kept = existing.filter((pt) => !(refreshed.has(group(pt)) && fromLiveSearch(pt)));
+  const keys = new Set(kept.map((pt) => seenKey(pt, defaultProductId)));
+  const added = [];
+  for (const pt of found) {
+    const key = seenKey(pt, defaultProductId);
+    if (keys.has(key)) continue;
+    keys.add(key);
+    added.push(pt);
+  }
+  return { merged: [...kept, ...added], added: added.length, replaced: existing.length - kept.length };
+}
@@ -0,0 +1,131 @@
+/*
+  Validation of the data files against the JSON Schemas in schemas/, plus the checks a schema can't
+  express (known product and source ids, no future dates, duplicates).
+
+  Every check returns human-readable reasons, so callers can report exactly what is wrong with an
+  entry instead of dropping it silently.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+import { pointKey } from './points.mjs';
+
+const ROOT = path.resolve(process.cwd());
+export const SCHEMA_DIR = path.join(ROOT, 'schemas');
+
+const readSchema = (name) => JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, name), 'utf8'));
+
+// verbose: errors carry the offending value
+const ajv = new Ajv({ allErrors: true, verbose: true });
+addFormats(ajv, ['uri']);
+ajv.addSchema(readSchema('supplementary-point.schema.json'));
+ajv.addSchema(readSchema('series.schema.json'));
+const validatePoint = ajv.getSchema('supplementary-point.schema.json');
+const validateSeriesFile = ajv.getSchema('series.schema.json');
+
+// what a value failing a pattern/format should look like, by the definition or property name
+const FORMAT_HINTS = {
+  date: 'a date (YYYY-MM-DD)',
+  currency: 'a 3-letter currency code in capitals (e.g. USD)',
+  url: 'an http(s) URL',
+  timestamp: 'a 14-digit Wayback timestamp',
+  snapshot: 'a SHA-256 content hash',
+  parser: 'parser id@version',
+  id: 'a 12-character hex point id (see scripts/lib/points.mjs)'
+};
+
+/** ajv's instancePath ('/price/amount', '/series/3/listing') as 'price.amount' / 'series[3].listing'. */
+const fieldPath = (instancePath) =>
+  instancePath
+    .split('/')
+    .slice(1)
+    .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((at, part) => (/^\d+$/.test(part) ? `${at}[${part}]` : at ? `${at}.${part}` : part), '');
+
+function describe(err) {
+  const at = fieldPath(err.instancePath);
+  const field = (name) => (at ? `${at}.${name}` : name);
+  switch (err.keyword) {
+    case 'required':
+      return `${field(err.params.missingProperty)} is missing`;
+    case 'additionalProperties':
+      return `unknown field ${field(err.params.additionalProperty)}`;
+    case 'enum':
+      return `${at} must be one of ${err.params.allowedValues.join(', ')}`;
+    case 'pattern':
+    case 'format': {
+      // the definition or property the pattern belongs to
+      const hint = FORMAT_HINTS[/(\w+)\/(?:pattern|format)$/.exec(err.schemaPath)?.[1]];
+      return hint ? `${at} must be ${hint}, got ${JSON.stringify(err.data)}` : `${at} ${err.message}`;
+    }
+    default:
+      return `${at || 'entry'} ${err.message}`;
+  }
+}
+
+// 'if'/'then' failures are reported through the errors of the 'then' branch; a value failing both
+// the pattern and the format of a definition is reported once
+const reasonsFrom = (errors) => [...new Set((errors ?? []).filter((e) => e.keyword !== 'if').map(describe))];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Problems with one supplementary point, or an empty list when it is valid. `products` are the
+ * tracked products (the first is the default) and `sourceIds` the registered adapter ids.
+ */
+export function checkSupplementaryPoint(point, { products, sourceIds }) {
+  if (!validatePoint(point)) return reasonsFrom(validatePoint.errors);
+  const reasons = [];
+  if (point.productId && !products.some((p) => p.id === point.productId)) {
+    reasons.push(`unknown product "${point.productId}" (not in tracked-products.json)`);
+  }
+  if (!sourceIds.includes(point.sourceId)) {
+    reasons.push(`unknown source "${point.sourceId}" (no adapter in scripts/sources/)`);
+  }
+  if (point.date > today()) reasons.push(`date ${point.date} is in the future`);
+  return reasons;
+}
+
+/** Every invalid supplementary point as { index, reasons }, in file order. */
+export function checkSupplementaryPoints(points, context) {
+  const issues = [];
+  points.forEach((point, index) => {
+    const reasons =
+      point && typeof point === 'object' && !Array.isArray(point)
+        ? checkSupplementaryPoint(point, context)
+        : ['entry is not an object'];
+    if (reasons.length > 0) issues.push({ index, reasons });
+  });
+  return issues;
+}
+
+/**
+ * Entries that repeat an earlier one (same product and point key: listing id, or source, date,
+ * kind and price) as { index, of } with `of` the index of the first occurrence.
+ */
+export function findDuplicatePoints(points, defaultProductId) {
+  const first = new Map();
+  const duplicates = [];
+  points.forEach((point, index) => {
+    if (!point?.price || !point.sourceId) return;
+    const key = `${point.productId || defaultProductId}|${pointKey(point)}`;
+    if (first.has(key)) duplicates.push({ index, of: first.get(key) });
+    else first.set(key, index);
+  });
+  return duplicates;
+}
+
+/** Problems with a generated series file, each prefixed with where in the file it is. */
+export function checkSeries(data) {
+  return validateSeriesFile(data) ? [] : reasonsFrom(validateSeriesFile.errors);
+}
+
+/** Short description of a point for reports: `ebay 2026-02-02 120 USD`. */
+export function describePoint(point) {
+  const parts = [point?.sourceId, point?.date, point?.price && `${point.price.amount} ${point.price.currency}`];
+  return parts.filter(Boolean).join(' ') || 'entry';
+}
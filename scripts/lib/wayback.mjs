@@ -0,0 +1,221 @@
+/*
+  Wayback Machine backfill: CDX snapshot listing, a rate-limited request queue with exponential
+  backoff, and a progress file so a backfill can stop at any point and pick up where it left off.
+
+  Progress is kept in src/data/wayback-state.json per page (product, source and URL):
+
+    { "pages": { "<productId>|<sourceId>|<url>": {
+        "processed": ["20250301120000", ...],
+        "failed": { "20250402080000": { "attempts": 2, "error": "HTTP 503 for ...", "at": "2026-10-19T06:00:00.000Z" } }
+    } } }
+
+  Processed snapshots are never fetched again. Failed ones are retried by later runs until they have
+  failed MAX_ATTEMPTS times (--retry-failed retries them anyway).
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { archivePage, findArchivedSnapshot, readArchivedPage } from './archive.mjs';
+import { fetchText } from './http.mjs';
+
+const ROOT = path.resolve(process.cwd());
+export const WAYBACK_STATE_PATH = path.join(ROOT, 'src', 'data', 'wayback-state.json');
+
+export const MAX_ATTEMPTS = 3;
+// requests per second against web.archive.org (CDX and snapshot pages alike)
+const DEFAULT_RATE = 1;
+const DEFAULT_RETRIES = 4;
+const DEFAULT_BACKOFF_MS = 5000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function isoDateFromWaybackTimestamp(ts) {
+  // ts: YYYYMMDDhhmmss
+  return `${ts.slice(0, 4)}-${ts.slice(4, 6)}-${ts.slice(6, 8)}`;
+}
+
+export const snapshotUrl = (timestamp, url) => `https://web.archive.org/web/${timestamp}/${url}`;
+
+/** 429, 5xx and network failures are worth retrying; other HTTP errors are not. */
+function isRetryable(err) {
+  if (err?.status != null) return err.status === 429 || err.status >= 500;
+  return err instanceof TypeError;
+}
+
+/**
+ * A request queue for web.archive.org: at most `rate` requests per second, and failed requests
+ * retried with exponential backoff (`backoffMs`, doubling, or the server's Retry-After if longer).
+ */
+export function createWaybackClient({
+  rate = DEFAULT_RATE,
+  retries = DEFAULT_RETRIES,
+  backoffMs = DEFAULT_BACKOFF_MS,
+  request = fetchText,
+  sleep = delay,
+  now = Date.now
+} = {}) {
+  const interval = 1000 / rate;
+  let nextAt = 0;
+
+  async function run(task) {
+    for (let attempt = 0; ; attempt++) {
+      const wait = nextAt - now();
+      if (wait > 0) await sleep(wait);
+      nextAt = now() + interval;
+      try {
+        return await task();
+      } catch (e) {
+        if (!isRetryable(e) || attempt >= retries) throw e;
+        const backoff = Math.max(backoffMs * 2 ** attempt, (e.retryAfter ?? 0) * 1000);
+        console.warn(`  Wayback: ${e.message}; retrying in ${Math.round(backoff / 1000)}s (${attempt + 1}/${retries})`);
+        await sleep(backoff);
+      }
+    }
+  }
+
+  return {
+    run,
+
+    /**
+     * Snapshot timestamps for a URL as [{ timestamp, date }], oldest first. `from`/`to` (YYYY-MM-DD)
+     * limit the capture dates; `perDay` keeps the first snapshot of each day.
+     */
+    async snapshots(url, { collapse = 'digest', from, to, limit, perDay = false } = {}) {
+      const cdxUrl = new URL('https://web.archive.org/cdx/search/cdx');
+      cdxUrl.searchParams.set('url', url);
+      cdxUrl.searchParams.set('output', 'json');
+      cdxUrl.searchParams.set('fl', 'timestamp');
+      cdxUrl.searchParams.set('filter', 'statuscode:200');
+      // digest: one per distinct content; timestamp: one per capture time
+      cdxUrl.searchParams.set('collapse', collapse);
+      if (from) cdxUrl.searchParams.set('from', from.replaceAll('-', ''));
+      if (to) cdxUrl.searchParams.set('to', to.replaceAll('-', ''));
+      if (limit) cdxUrl.searchParams.set('limit', String(limit));
+
+      const text = await run(() => request(cdxUrl.toString()));
+      if (!text.trimStart().startsWith('[')) throw new Error('Wayback CDX returned non-JSON');
+      const rows = JSON.parse(text).slice(1); // header
+      const seenDates = new Set();
+      const out = [];
+      for (const [timestamp] of rows.sort(([a], [b]) => String(a).localeCompare(String(b)))) {
+        if (!timestamp) continue;
+        const date = isoDateFromWaybackTimestamp(timestamp);
+        if (perDay && seenDates.has(date)) continue;
+        seenDates.add(date);
+        out.push({ timestamp, date });
+      }
+      return out;
+    },
+
+    /** Fetch a snapshot of `url` through the adapter's own fetch (headers etc.). */
+    page(adapter, timestamp, url) {
+      return run(() => adapter.fetch(snapshotUrl(timestamp, url)));
+    }
+  };
+}
+
+/**
+ * A snapshot page and its archive hash: read from the page archive when it was fetched before (by
+ * another product sharing the page, or a run that didn't finish), otherwise fetched and archived.
+ */
+export async function fetchSnapshot(client, archive, adapter, { url, timestamp, date, run, productId }) {
+  const archived = findArchivedSnapshot(archive, { sourceId: adapter.id, url, timestamp });
+  const stored = archived && (await readArchivedPage(archive, archived));
+  if (stored) return { html: stored, hash: archived };
+  const html = await client.page(adapter, timestamp, url);
+  const hash = await archivePage(archive, html, { sourceId: adapter.id, url, date, run, productId, wayback: { timestamp } });
+  return { html, hash };
+}
+
+/** Options shared by the scripts: --from / --to (YYYY-MM-DD), --max (snapshots per page), --rate, --retry-failed. */
+export function waybackOptionsFromArgs(argv = process.argv) {
+  const value = (name) => {
+    const i = argv.indexOf(name);
+    return i >= 0 ? argv[i + 1] : undefined;
+  };
+  const date = (name) => {
+    const v = value(name);
+    if (v != null && !/^\d{4}-\d{2}-\d{2}$/.test(v)) throw new Error(`${name} expects a date (YYYY-MM-DD), got ${v}`);
+    return v;
+  };
+  const positive = (name) => {
+    const v = value(name);
+    if (v == null) return undefined;
+    const n = Number(v);
+    if (!(n > 0)) throw new Error(`${name} expects a positive number, got ${v}`);
+    return n;
+  };
+  return {
+    from: date('--from'),
+    to: date('--to'),
+    max: positive('--max'),
+    rate: positive('--rate'),
+    retryFailed: argv.includes('--retry-failed')
+  };
+}
+
+export async function loadWaybackState(file = WAYBACK_STATE_PATH) {
+  try {
+    const state = JSON.parse(await fs.readFile(file, 'utf8'));
+    return { file, pages: state?.pages ?? {} };
+  } catch (e) {
+    if (e?.code === 'ENOENT') return { file, pages: {} };
+    throw e;
+  }
+}
+
+export async function saveWaybackState(state) {
+  const pages = {};
+  for (const key of Object.keys(state.pages).sort()) {
+    const { processed, failed } = state.pages[key];
+    pages[key] = {
+      processed: [...new Set(processed)].sort(),
+      failed: Object.fromEntries(Object.entries(failed).sort(([a], [b]) => a.localeCompare(b)))
+    };
+  }
+  await fs.mkdir(path.dirname(state.file), { recursive: true });
+  await fs.writeFile(state.file, JSON.stringify({ pages }, null, 2) + '\n', 'utf8');
+}
+
+/** Progress entry for one page, created on first use. */
+export function pageState(state, { productId, sourceId, url }) {
+  const key = `${productId}|${sourceId}|${url}`;
+  if (!state.pages[key]) state.pages[key] = { processed: [], failed: {} };
+  return state.pages[key];
+}
+
+/** Up to `max` items spread evenly over the list: first, last and evenly in between. */
+export function sampleEvenly(items, max) {
+  if (!max || items.length <= max) return items;
+  if (max === 1) return [items[0]];
+  const picked = new Set();
+  for (let i = 0; i < max; i++) picked.add(Math.round((i * (items.length - 1)) / (max - 1)));
+  return items.filter((_, i) => picked.has(i));
+}
+
+/**
+ * Snapshots still to fetch for a page: inside [from, to], not processed yet and not given up on,
+ * sampled down to `max`.
+ */
+export function pendingSnapshots(snapshots, entry, { from, to, max, retryFailed = false } = {}) {
+  const done = new Set(entry.processed);
+  const pending = snapshots.filter(
+    ({ timestamp, date }) =>
+      (!from || date >= from) &&
+      (!to || date <= to) &&
+      !done.has(timestamp) &&
+      (retryFailed || (entry.failed[timestamp]?.attempts ?? 0) < MAX_ATTEMPTS)
+  );
+  return sampleEvenly(pending, max);
+}
+
+export function markProcessed(entry, timestamp) {
+  entry.processed.push(timestamp);
+  delete entry.failed[timestamp];
+}
+
+export function markFailed(entry, timestamp, err) {
+  const attempts = (entry.failed[timestamp]?.attempts ?? 0) + 1;
+  entry.failed[timestamp] = { attempts, error: String(err?.message ?? err), at: new Date().toISOString() };
+}
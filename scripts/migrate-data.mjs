@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/*
+  VBH Tracker data migrations
+
+  Rewrites committed series files in place (see scripts/lib/migrations.mjs):
+
+    node scripts/migrate-data.mjs                                  list migrations
+    node scripts/migrate-data.mjs <migration> [--dry-run] [file...]
+    node scripts/migrate-data.mjs compact                          upgrade the file format, merge duplicate ids
+    node scripts/migrate-data.mjs prune --before 2025-01-01 [--source ebay]
+
+  Without files, every tracked product's series file is migrated. Re-dated points are re-converted
+  to CAD from the FX cache when it has the rate. update:data never drops points itself; `prune` is
+  the way to remove history.
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { loadFxCache } from './lib/fx.mjs';
+import { MIGRATIONS } from './lib/migrations.mjs';
+import { loadTrackedProducts, seriesPath } from './lib/products.mjs';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dry-run') continue;
+    if (args[i] === '--before' || args[i] === '--source') options[args[i].slice(2)] = args[++i];
+    else positional.push(args[i]);
+  }
+  if (options.before != null && !/^\d{4}-\d{2}-\d{2}$/.test(options.before)) throw new Error('--before expects a date (YYYY-MM-DD)');
+  const [name, ...files] = positional;
+
+  if (!name) {
+    for (const [id, m] of Object.entries(MIGRATIONS)) console.log(`${id}: ${m.description}`);
+    return;
+  }
+  const migration = MIGRATIONS[name];
+  if (!migration) throw new Error(`Unknown migration "${name}" (known: ${Object.keys(MIGRATIONS).join(', ')})`);
+
+  const targets = files.length > 0 ? files.map((f) => path.resolve(f)) : (await loadTrackedProducts()).map((p) => seriesPath(p.id));
+  const fxCache = await loadFxCache();
+
+  for (const file of targets) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+      if (e?.code === 'ENOENT') continue;
+      throw e;
+    }
+    const result = migration.apply(data, { fxCache, options });
+    const rel = path.relative(process.cwd(), file);
+    if (result.changed.length === 0) {
+      console.log(`${rel}: nothing to migrate`);
+      continue;
+    }
+    for (const line of result.changed) console.log(`${rel}: ${line}`);
+    if (!dryRun) await fs.writeFile(file, JSON.stringify(result.data, null, 2) + '\n', 'utf8');
+  }
+  if (dryRun) console.log('Dry run: no files written.');
+}
+
+main().catch((err) => {
+  console.error(err?.message || err);
+  process.exit(1);
+});
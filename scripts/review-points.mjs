@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/*
+  VBH Tracker point review
+
+  Lists flagged points and records manual decisions in exclusions.json, then re-applies the review
+  to the series files so the app reflects it without a re-scrape:
+
+    node scripts/review-points.mjs list [--all]          flagged points (--all: rejected and manually accepted too)
+    node scripts/review-points.mjs reject <key> [--reason "..."]
+    node scripts/review-points.mjs accept <key> [--reason "..."]
+    node scripts/review-points.mjs reset <key>           drop the manual decision
+
+  Keys are `<productId>/<point key>`, as printed by `list` (and by update:data when it flags a point).
+*/
+
+import fs from 'node:fs/promises';
+
+import { describeOutlier, exclusionKey, loadExclusions, reviewPoints, saveExclusions } from './lib/outliers.mjs';
+import { loadTrackedProducts, seriesPath } from './lib/products.mjs';
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+async function loadSeriesFiles() {
+  const out = [];
+  for (const product of await loadTrackedProducts()) {
+    const file = seriesPath(product.id);
+    try {
+      out.push({ file, data: JSON.parse(await fs.readFile(file, 'utf8')) });
+    } catch (e) {
+      if (e?.code !== 'ENOENT') throw e;
+    }
+  }
+  return out;
+}
+
+function describe(productId, p) {
+  const cad = p.priceCad ? ` (${p.priceCad.amount} CAD)` : '';
+  const why = p.outlier ? describeOutlier(p.outlier) : p.reason ?? '';
+  return `${p.status.padEnd(8)} ${p.date} ${p.price.amount} ${p.price.currency}${cad}  ${why}\n         ${exclusionKey(productId, p)}\n         ${p.url}`;
+}
+
+const reviewOptions = (data) => ({ productId: data.product.id, sources: data.sources });
+
+async function list(all) {
+  let shown = 0;
+  for (const { data } of await loadSeriesFiles()) {
+    const points = data.series.filter((p) => p.status === 'flagged' || (all && (p.status === 'rejected' || p.reason != null)));
+    if (points.length === 0) continue;
+    console.log(`${data.product.id}:`);
+    for (const p of points) console.log(`  ${describe(data.product.id, p)}`);
+    shown += points.length;
+  }
+  if (shown === 0) console.log(all ? 'No flagged or reviewed points.' : 'No flagged points.');
+}
+
+async function decide(command, key) {
+  if (!key) throw new Error(`Usage: review-points.mjs ${command} <key>`);
+  const files = await loadSeriesFiles();
+  if (!files.some(({ data }) => data.series.some((p) => exclusionKey(data.product.id, p) === key))) {
+    console.warn(`No point with key ${key} in the current series; recording the decision anyway.`);
+  }
+
+  const exclusions = (await loadExclusions()).filter((e) => e.key !== key);
+  if (command !== 'reset') {
+    const reason = argValue('--reason');
+    exclusions.push({ key, status: command === 'reject' ? 'rejected' : 'accepted', ...(reason ? { reason } : {}) });
+  }
+  await saveExclusions(exclusions);
+
+  for (const { file, data } of files) {
+    data.series = reviewPoints(data.series, exclusions, reviewOptions(data));
+    await fs.writeFile(file, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  }
+  console.log(`${{ reject: 'Rejected', accept: 'Accepted', reset: 'Cleared decision for' }[command]} ${key}.`);
+}
+
+async function main() {
+  const [command, key] = process.argv.slice(2);
+  if (command === 'list') return list(process.argv.includes('--all'));
+  if (['reject', 'accept', 'reset'].includes(command)) return decide(command, key);
+  throw new Error('Usage: review-points.mjs list [--all] | reject <key> [--reason "..."] | accept <key> [--reason "..."] | reset <key>');
+}
+
+main().catch((err) => {
+  console.error(err?.message || err);
+  process.exit(1);
+});
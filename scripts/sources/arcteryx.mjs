@@ -0,0 +1,265 @@
+/*
+  Arc'teryx storefronts (retail), one source per region listed in storefronts.json: each has its
+  own id, region and native currency, and products give its page URL in tracked-products.json.
+  Besides the price, the product page says which sizes of each colour are in stock (see
+  parseAvailabilityFromHtml). During a markdown it also shows the regular price, which is recorded
+  as an `msrp` point next to the sale price.
+
+  One page serves every colourway of a product, so products in different colours share its URL.
+  When the page prices its variants per colour, each product gets the price of its own colour (see
+  colorPrice); otherwise the page's price applies to all of them.
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { fetchText } from '../lib/http.mjs';
+
+const STOREFRONTS_PATH = path.join(path.resolve(process.cwd()), 'storefronts.json');
+
+// a visible amount after its currency symbol: $225.00, £150, €180.00, ¥16,500
+const SYMBOL = '(?:[$£€¥]|&pound;|&euro;|&yen;)';
+const AMOUNT = '([0-9]{1,3}(?:,[0-9]{3})+(?:\\.[0-9]{2})?|[0-9]+(?:\\.[0-9]{2})?)';
+const amountOf = (text) => Number(text.replace(/,/g, ''));
+
+// schema.org price specifications giving the regular price next to a sale price, e.g.
+// {"@type":"UnitPriceSpecification","priceType":"https://schema.org/ListPrice","price":"225.00","priceCurrency":"CAD"}
+const LIST_PRICE_SPEC = /\{[^{}]*"priceType"\s*:\s*"[^"]*(?:ListPrice|StrikethroughPrice)"[^{}]*\}/gi;
+
+// a price shown struck out next to the sale price: <s>, <del> or <strike>, or an element styled as the old price
+const STRUCK_PRICE = [
+  new RegExp(`<(s|del|strike)\\b[^>]*>[^<]*?${SYMBOL}\\s*${AMOUNT}[^<]*<\\/\\1>`, 'gi'),
+  new RegExp(
+    `<(\\w+)\\b[^>]*class="[^"]*\\b(?:price--original|was-price|compare-at-price|strikethrough)\\b[^"]*"[^>]*>[^<]*?${SYMBOL}\\s*${AMOUNT}[^<]*<\\/\\1>`,
+    'gi'
+  )
+];
+
+const VISIBLE_PRICE = new RegExp(`${SYMBOL}\\s*${AMOUNT}`);
+
+const PRICE = /"price"\s*:\s*"?([0-9]+(?:\.[0-9]+)?)"?/i;
+
+/**
+ * The regular (list) price when the page shows one next to a lower sale price: from a JSON-LD
+ * ListPrice / StrikethroughPrice specification, else from a struck-out price on the page.
+ */
+function findListPrice(html) {
+  for (const m of html.matchAll(LIST_PRICE_SPEC)) {
+    const price = m[0].match(PRICE)?.[1];
+    if (price) return { amount: Number(price), match: m[0], currency: m[0].match(/"priceCurrency"\s*:\s*"([A-Z]{3})"/i)?.[1] };
+  }
+  for (const pattern of STRUCK_PRICE) {
+    const m = html.match(new RegExp(pattern.source, 'i'));
+    if (m) return { amount: amountOf(m[2]), match: m[0] };
+  }
+  return null;
+}
+
+/**
+ * Sale and list price of a product page; `currency` is the storefront's, for pages without JSON-LD.
+ * With a `color`, the price of that colour's variants when the page lists prices per colour.
+ */
+export function parsePriceFromHtml(html, { currency: storefrontCurrency = 'CAD', color } = {}) {
+  const variant = color ? colorPrice(html, color) : null;
+  if (variant) return { ...variant, currency: (variant.currency || storefrontCurrency).toUpperCase() };
+
+  // Arc'teryx pages typically embed structured product data. Prefer JSON-LD when present.
+  // We'll look for an offers block containing price + priceCurrency.
+
+  // 1) JSON-LD offers (best), skipping list price specifications so the sale price wins
+  // e.g. "offers":{"@type":"Offer","priceCurrency":"CAD","price":"225.00" ...}
+  const jsonLdCurrency = html.match(/"priceCurrency"\s*:\s*"([A-Z]{3})"/i)?.[1];
+  const jsonLdMatch = html.replace(LIST_PRICE_SPEC, '').match(PRICE);
+  const jsonLdPrice = jsonLdMatch?.[1];
+
+  // 2) Fallback: visible formatted price like $225.00, other than a struck-out old price
+  const visible = STRUCK_PRICE.reduce((text, pattern) => text.replace(pattern, ''), html);
+  const textMatch = visible.match(VISIBLE_PRICE);
+  const textPrice = textMatch?.[1];
+
+  const currency = (jsonLdCurrency || storefrontCurrency).toUpperCase();
+  const current = jsonLdPrice ? Number(jsonLdPrice) : (textPrice ? amountOf(textPrice) : null);
+  // the text the price was read from, kept as provenance, and which of the two found it
+  const match = (jsonLdPrice ? jsonLdMatch : textPrice ? textMatch : null)?.[0];
+  const strategy = jsonLdPrice ? 'json-ld' : textPrice ? 'text' : null;
+
+  // Full-price pages show a single price; a list price only appears during a markdown, and only
+  // counts when it is above the sale price.
+  const list = current != null ? findListPrice(html) : null;
+  const isList = list && (list.currency ?? currency).toUpperCase() === currency && list.amount > current;
+  const regular = isList ? list.amount : null;
+  const regularMatch = isList ? list.match : undefined;
+
+  return { current, regular, currency, match, strategy, regularMatch };
+}
+
+// schema.org ItemAvailability names (and product-JSON spellings like "IN_STOCK") → stock status
+const STOCK_STATUS = {
+  instock: 'in-stock',
+  limitedavailability: 'in-stock',
+  onlineonly: 'in-stock',
+  outofstock: 'out-of-stock',
+  soldout: 'out-of-stock',
+  discontinued: 'out-of-stock',
+  instoreonly: 'out-of-stock',
+  backorder: 'backorder',
+  preorder: 'backorder',
+  presale: 'backorder'
+};
+
+function stockStatus(value) {
+  if (typeof value === 'boolean') return value ? 'in-stock' : 'out-of-stock';
+  if (typeof value === 'number') return value > 0 ? 'in-stock' : 'out-of-stock';
+  if (typeof value !== 'string') return undefined;
+  return STOCK_STATUS[value.split('/').pop().replace(/[^a-z]/gi, '').toLowerCase()];
+}
+
+function jsonScripts(html) {
+  const out = [];
+  for (const m of html.matchAll(/<script[^>]*type="application\/(?:ld\+)?json"[^>]*>([\s\S]*?)<\/script>/g)) {
+    try {
+      out.push(JSON.parse(m[1]));
+    } catch {
+      // not JSON (or truncated by the archive); ignore
+    }
+  }
+  return out;
+}
+
+const textValue = (...values) => values.find((v) => typeof v === 'string' && v.trim())?.trim();
+
+/**
+ * Walk JSON-LD / product JSON for objects carrying a stock signal. Size and colour are inherited from
+ * enclosing objects, so an Offer nested in a Product variant picks up the variant's size and colour.
+ */
+function findStockRecords(node, inherited = {}, out = []) {
+  if (Array.isArray(node)) {
+    for (const item of node) findStockRecords(item, inherited, out);
+  } else if (node && typeof node === 'object') {
+    const here = {
+      size: textValue(node.size, node.sizeLabel, node.size?.name) ?? inherited.size,
+      color: textValue(node.color, node.colour, node.colorLabel, node.colourLabel) ?? inherited.color
+    };
+    const status = stockStatus(node.availability ?? node.stockStatus ?? node.inStock ?? node.isInStock ?? node.inventory);
+    if (status) out.push({ ...here, status });
+    for (const value of Object.values(node)) findStockRecords(value, here, out);
+  }
+  return out;
+}
+
+const sameColor = (a, b) => a.toLowerCase().replace(/[^a-z]/g, '') === b.toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Walk JSON-LD / product JSON for prices, inheriting colour and currency from enclosing objects like
+ * findStockRecords: [{ color?, amount, currency?, list, node }], `list` for a list price specification.
+ */
+function findPriceRecords(node, inherited = {}, out = []) {
+  if (Array.isArray(node)) {
+    for (const item of node) findPriceRecords(item, inherited, out);
+  } else if (node && typeof node === 'object') {
+    const here = {
+      color: textValue(node.color, node.colour, node.colorLabel, node.colourLabel) ?? inherited.color,
+      currency: textValue(node.priceCurrency) ?? inherited.currency
+    };
+    const amount = Number(node.price);
+    if (typeof node.price !== 'object' && amount > 0) {
+      out.push({ ...here, amount, list: /ListPrice|StrikethroughPrice/i.test(node.priceType ?? ''), node });
+    }
+    for (const value of Object.values(node)) findPriceRecords(value, here, out);
+  }
+  return out;
+}
+
+/**
+ * Sale and list price of one colour from the page's per-colour variant prices (the lowest over its
+ * sizes), as parsePriceFromHtml returns them. Null when the page doesn't price its colours
+ * separately; no price (`current` null) when it does but doesn't list this colour.
+ */
+function colorPrice(html, color) {
+  const records = findPriceRecords(jsonScripts(html)).filter((r) => r.color);
+  if (records.length === 0) return null;
+  const own = records.filter((r) => sameColor(r.color, color));
+  const sale = own.filter((r) => !r.list).sort((a, b) => a.amount - b.amount)[0];
+  if (!sale) return { current: null, regular: null, currency: undefined, match: undefined, strategy: null, regularMatch: undefined };
+  const list = own.filter((r) => r.list && r.amount > sale.amount).sort((a, b) => b.amount - a.amount)[0];
+  return {
+    current: sale.amount,
+    regular: list?.amount ?? null,
+    currency: sale.currency,
+    match: `"price":${JSON.stringify(sale.node.price)}`,
+    strategy: 'json-ld',
+    regularMatch: list ? `"price":${JSON.stringify(list.node.price)}` : undefined
+  };
+}
+
+/**
+ * Stock status of the product page, optionally narrowed to one colour:
+ * { status: 'in-stock' | 'out-of-stock' | 'backorder', variants: [{ size?, color?, status }] }.
+ * Null when the page doesn't say (or doesn't list `color` at all).
+ */
+export function parseAvailabilityFromHtml(html, { color } = {}) {
+  let records = findStockRecords(jsonScripts(html));
+  // a product-level flag next to per-size records only repeats them
+  if (records.some((r) => r.size)) records = records.filter((r) => r.size);
+  if (color && records.length > 0) {
+    records = records.filter((r) => !r.color || sameColor(r.color, color));
+    if (records.length === 0) return null;
+  }
+
+  const variants = [];
+  const seen = new Set();
+  for (const r of records) {
+    const key = `${r.size ?? ''}|${r.color ?? ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    variants.push(r.size ? r : { color: r.color, status: r.status });
+  }
+
+  if (variants.length === 0) {
+    // no structured data: fall back to the visible "Sold out" state
+    return /\bsold\s+out\b/i.test(html) ? { status: 'out-of-stock', variants: [] } : null;
+  }
+  const statuses = new Set(variants.map((v) => v.status));
+  const status = statuses.has('in-stock') ? 'in-stock' : statuses.has('backorder') ? 'backorder' : 'out-of-stock';
+  // a single product-level record says nothing per size
+  return { status, variants: variants.filter((v) => v.size) };
+}
+
+/**
+ * Source adapter for one storefront of storefronts.json: { id, region, currency, color, name? }.
+ * @returns {import('./index.mjs').SourceAdapter}
+ */
+export function storefrontAdapter({ id, region, currency, color, name }) {
+  return {
+    id,
+    name: name ?? `Arc'teryx (${region})`,
+    role: 'retail',
+    region,
+    currency,
+    color,
+    version: 3,
+    // every distinct snapshot of the product page is a price observation
+    wayback: { collapse: 'digest' },
+    // the visible-price fallback picks the first amount on the page, which may not be this product's
+    strategies: ['json-ld', 'text'],
+
+    fetch: (url) => fetchText(url),
+
+    parse(html, { date, product }) {
+      const { current, regular, currency: found, match, strategy, regularMatch } = parsePriceFromHtml(html, { currency, color: product?.color });
+      const out = [];
+      if (current != null) out.push({ date, kind: 'sale', price: { amount: current, currency: found }, match, strategy });
+      if (regular != null) out.push({ date, kind: 'msrp', price: { amount: regular, currency: found }, match: regularMatch });
+      return out;
+    },
+
+    parseAvailability(html, { date, product }) {
+      const availability = parseAvailabilityFromHtml(html, { color: product?.color });
+      return availability && { date, ...availability };
+    }
+  };
+}
+
+const { arcteryx: storefronts = [] } = JSON.parse(await fs.readFile(STOREFRONTS_PATH, 'utf8'));
+
+export default storefronts.map(storefrontAdapter);
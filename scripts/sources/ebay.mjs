@@ -0,0 +1,108 @@
+/*
+  eBay sold/completed listings (resale). Each `s-item` card on the search results page is one listing.
+*/
+
+import { BROWSER_HEADERS, fetchText } from '../lib/http.mjs';
+import { compact, htmlText, titleMatchesProduct } from '../lib/listings.mjs';
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+/** Price text like "$132.00", "C $180.00", "£95.00" or "EUR 120.00" → { amount, currency }. Ranges use the low end. */
+export function parseEbayMoney(text) {
+  const m = String(text).match(/(C\s*\$|US\s*\$|\$|£|EUR|GBP|CAD|USD)\s*([0-9][0-9,]*(?:\.[0-9]{2})?)/i);
+  if (!m) return null;
+  const symbol = m[1].replace(/\s+/g, '').toUpperCase();
+  const currency = { C$: 'CAD', CAD: 'CAD', '£': 'GBP', GBP: 'GBP', EUR: 'EUR' }[symbol] ?? 'USD';
+  const amount = Number(m[2].replace(/,/g, ''));
+  return Number.isFinite(amount) ? { amount, currency } : null;
+}
+
+/** "Sold  Jan 12, 2026" → "2026-01-12" */
+function parseSoldDate(text) {
+  const m = String(text).match(/Sold\s+([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/);
+  const month = m && MONTHS[m[1].toLowerCase()];
+  if (!month) return undefined;
+  return `${m[3]}-${String(month).padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+}
+
+function itemCards(html) {
+  const starts = [...html.matchAll(/<li\b[^>]*class="s-item[\s"]/g)].map((m) => m.index);
+  return starts.map((start, i) => html.slice(start, starts[i + 1] ?? html.length));
+}
+
+/** Text of the first element carrying the class, up to its first closing tag. */
+function classText(card, className) {
+  const m = card.match(new RegExp(`class="[^"]*\\b${className}\\b[^"]*"[^>]*>([\\s\\S]*?)</`));
+  return m ? htmlText(m[1]) : undefined;
+}
+
+/** Per-listing records from an eBay search results page. */
+export function parseEbayListings(html) {
+  const listings = [];
+  const seen = new Set();
+  for (const card of itemCards(html)) {
+    const href = card.match(/class="s-item__link"[^>]*href="([^"]+)"/)?.[1] ?? card.match(/href="([^"]*\/itm\/[^"]+)"/)?.[1];
+    const id = href?.match(/\/itm\/(?:[^/?"]+\/)?(\d{9,})/)?.[1];
+    if (!id || seen.has(id)) continue;
+    const title = htmlText(card.match(/class="s-item__title"[^>]*>([\s\S]*?)<\/div>/)?.[1]).replace(/^New Listing\s*/i, '');
+    const priceText = classText(card, 's-item__price');
+    const price = parseEbayMoney(priceText ?? '');
+    if (!title || !price) continue;
+    seen.add(id);
+
+    const shippingText = classText(card, 's-item__shipping') ?? classText(card, 's-item__logisticsCost');
+    const shipping = /free/i.test(shippingText ?? '') ? { amount: 0, currency: price.currency } : parseEbayMoney(shippingText ?? '');
+    const soldDate = parseSoldDate(classText(card, 's-item__caption') ?? '');
+
+    listings.push(
+      compact({
+        id,
+        title,
+        price: price.amount,
+        currency: price.currency,
+        shipping: shipping ?? undefined,
+        condition: classText(card, 'SECONDARY_INFO'),
+        sold: soldDate ? true : undefined,
+        soldDate,
+        url: `https://www.ebay.com/itm/${id}`,
+        priceText
+      })
+    );
+  }
+  return listings;
+}
+
+/** @type {import('./index.mjs').SourceAdapter} */
+export default {
+  id: 'ebay',
+  name: 'eBay',
+  role: 'resale',
+  currency: 'USD',
+  color: '#6ee7b7',
+  version: 1,
+  // the sold search only shows recent sales, so a fresh search supersedes the previous live one (backfill stays)
+  replaceOnRefresh: true,
+  // sold-listing searches are archived sporadically; sample across the history, one per day
+  wayback: { collapse: 'timestamp', maxSnapshots: 15, fallbackUrl: 'https://www.ebay.com/sch/i.html*' },
+
+  searchUrl: (query) =>
+    `https://www.ebay.com/sch/i.html?${new URLSearchParams({ _nkw: query, _sacat: '0', LH_Sold: '1', LH_Complete: '1' })}`,
+
+  fetch: (url) => fetchText(url, { headers: BROWSER_HEADERS }),
+
+  parse(html, { date, product }) {
+    return parseEbayListings(html)
+      .filter((l) => titleMatchesProduct(l.title, product))
+      .map((l) =>
+        compact({
+          date: l.soldDate ?? date,
+          kind: 'sale',
+          price: { amount: l.price, currency: l.currency },
+          shipping: l.shipping,
+          url: l.url,
+          listing: compact({ id: l.id, title: l.title, condition: l.condition, sold: l.sold, soldDate: l.soldDate }),
+          match: l.priceText
+        })
+      );
+  }
+};
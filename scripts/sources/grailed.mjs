@@ -0,0 +1,119 @@
+/*
+  Grailed (resale). Search pages are rendered by Next.js; listings are read from the
+  embedded `__NEXT_DATA__` JSON rather than from the visible markup.
+*/
+
+import { BROWSER_HEADERS, fetchText } from '../lib/http.mjs';
+import { compact, titleMatchesProduct } from '../lib/listings.mjs';
+
+function nextData(html) {
+  const json = html.match(/<script[^>]*id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/)?.[1];
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+// Grailed quotes shipping per region: us, ca, uk, eu, asia, au and other
+const EU = 'AT BE BG HR CY CZ DK EE FI FR DE GR HU IE IT LV LT LU MT NL PL PT RO SK SI ES SE'.split(' ');
+const ASIA = 'CN HK JP KR SG TW'.split(' ');
+
+/** The Grailed shipping region of a two-letter country code. */
+function shippingRegion(country) {
+  const code = country.toUpperCase();
+  if (EU.includes(code)) return 'eu';
+  if (ASIA.includes(code)) return 'asia';
+  return { US: 'us', CA: 'ca', GB: 'uk', AU: 'au' }[code] ?? 'other';
+}
+
+/** Walk the Next.js payload and collect every object that looks like a listing (id + title + price). */
+function findListings(node, out = []) {
+  if (Array.isArray(node)) {
+    for (const item of node) findListings(item, out);
+  } else if (node && typeof node === 'object') {
+    if (node.id != null && typeof node.title === 'string' && node.price != null) {
+      out.push(node);
+      return out;
+    }
+    for (const value of Object.values(node)) findListings(value, out);
+  }
+  return out;
+}
+
+/**
+ * Per-listing records from a Grailed search page. Amounts are USD; `shipping` is the listing's
+ * shipping cost to the `shipTo` country, absent when it doesn't say or doesn't ship there.
+ */
+export function parseGrailedListings(html, { shipTo = 'US' } = {}) {
+  const region = shippingRegion(shipTo);
+  const data = nextData(html);
+  if (!data) return [];
+  const listings = [];
+  const seen = new Set();
+  for (const l of findListings(data)) {
+    const id = String(l.id);
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const sold = Boolean(l.sold);
+    const price = Number(sold && l.soldPrice != null ? l.soldPrice : l.price);
+    if (!Number.isFinite(price) || price <= 0) continue;
+    const shipping = l.shipping?.[region]?.enabled !== false ? l.shipping?.[region]?.amount : undefined;
+    listings.push(
+      compact({
+        id,
+        title: l.title,
+        price,
+        shipping: shipping != null ? Number(shipping) : undefined,
+        condition: l.condition,
+        size: l.size,
+        color: l.color,
+        sold,
+        soldDate: sold && l.soldAt ? String(l.soldAt).slice(0, 10) : undefined,
+        url: `https://www.grailed.com/listings/${id}`,
+        // the embedded fields the record was built from
+        raw: JSON.stringify(compact({ id: l.id, title: l.title, price: l.price, soldPrice: l.soldPrice, sold: l.sold, soldAt: l.soldAt }))
+      })
+    );
+  }
+  return listings;
+}
+
+/** @type {import('./index.mjs').SourceAdapter} */
+export default {
+  id: 'grailed',
+  name: 'Grailed',
+  role: 'resale',
+  currency: 'USD',
+  color: '#fcd34d',
+  version: 1,
+
+  searchUrl: (query) => `https://www.grailed.com/search?${new URLSearchParams({ q: query })}`,
+
+  fetch: (url) => fetchText(url, { headers: BROWSER_HEADERS }),
+
+  parse(html, { date, product, shipTo }) {
+    return parseGrailedListings(html, { shipTo })
+      .filter((l) => titleMatchesProduct(l.title, product))
+      .map((l) =>
+        compact({
+          date: l.soldDate ?? date,
+          kind: 'sale',
+          price: { amount: l.price, currency: 'USD' },
+          shipping: l.shipping != null ? { amount: l.shipping, currency: 'USD' } : undefined,
+          url: l.url,
+          listing: compact({
+            id: l.id,
+            title: l.title,
+            condition: l.condition,
+            size: l.size,
+            color: l.color,
+            sold: l.sold,
+            soldDate: l.soldDate
+          }),
+          match: l.raw
+        })
+      );
+  }
+};
@@ -0,0 +1,109 @@
+/*
+  Source adapter registry.
+
+  Every other `.mjs` module in this directory is a source adapter: its default export
+  describes one price source (metadata + fetch + parse), or is a list of them when one module
+  serves several storefronts (arcteryx.mjs, configured in storefronts.json). Adding a source
+  means dropping a new module here and referencing its id from tracked-products.json.
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+/**
+ * @typedef {object} Observation
+ * @property {string} date YYYY-MM-DD
+ * @property {'sale' | 'msrp'} kind
+ * @property {{ amount: number, currency: string }} price
+ * @property {string} [url] listing URL, when the parser can tell (defaults to the fetched URL)
+ * @property {{ amount: number, currency: string }} [shipping] shipping cost quoted by the listing
+ * @property {{ id: string, title: string, condition?: string, size?: string, color?: string, sold?: boolean, soldDate?: string }} [listing]
+ *   marketplace listing the observation came from
+ * @property {string} [match] the page text the price was read from (stored as point provenance)
+ * @property {string} [strategy] which of the adapter's `strategies` found the price (stored as point provenance)
+ */
+
+/**
+ * @typedef {object} AvailabilityObservation
+ * @property {string} date YYYY-MM-DD
+ * @property {'in-stock' | 'out-of-stock' | 'backorder'} status overall status of the product (any size in stock → in-stock)
+ * @property {{ size: string, color?: string, status: 'in-stock' | 'out-of-stock' | 'backorder' }[]} variants
+ *   per-size status, empty when the page only states an overall status
+ */
+
+/**
+ * @typedef {object} SourceAdapter
+ * @property {string} id stable id stored on every point (`sourceId`)
+ * @property {string} name display label
+ * @property {'retail' | 'resale'} role retail sources run in update-data, resale sources in fetch-marketplace
+ * @property {string} [region] storefront region (e.g. 'US') of a retailer with a store per country
+ * @property {string} currency native currency of the source
+ * @property {string} color chart colour used by the app
+ * @property {number} [version] parser version recorded on every point; bump when `parse` output changes
+ * @property {(query: string) => string} [searchUrl] builds a URL from a product's search `query`
+ * @property {(url: string) => Promise<string>} fetch
+ * @property {(html: string, ctx: { date: string, url: string, product?: object, shipTo?: string }) => Observation[]} parse
+ *   `date` is the capture date (used when the page doesn't say when a sale happened); listing-based parsers
+ *   keep only listings whose title matches `product` (see scripts/lib/listings.mjs) and quote shipping to
+ *   the `shipTo` country (two-letter code, the landed-cost destination) where the page does
+ * @property {(html: string, ctx: { date: string, url: string, product?: object }) => AvailabilityObservation | null} [parseAvailability]
+ *   retail only: stock status of the product's colour on the page, null when the page doesn't say
+ * @property {string[]} [strategies] the ways `parse` can find a price, most reliable first; the health check
+ *   (scripts/lib/health.mjs) flags a run whose prices needed one of the fallbacks
+ * @property {boolean} [replaceOnRefresh] resale only: a fresh live search replaces the product's points from earlier live
+ *   searches of this source (Wayback backfill and manual entries stay; see mergeScrape in scripts/lib/supplementary.mjs)
+ * @property {{ collapse: 'digest' | 'timestamp', maxSnapshots?: number, fallbackUrl?: string }} [wayback]
+ *   present when historical observations can be recovered from Wayback Machine snapshots
+ */
+
+const DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const ROLE_ORDER = { retail: 0, resale: 1 };
+
+async function loadAdapters() {
+  const files = (await fs.readdir(DIR))
+    .filter((f) => f.endsWith('.mjs') && f !== 'index.mjs' && !f.endsWith('.test.mjs'))
+    .sort();
+  const adapters = [];
+  for (const file of files) {
+    const mod = await import(pathToFileURL(path.join(DIR, file)).href);
+    for (const adapter of Array.isArray(mod.default) ? mod.default : [mod.default]) {
+      if (!adapter?.id || typeof adapter.fetch !== 'function' || typeof adapter.parse !== 'function') {
+        throw new Error(`${file} does not export a source adapter (id, fetch, parse)`);
+      }
+      if (adapters.some((a) => a.id === adapter.id)) throw new Error(`${file}: duplicate source id "${adapter.id}"`);
+      adapters.push(adapter);
+    }
+  }
+  return adapters.sort((a, b) => (ROLE_ORDER[a.role] ?? 2) - (ROLE_ORDER[b.role] ?? 2));
+}
+
+/** @type {SourceAdapter[]} */
+export const SOURCE_ADAPTERS = await loadAdapters();
+
+export function getAdapter(id) {
+  return SOURCE_ADAPTERS.find((a) => a.id === id) ?? null;
+}
+
+/** Resolve the URL a product should be fetched from for an adapter, or null if the product doesn't use it. */
+export function adapterUrl(adapter, product) {
+  const cfg = product.sources?.[adapter.id];
+  if (!cfg) return null;
+  if (cfg.url) return cfg.url;
+  if (cfg.query && adapter.searchUrl) return adapter.searchUrl(cfg.query);
+  return null;
+}
+
+/** Source entry written to series files; the app reads labels and colours from here. */
+export function sourceMetadata(adapter, url) {
+  return {
+    id: adapter.id,
+    name: adapter.name,
+    role: adapter.role,
+    ...(adapter.region ? { region: adapter.region } : {}),
+    url,
+    currency: adapter.currency,
+    color: adapter.color
+  };
+}
@@ -2,9 +2,24 @@
 /*
   VBH Tracker data updater
 
-  - Pulls current price + MSRP (when present on page) from the product page.
-  - Optionally builds historical points from Wayback Machine snapshots.
-  - Converts to CAD using historical FX rates.
+  - Iterates the products in tracked-products.json and writes one series file per product.
+  - Pulls current price + MSRP (when present on page) from each retail source adapter.
+  - Records per-size stock status from retail adapters that can read it (kept across runs).
+  - Archives every fetched page (src/data/archive/) and records on each point which page and parser it
+    came from. --from-archive rebuilds the retail observations from that archive without any network.
+  - Optionally (--wayback) backfills historical points from Wayback Machine snapshots, resumably and
+    rate-limited (lib/wayback.mjs).
+  - Appends to the stored series instead of regenerating it: every point has a stable id (lib/points.mjs),
+    a new observation with a known id updates that point, and history is only dropped by
+    `migrate:data prune`. Older file versions are upgraded on load (lib/migrations.mjs).
+  - Converts to CAD using historical FX rates (cached in src/data/fx-cache.json; --offline uses only the cache).
+  - Estimates each point's landed cost in CAD (shipping, duty, sales tax, cross-border fees) from the model in
+    landed-cost.json (lib/landed.mjs), recomputed every run so a model change applies to the whole history.
+  - Records retail promotions: the periods a source sold below the list price it showed (lib/promotions.mjs).
+  - Flags price outliers per source and applies the manual decisions in exclusions.json (see lib/outliers.mjs).
+  - Scores every live fetch (fetch status, parse strategy, point count, price jump) into src/data/health.json
+    (lib/health.mjs). A source whose live page regressed (or couldn't be fetched) keeps its stored points for
+    that product, while every other source and product is updated; check:health reports it.
 
   Notes:
   - This is best-effort scraping of publicly available pages.
@@ -14,313 +29,378 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 
-const PRODUCT_NAME = "Veilance Bucket Hat";
-const COLOR = "Carmine";
-
-const ARCTERYX_SOURCE = {
-  id: 'arcteryx-ca',
-  name: "Arc'teryx (CA)",
-  url: 'https://arcteryx.com/ca/en/shop/bucket-hat-9477',
-  currency: 'CAD'
-};
-
-const GRAILED_SOURCE = {
-  id: 'grailed',
-  name: 'Grailed',
-  url: 'https://www.grailed.com/search?q=veilance+bucket+hat',
-  currency: 'USD'
-};
-
-const EBAY_SOURCE = {
-  id: 'ebay',
-  name: 'eBay',
-  url: 'https://www.ebay.com/sch/i.html?_nkw=veilance+bucket+hat+carmine',
-  currency: 'USD'
-};
-
-const SOURCES = [ARCTERYX_SOURCE, GRAILED_SOURCE, EBAY_SOURCE];
-const SOURCE = ARCTERYX_SOURCE;
-
-const ROOT = path.resolve(process.cwd());
-const OUT_PATH = path.join(ROOT, 'src', 'data', 'price-series.json');
-const SUPPLEMENTARY_PATH = path.join(ROOT, 'src', 'data', 'supplementary-points.json');
-
-function isoDateFromWaybackTimestamp(ts) {
-  // ts: YYYYMMDDhhmmss
-  return `${ts.slice(0, 4)}-${ts.slice(4, 6)}-${ts.slice(6, 8)}`;
-}
-
-async function fetchText(url, init) {
-  const res = await fetch(url, {
-    redirect: 'follow',
-    headers: {
-      'user-agent': 'vbh-tracker/1.0 (+https://github.com/snugglepilot/vbh-tracker)'
-    },
-    ...init
-  });
-  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-  return await res.text();
-}
-
-function parsePriceFromHtml(html) {
-  // Arc'teryx pages typically embed structured product data. Prefer JSON-LD when present.
-  // We'll look for an offers block containing price + priceCurrency.
-
-  // 1) JSON-LD offers (best)
-  // e.g. "offers":{"@type":"Offer","priceCurrency":"CAD","price":"225.00" ...}
-  const jsonLdCurrency = html.match(/"priceCurrency"\s*:\s*"([A-Z]{3})"/i)?.[1];
-  const jsonLdPrice = html.match(/"price"\s*:\s*"?([0-9]+(?:\.[0-9]+)?)"?/i)?.[1];
-
-  // 2) Fallback: visible formatted price like $225.00
-  const textPrice = html.match(/\$\s*([0-9]+(?:\.[0-9]{2})?)/)?.[1];
-
-  const currency = (jsonLdCurrency || 'CAD').toUpperCase();
-  const current = jsonLdPrice ? Number(jsonLdPrice) : (textPrice ? Number(textPrice) : null);
-
-  // Arc'teryx generally doesn't expose a separate MSRP vs sale in markup for full-price items.
-  // If they ever do, we can add detection for "highPrice" / "priceSpecification".
-  const regular = null;
-
-  return { current, regular, currency };
-}
-
-async function fxRate(dateISO, from, to) {
-  // frankfurter.app supports historical (ECB-based). Note: weekends return last business day's rate.
-  const url = `https://api.frankfurter.app/${dateISO}?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`;
-  const json = JSON.parse(await fetchText(url));
-  const rate = json?.rates?.[to];
-  if (!rate) throw new Error(`No FX rate for ${from}->${to} on ${dateISO}`);
-  return Number(rate);
-}
-
-async function getWaybackAllSnapshots(originalUrl) {
-  const cdxUrl = new URL('https://web.archive.org/cdx/search/cdx');
-  cdxUrl.searchParams.set('url', originalUrl);
-  cdxUrl.searchParams.set('output', 'json');
-  cdxUrl.searchParams.set('fl', 'timestamp,statuscode');
-  cdxUrl.searchParams.set('filter', 'statuscode:200');
-  // collapse identical content so we don't store duplicate points for identical renders
-  cdxUrl.searchParams.set('collapse', 'digest');
-
-  const raw = JSON.parse(await fetchText(cdxUrl.toString()));
-  const rows = raw.slice(1); // header
-
-  const timestamps = rows.map(([timestamp]) => timestamp).filter(Boolean);
-  timestamps.sort();
-  return timestamps;
-}
-
-/** Load supplementary price points (Grailed, eBay, manual). Each item: { date, kind, price: { amount, currency }, sourceId, url } */
-async function loadSupplementaryPoints() {
+import { archivePage, keepUnparsed, loadArchive, readArchivedPage, saveArchive, withProvenance } from './lib/archive.mjs';
+import {
+  DISPLAY_CURRENCIES,
+  FX_SOURCE,
+  buildFxTable,
+  loadFxCache,
+  lookupRate,
+  prefetchRates,
+  saveFxCache,
+  writeFxTable
+} from './lib/fx.mjs';
+import { describeRun, loadHealth, recordRun, saveHealth } from './lib/health.mjs';
+import { loadLandedCostModel, withLanded } from './lib/landed.mjs';
+import { describeOutlier, exclusionKey, loadExclusions, reviewPoints } from './lib/outliers.mjs';
+import { SERIES_VERSION, compactPoints, upgradeSeries } from './lib/migrations.mjs';
+import { pointId } from './lib/points.mjs';
+import { findPromotions } from './lib/promotions.mjs';
+import { loadTrackedProducts, seriesPath } from './lib/products.mjs';
+import { loadSupplementaryPoints } from './lib/supplementary.mjs';
+import { checkSeries, checkSupplementaryPoints, describePoint, findDuplicatePoints } from './lib/validate.mjs';
+import {
+  createWaybackClient,
+  fetchSnapshot,
+  loadWaybackState,
+  markFailed,
+  markProcessed,
+  pageState,
+  pendingSnapshots,
+  saveWaybackState,
+  waybackOptionsFromArgs
+} from './lib/wayback.mjs';
+import { SOURCE_ADAPTERS, adapterUrl, getAdapter, sourceMetadata } from './sources/index.mjs';
+
+/** The stored series of a product at the current file version, or null before its first run. */
+async function loadPreviousSeries(productId) {
+  let data;
   try {
-    const raw = await fs.readFile(SUPPLEMENTARY_PATH, 'utf8');
-    const arr = JSON.parse(raw);
-    return Array.isArray(arr) ? arr : [];
+    data = JSON.parse(await fs.readFile(seriesPath(productId), 'utf8'));
   } catch (e) {
-    if (e?.code === 'ENOENT') return [];
+    if (e?.code === 'ENOENT') return null;
     throw e;
   }
+  const upgraded = upgradeSeries(data);
+  for (const line of upgraded.changed) console.log(`${productId}: upgraded series file, ${line}`);
+  return upgraded.data;
 }
 
-/** Spread points that share the same (sourceId, date) across consecutive days so the graph has a time spread. */
-function spreadSupplementaryDates(points) {
+/**
+ * Merge availability snapshots into one per source and date. Later entries win, so pass history first,
+ * then Wayback snapshots (oldest first), then the live page.
+ */
+function mergeAvailability(snapshots) {
   const byKey = new Map();
-  for (const pt of points) {
-    const key = `${pt.sourceId}|${pt.date}`;
-    if (!byKey.has(key)) byKey.set(key, []);
-    byKey.get(key).push(pt);
-  }
-  const out = [];
-  for (const [, group] of byKey) {
-    if (group.length <= 1) {
-      out.push(...group);
-      continue;
-    }
-    const baseDate = group[0].date;
-    const base = new Date(baseDate + 'T12:00:00Z');
-    group.sort((a, b) => (a.price?.amount ?? 0) - (b.price?.amount ?? 0));
-    for (let i = 0; i < group.length; i++) {
-      const d = new Date(base);
-      d.setUTCDate(d.getUTCDate() - (group.length - 1 - i));
-      const dateStr = d.toISOString().slice(0, 10);
-      out.push({ ...group[i], date: dateStr });
+  for (const a of snapshots) byKey.set(`${a.sourceId}|${a.date}`, a);
+  return [...byKey.values()].sort((a, b) => a.date.localeCompare(b.date) || a.sourceId.localeCompare(b.sourceId));
+}
+
+/**
+ * Convert a raw point to the series shape, adding its CAD price from the FX cache, or else the
+ * conversion already stored for it (`stored`). Points neither can convert are kept with
+ * `fxStatus: 'missing'` instead of a `priceCad`.
+ */
+function withCad(pt, fxCache, stored = null) {
+  const currency = (pt.price.currency || 'USD').toUpperCase();
+  let priceCad = null;
+  if (currency === 'CAD') {
+    priceCad = { amount: pt.price.amount };
+  } else {
+    const hit = lookupRate(fxCache, pt.date, currency, 'CAD');
+    if (hit) {
+      priceCad = {
+        amount: Number((pt.price.amount * hit.rate).toFixed(2)),
+        fx: {
+          pair: `${currency}/CAD`,
+          rate: hit.rate,
+          source: FX_SOURCE,
+          date: hit.date,
+          // weekend/holiday capture: the rate is from an earlier business day
+          ...(hit.date !== pt.date ? { fallback: 'previous-business-day' } : {})
+        }
+      };
     }
   }
-  return out.sort((a, b) => a.date.localeCompare(b.date) || (a.price?.amount ?? 0) - (b.price?.amount ?? 0));
+  if (!priceCad && stored?.priceCad && stored.price.amount === pt.price.amount && stored.price.currency === currency) {
+    priceCad = stored.priceCad;
+  }
+  const kind = pt.kind === 'msrp' ? 'msrp' : 'sale';
+  return {
+    id: pointId({ ...pt, kind }),
+    date: pt.date,
+    kind,
+    price: { amount: pt.price.amount, currency },
+    ...(priceCad ? { priceCad } : { fxStatus: 'missing' }),
+    ...(pt.shipping ? { shipping: pt.shipping } : {}),
+    sourceId: pt.sourceId,
+    url: pt.url,
+    ...(pt.listing ? { listing: pt.listing } : {}),
+    ...(pt.wayback ? { wayback: pt.wayback } : {}),
+    ...(pt.provenance ? { provenance: pt.provenance } : {})
+  };
 }
 
-async function buildSeries({ includeWayback }) {
-  const today = new Date();
-  const todayISO = today.toISOString().slice(0, 10);
-
-  const html = await fetchText(SOURCE.url);
-  const parsed = parsePriceFromHtml(html);
+/** Parse one archived page of a retail adapter into raw points and an availability snapshot (or null). */
+function observePage(adapter, html, { hash, product, url, date, wayback }) {
+  const extra = { sourceId: adapter.id, ...(wayback ? { wayback: { timestamp: wayback.timestamp, url } } : {}) };
+  const points = adapter
+    .parse(html, { date, url, product })
+    .map((obs) => ({ ...withProvenance(obs, adapter, hash), ...extra, url: obs.url || url }));
+  const stock = adapter.parseAvailability?.(html, { date, url, product });
+  return { hash, points, availability: stock ? { ...withProvenance(stock, adapter, hash), ...extra, url } : null };
+}
 
-  // Always display CAD. If the source is already CAD, rate=1 and we skip FX lookup.
-  const fxFrom = (parsed.currency || SOURCE.currency || 'CAD').toUpperCase();
-  const fxRateToCad = fxFrom === 'CAD' ? 1 : await fxRate(todayISO, fxFrom, 'CAD');
+/**
+ * Fetch, archive and parse the live page plus, with a backfill, the Wayback snapshots of it that
+ * haven't been processed yet. Pages are returned oldest first, the live page last.
+ */
+async function observeLive(adapter, { product, url, backfill, archive, run }) {
+  const todayISO = new Date().toISOString().slice(0, 10);
+  const pages = [];
 
-  const points = [];
+  const html = await adapter.fetch(url);
+  const hash = await archivePage(archive, html, { sourceId: adapter.id, url, date: todayISO, run });
+  const live = observePage(adapter, html, { hash, product, url, date: todayISO });
 
-  if (parsed.current != null) {
-    points.push({
-      date: todayISO,
-      kind: 'sale',
-      price: { amount: parsed.current, currency: fxFrom },
-      priceCad: {
-        amount: Number((parsed.current * fxRateToCad).toFixed(2)),
-        ...(fxFrom === 'CAD'
-          ? {}
-          : { fx: { pair: `${fxFrom}/CAD`, rate: fxRateToCad, source: 'frankfurter.app', date: todayISO } })
-      },
-      sourceId: SOURCE.id,
-      url: SOURCE.url
-    });
-  }
+  if (!backfill || !adapter.wayback) return [live];
 
-  if (parsed.regular != null) {
-    points.push({
-      date: todayISO,
-      kind: 'msrp',
-      price: { amount: parsed.regular, currency: fxFrom },
-      priceCad: {
-        amount: Number((parsed.regular * fxRateToCad).toFixed(2)),
-        ...(fxFrom === 'CAD'
-          ? {}
-          : { fx: { pair: `${fxFrom}/CAD`, rate: fxRateToCad, source: 'frankfurter.app', date: todayISO } })
-      },
-      sourceId: SOURCE.id,
-      url: SOURCE.url
-    });
+  const { client, state, options } = backfill;
+  const entry = pageState(state, { productId: product.id, sourceId: adapter.id, url });
+  let snapshots = [];
+  try {
+    snapshots = await client.snapshots(url, { collapse: adapter.wayback.collapse, from: options.from, to: options.to });
+  } catch (e) {
+    console.warn(`Wayback CDX unavailable for ${adapter.name} (skipping historical snapshots):`, e?.message || e);
   }
+  const pending = pendingSnapshots(snapshots, entry, { ...options, max: options.max ?? adapter.wayback.maxSnapshots });
+  console.log(`${product.id}: ${adapter.name} has ${snapshots.length} Wayback snapshot(s), ${pending.length} to process.`);
 
-  if (includeWayback) {
-    let snapshots = [];
+  for (const { timestamp, date } of pending) {
     try {
-      snapshots = await getWaybackAllSnapshots(ARCTERYX_SOURCE.url);
+      const snap = await fetchSnapshot(client, archive, adapter, { url, timestamp, date, run });
+      pages.push(observePage(adapter, snap.html, { hash: snap.hash, product, url, date, wayback: { timestamp } }));
+      markProcessed(entry, timestamp);
     } catch (e) {
-      console.warn('Wayback CDX unavailable (skipping historical snapshots):', e?.message || e);
+      markFailed(entry, timestamp, e);
+      console.warn(`  Wayback ${timestamp} failed:`, e?.message || e);
     }
+  }
+  return [...pages, live];
+}
 
-    for (const ts of snapshots) {
-      const dateISO = isoDateFromWaybackTimestamp(ts);
-      let htmlSnap;
-      try {
-        htmlSnap = await fetchText(`https://web.archive.org/web/${ts}/${ARCTERYX_SOURCE.url}`);
-      } catch {
-        continue;
-      }
-      const p = parsePriceFromHtml(htmlSnap);
-      if (p.current == null && p.regular == null) continue;
-
-      const snapFrom = (p.currency || ARCTERYX_SOURCE.currency || 'CAD').toUpperCase();
-      let rate;
-      try {
-        rate = snapFrom === 'CAD' ? 1 : await fxRate(dateISO, snapFrom, 'CAD');
-      } catch {
-        // if no rate, skip
-        continue;
-      }
-
-      if (p.current != null) {
-        points.push({
-          date: dateISO,
-          kind: 'sale',
-          price: { amount: p.current, currency: snapFrom },
-          priceCad: {
-            amount: Number((p.current * rate).toFixed(2)),
-            ...(snapFrom === 'CAD'
-              ? {}
-              : { fx: { pair: `${snapFrom}/CAD`, rate, source: 'frankfurter.app', date: dateISO } })
-          },
-          sourceId: ARCTERYX_SOURCE.id,
-      url: ARCTERYX_SOURCE.url,
-      wayback: { timestamp: ts }
-        });
-      }
-
-      if (p.regular != null) {
-        points.push({
-          date: dateISO,
-          kind: 'msrp',
-          price: { amount: p.regular, currency: snapFrom },
-          priceCad: {
-            amount: Number((p.regular * rate).toFixed(2)),
-            ...(snapFrom === 'CAD'
-              ? {}
-              : { fx: { pair: `${snapFrom}/CAD`, rate, source: 'frankfurter.app', date: dateISO } })
-          },
-          sourceId: ARCTERYX_SOURCE.id,
-          url: ARCTERYX_SOURCE.url,
-          wayback: { timestamp: ts }
-        });
-      }
+/** Re-parse every archived fetch of the adapter's page with the current parser. */
+async function observeArchived(adapter, { product, url, archive }) {
+  const fetches = archive.fetches
+    .filter((f) => f.sourceId === adapter.id && f.url === url)
+    // oldest first, and on the same day the live page after Wayback snapshots
+    .sort((a, b) => a.date.localeCompare(b.date) || Number(!a.wayback) - Number(!b.wayback));
+  const pages = [];
+  for (const f of fetches) {
+    const html = await readArchivedPage(archive, f.hash);
+    if (html == null) {
+      console.warn(`${product.id}: archived page ${f.hash} of ${adapter.name} is missing (skipping).`);
+      continue;
     }
+    pages.push(observePage(adapter, html, { hash: f.hash, product, url, date: f.date, wayback: f.wayback }));
   }
+  return pages;
+}
 
-  let supplementary = await loadSupplementaryPoints();
-  supplementary = spreadSupplementaryDates(supplementary);
-  for (const pt of supplementary) {
-    if (!pt?.date || !pt?.kind || !pt?.price?.amount || !pt?.sourceId || !pt?.url) continue;
-    const currency = (pt.price.currency || 'USD').toUpperCase();
-    let rate = 1;
-    if (currency !== 'CAD') {
-      try {
-        rate = await fxRate(pt.date, currency, 'CAD');
-      } catch {
-        continue;
-      }
-    }
-    points.push({
-      date: pt.date,
-      kind: pt.kind === 'msrp' ? 'msrp' : 'sale',
-      price: { amount: pt.price.amount, currency },
-      priceCad: {
-        amount: Number((pt.price.amount * rate).toFixed(2)),
-        ...(currency === 'CAD' ? {} : { fx: { pair: `${currency}/CAD`, rate, source: 'frankfurter.app', date: pt.date } })
-      },
-      sourceId: pt.sourceId,
-      url: pt.url,
-      ...(pt.wayback ? { wayback: pt.wayback } : {})
-    });
+/**
+ * Fetch and parse a retail adapter's live page (and Wayback snapshots, see observeLive), scoring the
+ * live page in `health`. A regressed live page is left out, so the source keeps its stored points
+ * for the product; a failed fetch yields no pages.
+ */
+async function observeScored(adapter, { product, url, backfill, archive, run, health, known }) {
+  let pages = [];
+  let error = null;
+  try {
+    pages = await observeLive(adapter, { product, url, backfill, archive, run });
+  } catch (e) {
+    // reported with the run below; the stored points stay
+    error = e;
   }
+  const points = pages.at(-1)?.points ?? [];
+  const entry = recordRun(health, adapter, { productId: product.id, at: run, error, points, known });
+  if (entry.lastRun.status === 'ok') return pages;
+  console.warn(`${product.id}: ${adapter.name} run regressed, keeping its stored points: ${describeRun(entry.lastRun)}`);
+  // Wayback snapshots are history the check doesn't cover, so they still count
+  return pages.slice(0, -1);
+}
 
-  // de-dupe exact (date+kind+amount+source)
-  const seen = new Set();
-  const deduped = [];
-  for (const pt of points) {
-    const k = `${pt.date}|${pt.kind}|${pt.price.amount}|${pt.price.currency}|${pt.sourceId}`;
-    if (seen.has(k)) continue;
-    seen.add(k);
-    deduped.push(pt);
+async function buildSeries({ product, supplementary, backfill, fromArchive, archive, run, fxCache, offline, exclusions, health, landedModel }) {
+  const raw = [];
+  // stock status isn't recoverable later, so snapshots from earlier runs are carried over
+  const previous = await loadPreviousSeries(product.id);
+  const availability = [...(previous?.availability ?? [])];
+  const retailAdapters = SOURCE_ADAPTERS.filter((a) => a.role === 'retail');
+
+  // content hashes of the archived pages re-parsed for this product (--from-archive)
+  const reparsed = new Set();
+  for (const adapter of retailAdapters) {
+    const url = adapterUrl(adapter, product);
+    if (!url) continue;
+
+    const pages = fromArchive
+      ? await observeArchived(adapter, { product, url, archive })
+      : await observeScored(adapter, { product, url, backfill, archive, run, health, known: previous?.series ?? [] });
+    // oldest first, so later availability snapshots win in mergeAvailability
+    for (const page of pages) {
+      if (fromArchive) reparsed.add(page.hash);
+      raw.push(...page.points);
+      if (page.availability) availability.push(page.availability);
+    }
   }
 
-  deduped.sort((a, b) => a.date.localeCompare(b.date));
+  // supplementary points (validated in main) keep their own capture/sold date; same-day observations stay on the same day
+  raw.push(...supplementary);
+
+  // Every stored point is kept; the review is re-applied below. The archive rebuild replaces the
+  // points of the pages it re-parsed, and keeps those whose page the (possibly partial) archive lacks.
+  const { kept, missing } = keepUnparsed(previous?.series ?? [], reparsed);
+  if (missing > 0) console.warn(`${product.id}: kept ${missing} stored point(s) whose page isn't in the archive.`);
+  const history = kept.map(({ status: _status, outlier: _outlier, reason: _reason, ...pt }) => pt);
+  const unconverted = history.filter((pt) => pt.fxStatus === 'missing');
+
+  const toCad = (date, currency) => ({ date, from: (currency || 'USD').toUpperCase(), to: 'CAD' });
+  await prefetchRates(
+    fxCache,
+    [
+      ...[...raw, ...unconverted].map((pt) => toCad(pt.date, pt.price.currency)),
+      // shipping costs, for the landed-cost estimates
+      ...[...raw, ...history].filter((pt) => pt.shipping).map((pt) => toCad(pt.date, pt.shipping.currency))
+    ],
+    { offline }
+  );
+  // stored points keep their conversion; ones that had no rate yet get another try
+  const stored = history.map((pt) => (pt.fxStatus === 'missing' ? withCad(pt, fxCache) : pt));
+  // the same observation (id: listing id, or source+date+kind+price) seen again updates the stored point
+  const known = new Map(stored.map((pt) => [pt.id, pt]));
+  const observed = raw.map((pt) => {
+    const converted = withCad(pt, fxCache);
+    return converted.priceCad ? converted : withCad(pt, fxCache, known.get(converted.id));
+  });
+  const added = new Set(observed.filter((pt) => !known.has(pt.id)).map((pt) => pt.id)).size;
+  const { points } = compactPoints([...stored, ...observed]);
+  console.log(`${product.id}: ${added} new point(s), ${stored.length} kept from earlier runs.`);
+  const missingFx = points.filter((pt) => pt.fxStatus === 'missing').length;
+  if (missingFx > 0) console.warn(`${product.id}: ${missingFx} point(s) kept without a CAD conversion (no FX rate${offline ? ' in cache' : ''}).`);
+
+  const reviewed = reviewPoints(
+    points.map((pt) => withLanded(pt, landedModel, fxCache)),
+    exclusions,
+    { productId: product.id, sources: SOURCE_ADAPTERS }
+  );
+  for (const pt of reviewed) {
+    if (pt.status !== 'flagged') continue;
+    console.warn(`flagged ${exclusionKey(product.id, pt)} (${describeOutlier(pt.outlier)})`);
+  }
 
   return {
+    version: SERIES_VERSION,
     product: {
-      name: PRODUCT_NAME,
-      brand: "Arc'teryx",
-      line: 'Veilance',
-      color: COLOR,
+      id: product.id,
+      name: product.name,
+      brand: product.brand || "Arc'teryx",
+      line: product.line || 'Veilance',
+      color: product.color,
       currencyDisplay: 'CAD',
       notes: [
-        `This tracker focuses on the ${PRODUCT_NAME} in the ${COLOR} colour.`,
+        `This tracker focuses on the ${product.name} in the ${product.color} colour.`,
         'Historical points may be sourced from Arc\'teryx (retail), Web Archive snapshots, Grailed, and eBay (resale).',
         'Prices are displayed in CAD; non-CAD source prices are converted using historical FX for the capture date.'
       ]
     },
-    sources: SOURCES,
-    series: deduped
+    sources: sourcesFor(product, reviewed),
+    series: reviewed,
+    availability: mergeAvailability(availability),
+    promotions: findPromotions(reviewed.filter((pt) => retailAdapters.some((a) => a.id === pt.sourceId)))
   };
 }
 
+/** Source metadata for every configured adapter, plus any registered source that only appears in the points. */
+function sourcesFor(product, points) {
+  const out = [];
+  for (const adapter of SOURCE_ADAPTERS) {
+    const url = adapterUrl(adapter, product);
+    if (url) out.push(sourceMetadata(adapter, url));
+  }
+  for (const sourceId of new Set(points.map((p) => p.sourceId))) {
+    if (out.some((s) => s.id === sourceId)) continue;
+    const adapter = getAdapter(sourceId);
+    if (adapter) out.push(sourceMetadata(adapter, points.find((p) => p.sourceId === sourceId).url));
+    else console.warn(`Points reference unknown source "${sourceId}"; add an adapter in scripts/sources/.`);
+  }
+  return out;
+}
+
+/** Supplementary points that pass validation; every other entry is reported with the reason it's skipped. */
+function usableSupplementaryPoints(points, products) {
+  const invalid = checkSupplementaryPoints(points, { products, sourceIds: SOURCE_ADAPTERS.map((a) => a.id) });
+  const duplicates = findDuplicatePoints(points, products[0].id);
+  const skipped = new Map(invalid.map(({ index, reasons }) => [index, reasons.join('; ')]));
+  for (const { index, of } of duplicates) if (!skipped.has(index)) skipped.set(index, `duplicate of #${of}`);
+  for (const [index, reason] of [...skipped].sort(([a], [b]) => a - b)) {
+    console.warn(`supplementary-points.json #${index} (${describePoint(points[index])}) skipped: ${reason}`);
+  }
+  if (skipped.size > 0) console.warn(`${skipped.size} supplementary point(s) skipped; run npm run validate:data for details.`);
+  return points.filter((_, i) => !skipped.has(i));
+}
+
 async function main() {
+  // --wayback: also backfill from Wayback snapshots (see lib/wayback.mjs for --from/--to/--max/--rate)
   const includeWayback = process.argv.includes('--wayback');
-  const data = await buildSeries({ includeWayback });
-  await fs.mkdir(path.dirname(OUT_PATH), { recursive: true });
-  await fs.writeFile(OUT_PATH, JSON.stringify(data, null, 2) + '\n', 'utf8');
-  console.log(`Wrote ${OUT_PATH} with ${data.series.length} points`);
+  // --from-archive: re-parse archived pages instead of fetching (implies --offline)
+  const fromArchive = process.argv.includes('--from-archive');
+  // --offline: convert purely from the FX cache, no rate requests
+  const offline = fromArchive || process.argv.includes('--offline');
+  const archive = await loadArchive();
+  if (fromArchive && archive.fetches.length === 0) throw new Error('The page archive is empty; nothing to re-parse.');
+  const run = new Date().toISOString();
+  let backfill = null;
+  if (includeWayback && !fromArchive) {
+    const options = waybackOptionsFromArgs();
+    backfill = { client: createWaybackClient({ rate: options.rate }), state: await loadWaybackState(), options };
+  }
+  const fxCache = await loadFxCache();
+  const pointDates = new Set();
+  const products = await loadTrackedProducts();
+  const supplementary = usableSupplementaryPoints(await loadSupplementaryPoints(), products);
+  const exclusions = await loadExclusions();
+  const landedModel = await loadLandedCostModel();
+  // the archive rebuild fetches nothing, so it has no runs to score
+  const health = fromArchive ? null : await loadHealth();
+  const defaultProductId = products[0].id;
+
+  for (const product of products) {
+    const productPoints = supplementary.filter((pt) => (pt?.productId || defaultProductId) === product.id);
+    const data = await buildSeries({
+      product,
+      supplementary: productPoints,
+      backfill,
+      fromArchive,
+      archive,
+      run,
+      fxCache,
+      offline,
+      exclusions,
+      health,
+      landedModel
+    });
+    const problems = checkSeries(data);
+    if (problems.length > 0) throw new Error(`${product.id}: generated series does not match its schema:\n  ${problems.join('\n  ')}`);
+    const outPath = seriesPath(product.id);
+    await fs.mkdir(path.dirname(outPath), { recursive: true });
+    await fs.writeFile(outPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    console.log(`Wrote ${outPath} with ${data.series.length} points, ${data.availability.length} availability snapshot(s)`);
+    for (const pt of data.series) pointDates.add(pt.date);
+    // checkpoint after each product, so an interrupted backfill resumes from here
+    if (!fromArchive) await saveArchive(archive);
+    if (backfill) await saveWaybackState(backfill.state);
+    if (health) await saveHealth(health);
+  }
+
+  // CAD → display currency rates for every capture date, so the app can reconvert client-side
+  const displayRequests = [];
+  for (const date of pointDates) {
+    for (const to of DISPLAY_CURRENCIES) displayRequests.push({ date, from: 'CAD', to });
+  }
+  await prefetchRates(fxCache, displayRequests, { offline });
+  await writeFxTable(buildFxTable(fxCache, [...pointDates]));
+  console.log(`Wrote FX table for ${pointDates.size} date(s)`);
+
+  if (!offline) await saveFxCache(fxCache);
 }
 
 main().catch((err) => {
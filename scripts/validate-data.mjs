@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/*
+  VBH Tracker data validation
+
+  Checks supplementary-points.json and every tracked product's series file against the schemas in
+  schemas/ and reports each invalid, duplicate or missing entry with the reason:
+
+    node scripts/validate-data.mjs
+
+  Exits non-zero when anything is invalid. update:data skips the same supplementary entries (with a
+  warning) and refuses to write a series that fails its schema.
+*/
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { SERIES_VERSION } from './lib/migrations.mjs';
+import { loadTrackedProducts, seriesPath } from './lib/products.mjs';
+import { SUPPLEMENTARY_PATH, loadSupplementaryPoints } from './lib/supplementary.mjs';
+import { checkSeries, checkSupplementaryPoints, describePoint, findDuplicatePoints } from './lib/validate.mjs';
+import { SOURCE_ADAPTERS } from './sources/index.mjs';
+
+const relative = (file) => path.relative(process.cwd(), file);
+
+async function main() {
+  const products = await loadTrackedProducts();
+  let problems = 0;
+
+  const points = await loadSupplementaryPoints();
+  const issues = checkSupplementaryPoints(points, { products, sourceIds: SOURCE_ADAPTERS.map((a) => a.id) });
+  const duplicates = findDuplicatePoints(points, products[0].id);
+  console.log(`${relative(SUPPLEMENTARY_PATH)}: ${points.length} point(s)`);
+  const reported = [...issues, ...duplicates.map(({ index, of }) => ({ index, reasons: [`duplicate of #${of}`] }))];
+  for (const { index, reasons } of reported.sort((a, b) => a.index - b.index)) {
+    console.log(`  #${index} ${describePoint(points[index])}`);
+    for (const reason of reasons) console.log(`      ${reason}`);
+  }
+  problems += issues.length + duplicates.length;
+
+  for (const product of products) {
+    const file = seriesPath(product.id);
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+      if (e?.code !== 'ENOENT') throw e;
+      console.log(`${relative(file)}: missing (run npm run update:data)`);
+      problems++;
+      continue;
+    }
+    const reasons = checkSeries(data);
+    console.log(`${relative(file)}: ${data.series?.length ?? 0} point(s)`);
+    for (const reason of reasons) console.log(`      ${reason}`);
+    if ((data.version ?? 1) < SERIES_VERSION) console.log('      older file format: run npm run migrate:data -- compact');
+    problems += reasons.length;
+  }
+
+  if (problems > 0) {
+    console.error(`${problems} problem(s) found.`);
+    process.exit(1);
+  }
+  console.log('All data files are valid.');
+}
+
+main().catch((err) => {
+  console.error(err?.message || err);
+  process.exit(1);
+});
@@ -1,36 +1,199 @@
-import { useEffect, useMemo, useRef, useState } from 'react'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import * as echarts from 'echarts'
 import { format, parseISO } from 'date-fns'
 
-import raw from './data/price-series.json'
+import tracked from '../tracked-products.json'
+import fxTableRaw from './data/fx-table.json'
+import {
+  STOCK_STATUS_LABELS,
+  availabilityOn,
+  availabilityRows,
+  availabilitySpans,
+  type AvailabilitySnapshot,
+  type StockStatus
+} from './lib/availability'
+import {
+  ROLLING_WINDOWS,
+  inRange,
+  resalePremiums,
+  rollingSpread,
+  spread,
+  summarizeSources,
+  type Observation,
+  type RollingWindow
+} from './lib/stats'
+import { DISPLAY_CURRENCIES, convertLanded, convertPoint, formatMoney, type DisplayCurrency, type FxTable } from './lib/currency'
+import { API_BASE, API_VERSION, POINT_COLUMNS, pointRow, toCsv } from './lib/exportData'
+import { sourceStatuses, type HealthFile } from './lib/health'
+import { drawerEntries, provenanceOf, reviewNote, waybackUrl, type DrawerEntry, type PointRef } from './lib/pointDetails'
+import { discountOf, promotionOn, type Promotion } from './lib/promotions'
+import { compareRegions, type RegionalObservation } from './lib/regions'
+import {
+  RANGE_PRESETS,
+  activePreset,
+  parseViewState,
+  presetRange,
+  serializeViewState,
+  type AxisScale,
+  type KindFilter,
+  type PriceBasis,
+  type ResaleStyle,
+  type ViewState
+} from './lib/viewState'
 import './App.css'
 
 type PricePoint = {
+  // stable across runs (scripts/lib/points.mjs)
+  id: string
   date: string
   kind: 'sale' | 'msrp'
   price: { amount: number; currency: string }
-  priceCad?: { amount: number; fx?: { pair: string; rate: number; source: string; date: string } }
+  priceCad?: {
+    amount: number
+    fx?: { pair: string; rate: number; source: string; date: string; fallback?: 'previous-business-day' }
+  }
+  // set when no FX rate was available to convert the point to CAD
+  fxStatus?: 'missing'
+  shipping?: { amount: number; currency: string }
+  // estimated delivered cost with its breakdown, for sources in landed-cost.json (scripts/lib/landed.mjs)
+  landedCad?: { amount: number; shipping: number; duty: number; tax: number; fees: number; estimatedShipping?: true }
   sourceId: string
   url: string
-  wayback?: { timestamp: string }
+  listing?: { id: string; title: string; condition?: string; size?: string; color?: string; sold?: boolean; soldDate?: string }
+  wayback?: { timestamp: string; url?: string }
+  // archived page (src/data/archive/pages/<snapshot>.html.gz) and parser the point was read with
+  provenance?: { snapshot: string; parser: string; match?: string; strategy?: string }
+  // outlier review (scripts/lib/outliers.mjs); points from older files have none and count as accepted
+  status?: PointStatus
+  // z-score against the nearby median, or a resale price under the floor relative to the retail median
+  outlier?: { z?: number; median: number; floor?: number }
+  reason?: string
 }
 
+type PointStatus = 'accepted' | 'flagged' | 'rejected'
+
 type DataFile = {
-  product: { name: string; brand: string; line: string; color: string; notes: string[] }
-  sources: { id: string; name: string; url: string; currency: string }[]
+  // file format version (scripts/lib/migrations.mjs)
+  version: number
+  product: { id: string; name: string; brand: string; line: string; color: string; notes: string[] }
+  // generated from the source adapter registry (scripts/sources/)
+  sources: { id: string; name: string; role: 'retail' | 'resale'; url: string; currency: string; color: string; region?: string }[]
   series: PricePoint[]
+  // stock status snapshots from retail sources (older files have none)
+  availability?: AvailabilitySnapshot[]
+  // periods a retail source sold below its list price (older files have none)
+  promotions?: Promotion[]
+}
+
+// One generated series file per tracked product; keep the order of tracked-products.json.
+const seriesFiles = import.meta.glob<DataFile>('./data/series/*.json', { eager: true, import: 'default' })
+const trackedOrder = tracked.products.map((p) => p.id)
+const datasets = Object.values(seriesFiles).sort(
+  (a, b) => trackedOrder.indexOf(a.product.id) - trackedOrder.indexOf(b.product.id)
+)
+const datasetById = Object.fromEntries(datasets.map((d) => [d.product.id, d]))
+const fxTable = fxTableRaw as FxTable
+// scraper health (scripts/lib/health.mjs); absent until the first live update:data run
+const health = Object.values(import.meta.glob<HealthFile>('./data/health.json', { eager: true, import: 'default' }))[0]
+
+function productLabel(d: DataFile) {
+  return `${d.product.name} — ${d.product.color}`
+}
+
+type PlotPoint = { date: string; y: number; point: PricePoint }
+
+// the points behind each chart series, index-aligned with `series` (overlays have none), with
+// the promotions of the product they belong to
+type SeriesPoints = Array<{ name: string; points: PlotPoint[]; promotions: Promotion[] }>
+
+const STOCK_COLORS: Record<StockStatus, string> = {
+  'in-stock': '#6ee7b7',
+  'out-of-stock': 'rgba(255, 59, 59, 0.75)',
+  backorder: '#fcd34d'
+}
+const BAND_ROW_HEIGHT = 18
+const OVERLAY_COLOR = 'rgba(255, 255, 255, 0.85)'
+
+const HOUR_MS = 3600 * 1000
+// a drag or wheel zoom is committed to the URL once it has settled
+const ZOOM_COMMIT_MS = 400
+const SLIDER_SPACE = 30
+
+const KIND_LABELS: Record<KindFilter, string> = { all: 'All', sale: 'Sale', msrp: 'MSRP' }
+const PRESET_LABELS = { '30d': '30d', '90d': '90d', '1y': '1y', all: 'All' } as const
+
+/**
+ * Scatter coordinates that keep each observation on its own day: same-day points are fanned out
+ * (cheapest first) across the middle of the day instead of being stacked on one x.
+ */
+function jitteredByDay(pts: PlotPoint[]): [number, number][] {
+  const byDate = new Map<string, PlotPoint[]>()
+  for (const p of pts) {
+    if (!byDate.has(p.date)) byDate.set(p.date, [])
+    byDate.get(p.date)!.push(p)
+  }
+  const out: [number, number][] = []
+  for (const [date, group] of byDate) {
+    const noon = parseISO(date).getTime() + 12 * HOUR_MS
+    const step = Math.min(3 * HOUR_MS, (16 * HOUR_MS) / group.length)
+    group
+      .map((p) => p.y)
+      .sort((a, b) => a - b)
+      .forEach((y, i) => out.push([noon + (i - (group.length - 1) / 2) * step, y]))
+  }
+  return out
+}
+
+/** Calendar day (yyyy-MM-dd) of a time-axis value, which ECharts passes as a timestamp. */
+function dayOf(value: unknown) {
+  if (value == null || value === '') return undefined
+  return format(new Date(value as number | string), 'yyyy-MM-dd')
 }
 
-const data = raw as DataFile
+/** Save `content` as a file, through a temporary object URL. */
+function download(filename: string, content: string, type: string) {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  window.setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+function formatPercent(fraction: number) {
+  const pct = Math.round(fraction * 100)
+  return `${pct > 0 ? '+' : ''}${pct}%`
+}
 
-function useEChart(option: echarts.EChartsOption) {
+/** Plottable points per source, valued at the item price or at the estimated landed cost. */
+function pointsBySource(d: DataFile, currency: DisplayCurrency, basis: PriceBasis, status: PointStatus = 'accepted') {
+  const bySource: Record<string, PlotPoint[]> = {}
+  for (const p of d.series) {
+    if ((p.status ?? 'accepted') !== status) continue
+    const y = basis === 'landed' ? convertLanded(p, currency, fxTable) : convertPoint(p, currency, fxTable)
+    if (y == null) continue
+    const sid = p.sourceId
+    if (!bySource[sid]) bySource[sid] = []
+    bySource[sid].push({ date: p.date, y, point: p })
+  }
+  for (const sid of Object.keys(bySource)) {
+    bySource[sid].sort((a, b) => a.date.localeCompare(b.date))
+  }
+  return bySource
+}
+
+type ChartEvents = Record<string, (params: unknown, chart: echarts.ECharts) => void>
+
+function useEChart(option: echarts.EChartsOption, events?: ChartEvents) {
   const ref = useRef<HTMLDivElement | null>(null)
+  const chartRef = useRef<echarts.ECharts | null>(null)
 
+  // one instance for the component's lifetime, so a zoom or brush in progress survives option updates
   useEffect(() => {
     if (!ref.current) return
 
     const chart = echarts.init(ref.current, undefined, { renderer: 'canvas' })
-    chart.setOption(option)
+    chartRef.current = chart
 
     const ro = new ResizeObserver(() => chart.resize())
     ro.observe(ref.current)
@@ -38,156 +201,708 @@ function useEChart(option: echarts.EChartsOption) {
     return () => {
       ro.disconnect()
       chart.dispose()
+      chartRef.current = null
     }
+  }, [])
+
+  useEffect(() => {
+    chartRef.current?.setOption(option, { notMerge: true })
   }, [option])
 
-  return ref
+  useEffect(() => {
+    const chart = chartRef.current
+    if (!chart || !events) return
+    const bound = Object.entries(events).map(([name, handler]) => [name, (params: unknown) => handler(params, chart)] as const)
+    for (const [name, handler] of bound) chart.on(name, handler)
+    return () => {
+      for (const [name, handler] of bound) chart.off(name, handler)
+    }
+  }, [events])
+
+  return { ref, chart: chartRef }
 }
 
-const SOURCE_COLORS: Record<string, string> = {
-  'arcteryx-ca': '#93c5fd',
-  grailed: '#fcd34d',
-  ebay: '#6ee7b7'
+/** View state mirrored in the URL query string: every change adds a history entry, back/forward restore it. */
+function useViewState() {
+  const [view, setView] = useState(() => parseViewState(window.location.search))
+
+  useEffect(() => {
+    // normalise the URL we were opened with, without adding an entry
+    const search = serializeViewState(parseViewState(window.location.search))
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}${search}${window.location.hash}`)
+    const onPopState = () => setView(parseViewState(window.location.search))
+    window.addEventListener('popstate', onPopState)
+    return () => window.removeEventListener('popstate', onPopState)
+  }, [])
+
+  useEffect(() => {
+    const search = serializeViewState(view)
+    if (search !== window.location.search) {
+      window.history.pushState(null, '', `${window.location.pathname}${search}${window.location.hash}`)
+    }
+  }, [view])
+
+  const update = useCallback((patch: Partial<ViewState>) => setView((prev) => ({ ...prev, ...patch })), [])
+  return [view, update] as const
 }
 
 function App() {
-  const [visibleSources, setVisibleSources] = useState<Record<string, boolean>>(() =>
-    Object.fromEntries(data.sources.map((s) => [s.id, true]))
-  )
+  const [view, setView] = useViewState()
+  const { currency, priceBasis, kind, rollingWindow, showFlagged, resaleStyle, scale } = view
+  const data = datasetById[view.productId] ?? datasets[0]
+  const compare = view.compareId && view.compareId !== data.product.id ? datasetById[view.compareId] : undefined
 
-  const pointsBySource = useMemo(() => {
-    const bySource: Record<string, Array<{ date: string; y: number; url: string }>> = {}
-    for (const p of data.series) {
-      const y = p.priceCad?.amount ?? p.price.amount
-      const sid = p.sourceId
-      if (!bySource[sid]) bySource[sid] = []
-      bySource[sid].push({ date: p.date, y, url: p.url })
-    }
-    for (const sid of Object.keys(bySource)) {
-      bySource[sid].sort((a, b) => a.date.localeCompare(b.date))
-    }
-    return bySource
-  }, [])
+  const sources = useMemo(() => {
+    const out = [...data.sources]
+    for (const s of compare?.sources ?? []) if (!out.some((o) => o.id === s.id)) out.push(s)
+    return out
+  }, [compare, data])
+
+  const hidden = useMemo(() => new Set(view.hidden), [view.hidden])
+  const [selected, setSelected] = useState<PointRef | null>(null)
 
-  const seriesDataBySource = useMemo(() => {
-    const out: Record<string, [string, number][]> = {}
-    for (const [sid, pts] of Object.entries(pointsBySource)) {
-      out[sid] = pts.map((p) => [p.date, p.y])
+  // Each plotted product contributes one line per source; the compared product is drawn dashed.
+  // Flagged outliers are kept apart so they never bend the lines.
+  const plotted = useMemo(() => {
+    const out: Array<{
+      data: DataFile
+      dashed: boolean
+      bySource: Record<string, PlotPoint[]>
+      flaggedBySource: Record<string, PlotPoint[]>
+    }> = []
+    for (const [d, dashed] of [[data, false], [compare, true]] as const) {
+      if (!d) continue
+      out.push({
+        data: d,
+        dashed,
+        bySource: pointsBySource(d, currency, priceBasis),
+        flaggedBySource: pointsBySource(d, currency, priceBasis, 'flagged')
+      })
     }
     return out
-  }, [pointsBySource])
+  }, [compare, currency, data, priceBasis])
+
+  const flaggedCount = useMemo(() => data.series.filter((p) => p.status === 'flagged').length, [data])
+
+  const availability = useMemo(() => data.availability ?? [], [data])
+  const bandRows = useMemo(() => availabilityRows(availability), [availability])
 
   const allDates = useMemo(() => {
     const set = new Set<string>()
-    for (const pts of Object.values(pointsBySource)) for (const p of pts) set.add(p.date)
+    for (const { bySource } of plotted) for (const pts of Object.values(bySource)) for (const p of pts) set.add(p.date)
+    for (const a of availability) set.add(a.date)
     return Array.from(set).sort()
-  }, [pointsBySource])
+  }, [availability, plotted])
 
   const domain = useMemo(() => {
     if (allDates.length === 0) return { min: null as string | null, max: null as string | null }
     return { min: allDates[0], max: allDates[allDates.length - 1] }
   }, [allDates])
 
-  const option = useMemo<echarts.EChartsOption>(() => {
-    const currency = 'CAD'
+  // the zoomed / brushed range; the stats cover it too
+  const range = view.range
+
+  // Sale observations of the selected product in the display currency, split by source role. Resale
+  // premiums are taken over the home retailer (the first retail source), not the regional stores,
+  // which are compared at their listed prices whichever price basis the chart uses.
+  const observations = useMemo(() => {
+    const retail: Observation[] = []
+    const resale: Observation[] = []
+    const regional: RegionalObservation[] = []
+    const home = data.sources.find((s) => s.role === 'retail')?.id
+    const listed = priceBasis === 'item' ? plotted[0]?.bySource : pointsBySource(data, currency, 'item')
+    for (const src of data.sources) {
+      if (hidden.has(src.id)) continue
+      const target = src.role === 'retail' ? retail : resale
+      for (const p of plotted[0]?.bySource[src.id] ?? []) {
+        if (p.point.kind === 'sale') target.push({ date: p.date, value: p.y, sourceId: src.id })
+      }
+      if (!src.region) continue
+      for (const p of listed?.[src.id] ?? []) {
+        if (p.point.kind === 'sale') regional.push({ date: p.date, value: p.y, sourceId: src.id, price: p.point.price })
+      }
+    }
+    return { retail, resale, regional, homeRetail: retail.filter((o) => o.sourceId === home) }
+  }, [currency, data, hidden, plotted, priceBasis])
+
+  const stats = useMemo(() => {
+    const { retail, resale, homeRetail } = observations
+    const premiums = resalePremiums(inRange(resale, range), homeRetail)
+    return {
+      rolling: ROLLING_WINDOWS.map((window) => ({ window, latest: inRange(rollingSpread(resale, window), range).at(-1) })),
+      bySource: summarizeSources(inRange([...retail, ...resale], range)),
+      sales: inRange(resale, range).length,
+      premium: spread(premiums.map((p) => p.premium)),
+      lastPremium: premiums.at(-1)
+    }
+  }, [observations, range])
+
+  const regional = useMemo(() => inRange(observations.regional, range), [observations, range])
+
+  const rolling = useMemo(
+    () => (rollingWindow ? rollingSpread(observations.resale, rollingWindow) : []),
+    [observations, rollingWindow]
+  )
+
+  const sourceName = useCallback((id: string) => sources.find((s) => s.id === id)?.name ?? id, [sources])
 
-    const tooltipFormatter = (params: any) => {
-      const rows = Array.isArray(params) ? params : [params]
-      const date = rows?.[0]?.axisValue
+  const { option, seriesPoints } = useMemo(() => {
+    const seriesPoints: SeriesPoints = []
+
+    const tooltipFormatter = (params: echarts.TooltipComponentFormatterCallbackParams) => {
+      const rows = (Array.isArray(params) ? params : [params]) as Array<
+        echarts.DefaultLabelFormatterCallbackParams & { axisValue?: string }
+      >
+      const date = dayOf(rows?.[0]?.axisValue)
       const prettyDate = date ? format(parseISO(date), 'MMM d, yyyy') : ''
 
-      const bullets = rows
-        .filter((r: any) => r.data?.[1] != null)
-        .map((r: any) => {
-          const name = r.seriesName
-          const value = Number(r.data?.[1])
-          return `${name}: <b>${value.toFixed(2)} ${currency}</b>`
+      // every plotted point of the day, not just the one per series nearest the pointer
+      const bullets = (date ? seriesPoints : [])
+        .flatMap(({ name, points, promotions }) => points.filter((p) => p.date === date).map((p) => ({ name, p, promotions })))
+        .map(({ name, p, promotions }) => {
+          const { price, kind, outlier } = p.point
+          const original =
+            price.currency !== currency || priceBasis === 'landed'
+              ? ` <span class="tt-muted">(listed ${formatMoney(price.amount, price.currency)})</span>`
+              : ''
+          const kindTag = kind === 'msrp' ? ` <span class="tt-muted">${KIND_LABELS.msrp}</span>` : ''
+          const promotion = kind === 'sale' ? promotionOn(promotions, p.point.sourceId, p.date) : undefined
+          const off = promotion ? discountOf(price, promotion) : null
+          const discountTag = off ? ` <span class="tt-muted">${off}% off</span>` : ''
+          const flag = outlier
+            ? ` <span class="tt-muted">outlier, ${outlier.floor != null ? `under ${formatMoney(outlier.floor, 'CAD')}` : `z=${outlier.z}`}</span>`
+            : ''
+          return `${name}: <b>${formatMoney(p.y, currency)}</b>${original}${kindTag}${discountTag}${flag}`
+        })
+      const hint = bullets.length > 0 ? '<br/><span class="tt-muted">Click a point for details</span>' : ''
+
+      const stock = date ? availabilityOn(availability, date) : []
+      const stockLines = stock
+        .map((a) => {
+          const sizes = a.variants.filter((v) => v.status === 'in-stock').map((v) => v.size)
+          const detail = sizes.length > 0 ? ` <span class="tt-muted">(${sizes.join(', ')})</span>` : ''
+          return `<br/>${sourceName(a.sourceId)}: ${STOCK_STATUS_LABELS[a.status]}${detail}`
         })
-        .join('<br/>')
+        .join('')
 
-      const match = data.series.find((p) => p.date === date)
-      const link = match?.url
-      const linkLine = link ? `<br/><a class="tt-link" href="${link}" target="_blank" rel="noreferrer">open listing</a>` : ''
+      const r = rolling.find((x) => x.date === date)
+      const rollingLine = r
+        ? `<br/>${rollingWindow}-day resale median: <b>${formatMoney(r.median, currency)}</b> <span class="tt-muted">(IQR ${formatMoney(r.q1, currency)} – ${formatMoney(r.q3, currency)}, n=${r.count})</span>`
+        : ''
 
-      return `<div class="tt">${prettyDate}<br/>${bullets}${linkLine}</div>`
+      return `<div class="tt">${prettyDate}<br/>${bullets.join('<br/>')}${rollingLine}${stockLines}${hint}</div>`
     }
 
+    const ofKind = (pts: PlotPoint[] | undefined) => (kind === 'all' ? pts : pts?.filter((p) => p.point.kind === kind))
+
     const series: echarts.SeriesOption[] = []
-    for (const src of data.sources) {
-      if (!visibleSources[src.id]) continue
-      const seriesData = seriesDataBySource[src.id]
-      if (!seriesData || seriesData.length === 0) continue
-      const color = SOURCE_COLORS[src.id] ?? 'rgba(255,255,255,0.8)'
+    for (const { data: d, dashed, bySource, flaggedBySource } of plotted) {
+      for (const src of d.sources) {
+        if (hidden.has(src.id)) continue
+        const color = src.color ?? 'rgba(255,255,255,0.8)'
+        const name = compare ? `${src.name} · ${d.product.color}` : src.name
+        const promotions = d.promotions ?? []
+
+        const flagged = showFlagged ? ofKind(flaggedBySource[src.id]) : undefined
+        if (flagged && flagged.length > 0) {
+          // hollow triangles in the source colour, off the line
+          series.push({
+            name: `${name} (flagged)`,
+            type: 'scatter',
+            symbol: 'triangle',
+            symbolSize: 11,
+            data: flagged.map((p) => [p.date, p.y]),
+            itemStyle: { color: 'transparent', borderColor: color, borderWidth: 2 },
+            z: 3
+          })
+          seriesPoints.push({ name: `${name} (flagged)`, points: flagged, promotions })
+        }
+
+        const pts = ofKind(bySource[src.id])
+        if (!pts || pts.length === 0) continue
+        if (src.role === 'resale' && resaleStyle === 'scatter') {
+          // resale observations are individual sales, not a continuous price: one dot each
+          series.push({
+            name,
+            type: 'scatter',
+            symbol: dashed ? 'emptyCircle' : 'circle',
+            symbolSize: 7,
+            data: jitteredByDay(pts),
+            emphasis: { focus: 'series' },
+            itemStyle: { color, opacity: 0.85 },
+            animationDuration: 900,
+            animationEasing: 'cubicOut'
+          })
+          // same order as the jittered data: by day, cheapest first
+          seriesPoints.push({ name, points: [...pts].sort((a, b) => a.date.localeCompare(b.date) || a.y - b.y), promotions })
+          continue
+        }
+        series.push({
+          name,
+          type: 'line',
+          smooth: true,
+          showSymbol: true,
+          symbolSize: 6,
+          data: pts.map((p) => [p.date, p.y]),
+          emphasis: { focus: 'series' },
+          lineStyle: { width: 2.5, color, type: dashed ? 'dashed' : 'solid' },
+          itemStyle: { color },
+          animationDuration: 900,
+          animationEasing: 'cubicOut'
+        })
+        seriesPoints.push({ name, points: pts, promotions })
+      }
+    }
+
+    // Rolling resale median with its IQR as a band: q1 as an invisible base, q3 - q1 stacked on top.
+    if (rolling.length > 0) {
+      const overlay = { type: 'line' as const, smooth: true, showSymbol: false, silent: true, z: 1 }
+      series.push(
+        { ...overlay, id: 'rolling-q1', stack: 'rolling-iqr', data: rolling.map((r) => [r.date, r.q1]), lineStyle: { opacity: 0 } },
+        {
+          ...overlay,
+          id: 'rolling-iqr',
+          stack: 'rolling-iqr',
+          data: rolling.map((r) => [r.date, r.q3 - r.q1]),
+          lineStyle: { opacity: 0 },
+          areaStyle: { color: 'rgba(255, 255, 255, 0.08)' }
+        },
+        {
+          ...overlay,
+          id: 'rolling-median',
+          name: `${rollingWindow}-day resale median`,
+          data: rolling.map((r) => [r.date, r.median]),
+          lineStyle: { width: 1.5, color: OVERLAY_COLOR, type: 'dotted' },
+          itemStyle: { color: OVERLAY_COLOR }
+        }
+      )
+    }
+
+    const axisLine = { lineStyle: { color: 'rgba(255,255,255,0.25)' } }
+    const splitLine = { lineStyle: { color: 'rgba(255,255,255,0.06)' } }
+
+    // Availability band: a second grid under the price chart sharing its time range, one row per size.
+    const showBand = bandRows.length > 0
+    const bandHeight = bandRows.length * BAND_ROW_HEIGHT
+    const rowIndex = new Map(bandRows.map((r, i) => [`${r.sourceId}|${r.size ?? ''}`, i]))
+    const multiSource = new Set(bandRows.map((r) => r.sourceId)).size > 1
+    const rowLabel = (r: (typeof bandRows)[number]) => {
+      const label = r.size ?? 'Any size'
+      return multiSource ? `${sourceName(r.sourceId)} · ${label}` : label
+    }
+    if (showBand) {
       series.push({
-        name: src.name,
+        name: 'Availability',
+        type: 'custom',
+        xAxisIndex: 1,
+        yAxisIndex: 1,
+        silent: true,
+        encode: { x: [0, 1], y: 2 },
+        data: availabilitySpans(availability, domain.max).map((s) => ({
+          value: [s.start, s.end, rowIndex.get(`${s.sourceId}|${s.size ?? ''}`) ?? 0],
+          itemStyle: { color: STOCK_COLORS[s.status] }
+        })),
+        renderItem: (_params, api) => {
+          const row = api.value(2)
+          const start = api.coord([api.value(0), row])
+          const end = api.coord([api.value(1), row])
+          const height = BAND_ROW_HEIGHT * 0.6
+          return {
+            type: 'rect',
+            // a single-day snapshot still gets a visible sliver
+            shape: { x: start[0], y: start[1] - height / 2, width: Math.max(end[0] - start[0], 3), height },
+            style: { fill: api.visual('color') as string }
+          }
+        }
+      })
+    }
+
+    // through the end of the last day, so that day's scattered observations stay on the chart
+    const axisMax = domain.max ? parseISO(domain.max).getTime() + 24 * HOUR_MS : undefined
+
+    // promotions of the selected product's visible sources, shaded in the source colour; one still
+    // on runs to the end of the axis
+    const promotions = (data.promotions ?? []).filter((p) => !hidden.has(p.sourceId))
+    if (promotions.length > 0) {
+      series.push({
+        id: 'promotions',
         type: 'line',
-        smooth: true,
-        showSymbol: true,
-        symbolSize: 6,
-        data: seriesData,
-        emphasis: { focus: 'series' },
-        lineStyle: { width: 2.5, color },
-        itemStyle: { color },
-        animationDuration: 900,
-        animationEasing: 'cubicOut'
+        data: [],
+        silent: true,
+        markArea: {
+          silent: true,
+          label: { color: 'rgba(255,255,255,0.75)', fontSize: 11, position: 'insideTop' },
+          data: promotions.map((p) => [
+            {
+              name: `${p.discount}% off`,
+              xAxis: p.start,
+              itemStyle: { color: data.sources.find((s) => s.id === p.sourceId)?.color ?? OVERLAY_COLOR, opacity: 0.12 }
+            },
+            { xAxis: p.end ?? axisMax ?? p.start }
+          ])
+        }
       })
     }
 
-    return {
-      backgroundColor: 'transparent',
-      grid: { left: 18, right: 18, top: 30, bottom: 30, containLabel: true },
-      tooltip: { trigger: 'axis', axisPointer: { type: 'line' }, formatter: tooltipFormatter },
+    const priceAxes = {
       xAxis: {
-        type: 'time',
-        boundaryGap: [0, 0],
+        type: 'time' as const,
+        boundaryGap: [0, 0] as [number, number],
         min: domain.min ?? undefined,
-        max: domain.max ?? undefined,
+        max: axisMax,
         axisLabel: {
           color: 'rgba(255,255,255,0.85)',
           formatter: (value: number) => format(new Date(value), 'MMM yyyy')
         },
-        axisLine: { lineStyle: { color: 'rgba(255,255,255,0.25)' } },
-        splitLine: { lineStyle: { color: 'rgba(255,255,255,0.06)' } }
+        axisLine,
+        splitLine
       },
       yAxis: {
-        type: 'value',
+        type: scale === 'log' ? ('log' as const) : ('value' as const),
         axisLabel: {
           color: 'rgba(255,255,255,0.85)',
           formatter: (v: number) => `${v.toFixed(0)} ${currency}`
         },
-        axisLine: { lineStyle: { color: 'rgba(255,255,255,0.25)' } },
-        splitLine: { lineStyle: { color: 'rgba(255,255,255,0.06)' } }
-      },
+        axisLine,
+        splitLine
+      }
+    }
+
+    // Zoom (wheel/drag and a slider under the chart) and brush selection along the time axis. The
+    // window itself comes from the view range and is applied with a dataZoom action (see below).
+    const zoomAxes = showBand ? [0, 1] : 0
+    const interaction: echarts.EChartsOption = {
+      dataZoom: [
+        { type: 'inside', xAxisIndex: zoomAxes, filterMode: 'none' },
+        {
+          type: 'slider',
+          xAxisIndex: zoomAxes,
+          filterMode: 'none',
+          bottom: 8,
+          height: 18,
+          borderColor: 'rgba(255,255,255,0.12)',
+          fillerColor: 'rgba(255, 59, 59, 0.15)',
+          textStyle: { color: 'rgba(255,255,255,0.7)' },
+          labelFormatter: (value: number) => format(new Date(value), 'MMM d, yyyy')
+        }
+      ],
+      brush: { xAxisIndex: 0, brushMode: 'single', brushStyle: { color: 'rgba(255, 59, 59, 0.12)', borderColor: 'rgba(255, 59, 59, 0.6)' } },
+      toolbox: {
+        right: 18,
+        top: 0,
+        itemSize: 14,
+        iconStyle: { borderColor: 'rgba(255,255,255,0.6)' },
+        feature: { brush: { type: ['lineX', 'clear'], title: { lineX: 'Select a date range', clear: 'Clear selection' } } }
+      }
+    }
+
+    if (!showBand) {
+      const option: echarts.EChartsOption = {
+        backgroundColor: 'transparent',
+        grid: { left: 18, right: 18, top: 30, bottom: 30 + SLIDER_SPACE, containLabel: true },
+        tooltip: { trigger: 'axis', axisPointer: { type: 'line' }, formatter: tooltipFormatter },
+        ...interaction,
+        ...priceAxes,
+        series
+      }
+      return { option, seriesPoints }
+    }
+
+    // fixed left edges keep the two grids' time axes aligned
+    const option: echarts.EChartsOption = {
+      backgroundColor: 'transparent',
+      grid: [
+        { left: 86, right: 18, top: 30, bottom: 30 + SLIDER_SPACE + bandHeight + 24 },
+        { left: 86, right: 18, bottom: 30 + SLIDER_SPACE, height: bandHeight }
+      ],
+      tooltip: { trigger: 'axis', axisPointer: { type: 'line' }, formatter: tooltipFormatter },
+      ...interaction,
+      xAxis: [
+        priceAxes.xAxis,
+        {
+          type: 'time',
+          gridIndex: 1,
+          min: domain.min ?? undefined,
+          max: axisMax,
+          axisLabel: { show: false },
+          axisTick: { show: false },
+          axisLine,
+          splitLine
+        }
+      ],
+      yAxis: [
+        priceAxes.yAxis,
+        {
+          type: 'category',
+          gridIndex: 1,
+          inverse: true,
+          data: bandRows.map(rowLabel),
+          axisLabel: { color: 'rgba(255,255,255,0.7)', fontSize: 11 },
+          axisTick: { show: false },
+          axisLine
+        }
+      ],
       series
     }
-  }, [domain.max, domain.min, seriesDataBySource, visibleSources])
+    return { option, seriesPoints }
+  }, [
+    availability,
+    bandRows,
+    compare,
+    currency,
+    data,
+    domain.max,
+    domain.min,
+    hidden,
+    kind,
+    plotted,
+    priceBasis,
+    resaleStyle,
+    rolling,
+    rollingWindow,
+    scale,
+    showFlagged,
+    sourceName
+  ])
+
+  const zoomTimer = useRef<number | undefined>(undefined)
+  const chartEvents = useMemo<ChartEvents>(
+    () => ({
+      datazoom: (_params, chart) => {
+        window.clearTimeout(zoomTimer.current)
+        zoomTimer.current = window.setTimeout(() => {
+          const [zoom] = chart.getOption().dataZoom as { start: number; end: number; startValue: number; endValue: number }[]
+          setView({
+            range: {
+              from: zoom.start <= 0 ? null : (dayOf(zoom.startValue) ?? null),
+              // the axis runs through the end of the last day
+              to: zoom.end >= 100 ? null : (dayOf(zoom.endValue - 1) ?? null)
+            }
+          })
+        }, ZOOM_COMMIT_MS)
+      },
+      click: (params) => {
+        const { seriesIndex, dataIndex } = params as { seriesIndex?: number; dataIndex: number }
+        const s = seriesPoints[seriesIndex ?? -1]
+        const p = s?.points[dataIndex]
+        if (p) setSelected({ series: s.name, id: p.point.id })
+      },
+      brushEnd: (params, chart) => {
+        const area = (params as { areas?: { coordRange?: [number, number] }[] }).areas?.[0]
+        chart.dispatchAction({ type: 'brush', areas: [] })
+        if (!area?.coordRange) return
+        setView({ range: { from: dayOf(area.coordRange[0]) ?? null, to: dayOf(area.coordRange[1]) ?? null } })
+      }
+    }),
+    [seriesPoints, setView]
+  )
+
+  const { ref: chartRef, chart } = useEChart(option, chartEvents)
+
+  // the zoom window follows the view range (dispatched rather than set in `option`, so committing a
+  // zoom doesn't rebuild the chart); silent, so it isn't read back as a user zoom
+  useEffect(() => {
+    const { from, to } = range
+    chart.current?.dispatchAction(
+      {
+        type: 'dataZoom',
+        ...(from ? { startValue: parseISO(from).getTime() } : { start: 0 }),
+        ...(to ? { endValue: parseISO(to).getTime() + 24 * HOUR_MS } : { end: 100 })
+      },
+      { silent: true }
+    )
+  }, [chart, option, range])
+
+  const preset = activePreset(range, domain.max)
+
+  // the drawer lists the selected point first, then the other plotted points of its day
+  const selectedDay = useMemo(() => drawerEntries(seriesPoints, selected), [selected, seriesPoints])
+
+  useEffect(() => {
+    if (!selected) return
+    const onKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') setSelected(null)
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [selected])
+
+  // the points the chart shows within the selected range, for the downloads
+  const viewPoints = useMemo(() => {
+    const out: Array<{ productId: string; plot: PlotPoint }> = []
+    for (const { data: d, bySource, flaggedBySource } of plotted) {
+      for (const src of d.sources) {
+        if (hidden.has(src.id)) continue
+        const pts = [...(bySource[src.id] ?? []), ...((showFlagged && flaggedBySource[src.id]) || [])]
+        for (const p of inRange(pts, range)) {
+          if (kind === 'all' || p.point.kind === kind) out.push({ productId: d.product.id, plot: p })
+        }
+      }
+    }
+    return out.sort((a, b) => a.plot.date.localeCompare(b.plot.date))
+  }, [hidden, kind, plotted, range, showFlagged])
+
+  const downloadView = (type: 'csv' | 'json') => {
+    const name = ['vbh', data.product.id, compare?.product.id, range.from, range.to].filter(Boolean).join('_')
+    if (type === 'json') {
+      const points = viewPoints.map(({ productId, plot }) => ({ productId, ...plot.point, display: { amount: plot.y, currency } }))
+      const body = { apiVersion: API_VERSION, view: serializeViewState(view), currency, priceBasis, points }
+      download(`${name}.json`, JSON.stringify(body, null, 2) + '\n', 'application/json')
+      return
+    }
+    // CAD is already a column of its own
+    const displayColumn = `${priceBasis === 'landed' ? 'landed' : 'amount'}_${currency.toLowerCase()}`
+    const columns = currency === 'CAD' ? [...POINT_COLUMNS] : [...POINT_COLUMNS, displayColumn]
+    const rows = viewPoints.map(({ productId, plot }) => ({ ...pointRow(productId, plot.point), [displayColumn]: plot.y }))
+    download(`${name}.csv`, toCsv(columns, rows), 'text/csv')
+  }
+
+  const statuses = useMemo(
+    () => sourceStatuses(health, data.product.id, data.sources.map((s) => s.id)),
+    [data]
+  )
+
+  const missingFx = useMemo(
+    () => data.series.filter((p) => p.status !== 'rejected' && convertPoint(p, currency, fxTable) == null).length,
+    [currency, data]
+  )
 
-  const chartRef = useEChart(option)
+  // sources landed-cost.json doesn't cover drop off the chart in landed-cost mode
+  const withoutLanded = useMemo(
+    () => (priceBasis === 'landed' ? data.sources.filter((s) => !data.series.some((p) => p.sourceId === s.id && p.landedCad)) : []),
+    [data, priceBasis]
+  )
 
   return (
     <div className="page">
       <header className="header">
         <div className="badge">VBH Tracker</div>
         <div className="titleWrap">
-          <h1 className="title">Veilance Bucket Hat — Carmine</h1>
-          <p className="subtitle">Market + retail price history (CAD)</p>
+          <h1 className="title">{productLabel(data)}</h1>
+          <p className="subtitle">
+            Market + retail price history ({currency}
+            {priceBasis === 'landed' && ', estimated landed cost'})
+          </p>
         </div>
       </header>
 
+      {health && (
+        <div className="statusStrip" aria-label="Last successful update per source">
+          {statuses.map((st) => (
+            <span
+              key={st.sourceId}
+              className={`status ${st.state}`}
+              title={st.problems.length > 0 ? `Last run: ${st.problems.join('; ')}` : undefined}
+            >
+              <span className="statusDot" />
+              {sourceName(st.sourceId)}
+              <span className="muted">
+                {st.lastSuccess ? ` updated ${format(parseISO(st.lastSuccess), 'MMM d, HH:mm')}` : ' no successful update yet'}
+                {st.state === 'regressed' && ' · last run failed'}
+              </span>
+            </span>
+          ))}
+        </div>
+      )}
+
       <section className="panel">
         <div className="controls">
-          {data.sources.map((s) => (
+          <label className="picker">
+            <span className="muted">Product</span>
+            <select value={data.product.id} onChange={(e) => setView({ productId: e.target.value })}>
+              {datasets.map((d) => (
+                <option key={d.product.id} value={d.product.id}>
+                  {productLabel(d)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="picker">
+            <span className="muted">Compare</span>
+            <select value={compare?.product.id ?? ''} onChange={(e) => setView({ compareId: e.target.value })}>
+              <option value="">None</option>
+              {datasets
+                .filter((d) => d.product.id !== data.product.id)
+                .map((d) => (
+                  <option key={d.product.id} value={d.product.id}>
+                    {productLabel(d)}
+                  </option>
+                ))}
+            </select>
+          </label>
+          <label className="picker">
+            <span className="muted">Currency</span>
+            <select value={currency} onChange={(e) => setView({ currency: e.target.value as DisplayCurrency })}>
+              {DISPLAY_CURRENCIES.map((c) => (
+                <option key={c} value={c}>
+                  {c}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="picker">
+            <span className="muted">Price</span>
+            <select value={priceBasis} onChange={(e) => setView({ priceBasis: e.target.value as PriceBasis })}>
+              <option value="item">Item price</option>
+              <option value="landed">Landed cost</option>
+            </select>
+          </label>
+          <label className="picker">
+            <span className="muted">Resale</span>
+            <select value={resaleStyle} onChange={(e) => setView({ resaleStyle: e.target.value as ResaleStyle })}>
+              <option value="scatter">Scatter</option>
+              <option value="line">Lines</option>
+            </select>
+          </label>
+          <label className="picker">
+            <span className="muted">Prices</span>
+            <select value={kind} onChange={(e) => setView({ kind: e.target.value as KindFilter })}>
+              {(Object.keys(KIND_LABELS) as KindFilter[]).map((k) => (
+                <option key={k} value={k}>
+                  {KIND_LABELS[k]}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="picker">
+            <span className="muted">Scale</span>
+            <select value={scale} onChange={(e) => setView({ scale: e.target.value as AxisScale })}>
+              <option value="linear">Linear</option>
+              <option value="log">Log</option>
+            </select>
+          </label>
+          <label className="picker">
+            <span className="muted">Rolling median</span>
+            <select
+              value={rollingWindow}
+              onChange={(e) => setView({ rollingWindow: Number(e.target.value) as RollingWindow | 0 })}
+            >
+              <option value={0}>Off</option>
+              {ROLLING_WINDOWS.map((w) => (
+                <option key={w} value={w}>
+                  {w} days
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="toggle">
+            <input type="checkbox" checked={showFlagged} onChange={(e) => setView({ showFlagged: e.target.checked })} />
+            <span className="flaggedLegend">Flagged ({flaggedCount})</span>
+          </label>
+          {sources.map((s) => (
             <label key={s.id} className="toggle">
               <input
                 type="checkbox"
-                checked={visibleSources[s.id] !== false}
+                checked={!hidden.has(s.id)}
                 onChange={(e) =>
-                  setVisibleSources((prev) => ({ ...prev, [s.id]: e.target.checked }))
+                  setView({
+                    hidden: e.target.checked ? view.hidden.filter((id) => id !== s.id) : [...view.hidden, s.id].sort()
+                  })
                 }
               />
               <span
                 className="sourceLegend"
-                style={{ color: SOURCE_COLORS[s.id] ?? 'rgba(255,255,255,0.8)' }}
+                style={{ color: s.color ?? 'rgba(255,255,255,0.8)' }}
               >
                 {s.name}
               </span>
@@ -195,19 +910,167 @@ function App() {
           ))}
         </div>
 
-        <div ref={chartRef} className="chart" />
+        <div className="rangeBar">
+          <div className="rangePresets" role="group" aria-label="Date range">
+            {RANGE_PRESETS.map((p) => (
+              <button key={p} type="button" aria-pressed={preset === p} onClick={() => setView({ range: presetRange(p, domain.max) })}>
+                {PRESET_LABELS[p]}
+              </button>
+            ))}
+          </div>
+          {(range.from || range.to) && (
+            <span className="muted">
+              {range.from ? format(parseISO(range.from), 'MMM d, yyyy') : 'First'} –{' '}
+              {range.to ? format(parseISO(range.to), 'MMM d, yyyy') : 'latest'}
+            </span>
+          )}
+          <span className="muted rangeHint">Scroll or drag the slider to zoom; select a range with the brush tool.</span>
+          <div className="downloads" role="group" aria-label="Download the points in view">
+            <span className="muted">{viewPoints.length} points</span>
+            <button type="button" disabled={viewPoints.length === 0} onClick={() => downloadView('csv')}>
+              CSV
+            </button>
+            <button type="button" disabled={viewPoints.length === 0} onClick={() => downloadView('json')}>
+              JSON
+            </button>
+          </div>
+        </div>
+
+        <div
+          ref={chartRef}
+          className="chart"
+          style={bandRows.length > 0 ? { height: 450 + bandRows.length * BAND_ROW_HEIGHT + 24 } : undefined}
+        />
+
+        {bandRows.length > 0 && (
+          <div className="stockLegend">
+            <span className="muted">Availability</span>
+            {(Object.keys(STOCK_STATUS_LABELS) as StockStatus[]).map((status) => (
+              <span key={status} className="stockKey" style={{ color: STOCK_COLORS[status] }}>
+                {STOCK_STATUS_LABELS[status]}
+              </span>
+            ))}
+          </div>
+        )}
+
+        <div className="stats">
+          <div className="stat">
+            <div className="statTitle">Resale median</div>
+            {stats.rolling.map(({ window, latest }) => (
+              <div key={window} className="statRow">
+                <span className="muted">{window} days</span>
+                {latest ? (
+                  <span>
+                    <b>{formatMoney(latest.median, currency)}</b>
+                    <span className="muted">
+                      {' '}
+                      IQR {formatMoney(latest.q1, currency)} – {formatMoney(latest.q3, currency)} · n={latest.count}
+                    </span>
+                  </span>
+                ) : (
+                  <span className="muted">no sales</span>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="stat">
+            <div className="statTitle">Resale vs retail</div>
+            <div className="statRow">
+              <span className="muted">Median</span>
+              {stats.premium ? (
+                <span>
+                  <b>{formatPercent(stats.premium.median)}</b>
+                  <span className="muted">
+                    {' '}
+                    IQR {formatPercent(stats.premium.q1)} – {formatPercent(stats.premium.q3)}
+                  </span>
+                </span>
+              ) : (
+                <span className="muted">no retail price to compare</span>
+              )}
+            </div>
+            {stats.lastPremium && (
+              <div className="statRow">
+                <span className="muted">Latest sale</span>
+                <span>
+                  <b>{formatPercent(stats.lastPremium.premium)}</b>
+                  <span className="muted">
+                    {' '}
+                    {formatMoney(stats.lastPremium.value, currency)} vs {formatMoney(stats.lastPremium.retail, currency)}
+                  </span>
+                </span>
+              </div>
+            )}
+            <div className="statRow">
+              <span className="muted">Resale sales</span>
+              <b>{stats.sales}</b>
+            </div>
+          </div>
+
+          <table className="stat statTable">
+            <thead>
+              <tr>
+                <th>Source</th>
+                <th>Sales</th>
+                <th>Min</th>
+                <th>Max</th>
+                <th>Last</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.bySource.map((s) => (
+                <tr key={s.sourceId}>
+                  <td>{sourceName(s.sourceId)}</td>
+                  <td>{s.count}</td>
+                  <td>{formatMoney(s.min, currency)}</td>
+                  <td>{formatMoney(s.max, currency)}</td>
+                  <td>
+                    {formatMoney(s.last.value, currency)}
+                    <span className="muted"> {format(parseISO(s.last.date), 'MMM d')}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
 
         <div className="meta">
           <div className="notes">
             {data.product.notes.map((n) => (
               <p key={n}>{n}</p>
             ))}
+            {(data.promotions ?? [])
+              .filter((p) => !p.end)
+              .map((p) => (
+                <p key={`${p.sourceId}|${p.start}`}>
+                  {sourceName(p.sourceId)} is on sale since {format(parseISO(p.start), 'MMM d, yyyy')}: up to {p.discount}% off the
+                  list price of {formatMoney(p.list.amount, p.list.currency)}.
+                </p>
+              ))}
+            {flaggedCount > 0 && !showFlagged && (
+              <p>
+                {flaggedCount} flagged outlier{flaggedCount === 1 ? '' : 's'} hidden; tick “Flagged” to show them.
+              </p>
+            )}
+            {missingFx > 0 && (
+              <p className="warn">
+                {missingFx} point{missingFx === 1 ? '' : 's'} not plotted: no FX rate yet to convert to {currency}.
+              </p>
+            )}
+            {priceBasis === 'landed' && (
+              <p>
+                Landed cost adds shipping, and for cross-border listings duty, import tax and fees, as estimated from
+                landed-cost.json.
+                {withoutLanded.length > 0 && ` No estimate for ${withoutLanded.map((s) => s.name).join(', ')}, so not plotted.`}
+              </p>
+            )}
           </div>
 
           <div className="sources">
             <div className="sourcesTitle">Sources</div>
             <ul>
-              {data.sources.map((s) => (
+              {sources.map((s) => (
                 <li key={s.id}>
                   <a href={s.url} target="_blank" rel="noreferrer">
                     {s.name}
@@ -216,10 +1079,27 @@ function App() {
                 </li>
               ))}
             </ul>
+            <a className="muted apiLink" href={`${import.meta.env.BASE_URL}${API_BASE}/index.json`} target="_blank" rel="noreferrer">
+              Data API ({API_BASE})
+            </a>
           </div>
         </div>
       </section>
 
+      {new Set(regional.map((o) => o.sourceId)).size > 1 && (
+        <RegionComparison sources={data.sources} observations={regional} currency={currency} />
+      )}
+
+      {selectedDay.length > 0 && (
+        <PointDrawer
+          entries={selectedDay}
+          currency={currency}
+          sourceName={sourceName}
+          onSelect={setSelected}
+          onClose={() => setSelected(null)}
+        />
+      )}
+
       <footer className="footer">
         <span className="muted">Built for hat-obsessed people.</span>
       </footer>
@@ -227,4 +1107,240 @@ function App() {
   )
 }
 
+/** Details of one chart point: prices, FX, source and links, with the other points of that day below. */
+function PointDrawer({
+  entries,
+  currency,
+  sourceName,
+  onSelect,
+  onClose
+}: {
+  entries: DrawerEntry<PlotPoint>[]
+  currency: DisplayCurrency
+  sourceName: (id: string) => string
+  onSelect: (ref: PointRef) => void
+  onClose: () => void
+}) {
+  const [{ name, plot, promotion }, ...others] = entries
+  const p = plot.point
+  const off = promotion ? discountOf(p.price, promotion) : null
+  const fx = p.priceCad?.fx
+  const inCurrency = convertPoint(p, currency, fxTable)
+  const landed = p.landedCad
+  const landedInCurrency = convertLanded(p, currency, fxTable)
+  const snapshot = waybackUrl(p)
+  const provenance = provenanceOf(p)
+  const note = reviewNote(p)
+
+  return (
+    <aside className="drawer" aria-label="Point details">
+      <div className="drawerHead">
+        <div>
+          <div className="drawerTitle">{name}</div>
+          <div className="muted">{format(parseISO(p.date), 'MMM d, yyyy')}</div>
+        </div>
+        <button type="button" className="drawerClose" onClick={onClose} aria-label="Close">
+          ×
+        </button>
+      </div>
+
+      {p.listing && <p className="drawerListing">{p.listing.title}</p>}
+
+      <dl className="drawerFields">
+        <dt>Price</dt>
+        <dd>
+          <b>{formatMoney(p.price.amount, p.price.currency)}</b>
+          {p.shipping && <span className="muted"> + {formatMoney(p.shipping.amount, p.shipping.currency)} shipping</span>}
+        </dd>
+        <dt>In CAD</dt>
+        <dd>
+          {p.priceCad ? formatMoney(p.priceCad.amount, 'CAD') : <span className="warn">no FX rate yet</span>}
+          {fx && (
+            <div className="muted">
+              {fx.pair} {fx.rate} on {fx.date}
+              {fx.fallback && ' (previous business day)'} · {fx.source}
+            </div>
+          )}
+        </dd>
+        {currency !== 'CAD' && inCurrency != null && (
+          <>
+            <dt>In {currency}</dt>
+            <dd>{formatMoney(inCurrency, currency)}</dd>
+          </>
+        )}
+        {landed && (
+          <>
+            <dt>Landed cost</dt>
+            <dd>
+              <b>{formatMoney(landed.amount, 'CAD')}</b>
+              {currency !== 'CAD' && landedInCurrency != null && (
+                <span className="muted"> · {formatMoney(landedInCurrency, currency)}</span>
+              )}
+              <div className="muted">
+                shipping {formatMoney(landed.shipping, 'CAD')}
+                {landed.estimatedShipping && ' (estimate)'} · duty {formatMoney(landed.duty, 'CAD')} · tax{' '}
+                {formatMoney(landed.tax, 'CAD')} · fees {formatMoney(landed.fees, 'CAD')}
+              </div>
+            </dd>
+          </>
+        )}
+        <dt>Kind</dt>
+        <dd>{KIND_LABELS[p.kind]}</dd>
+        {promotion && off != null && (
+          <>
+            <dt>Promotion</dt>
+            <dd>
+              {off}% off the list price of {formatMoney(promotion.list.amount, promotion.list.currency)}
+              <div className="muted">
+                {format(parseISO(promotion.start), 'MMM d, yyyy')} –{' '}
+                {promotion.end ? format(parseISO(promotion.end), 'MMM d, yyyy') : 'ongoing'}
+              </div>
+            </dd>
+          </>
+        )}
+        <dt>Source</dt>
+        <dd>{sourceName(p.sourceId)}</dd>
+        {p.listing?.condition && (
+          <>
+            <dt>Condition</dt>
+            <dd>{p.listing.condition}</dd>
+          </>
+        )}
+        {p.status && p.status !== 'accepted' && (
+          <>
+            <dt>Review</dt>
+            <dd>
+              {p.status}
+              {note && <span className="muted"> {note}</span>}
+            </dd>
+          </>
+        )}
+        {provenance && (
+          <>
+            <dt>Parsed</dt>
+            <dd>
+              {provenance.adapter}
+              {provenance.version != null && ` v${provenance.version}`}
+              {provenance.strategy && <span className="muted"> via {provenance.strategy}</span>}
+              <div className="muted" title={provenance.snapshot}>
+                archived page {provenance.snapshot.slice(0, 12)}
+              </div>
+              {provenance.match && <code className="drawerMatch">{provenance.match}</code>}
+            </dd>
+          </>
+        )}
+      </dl>
+
+      <div className="drawerLinks">
+        <a href={p.url} target="_blank" rel="noreferrer">
+          {p.listing ? 'Open listing' : 'Open page'}
+        </a>
+        {snapshot && (
+          <a href={snapshot} target="_blank" rel="noreferrer">
+            Wayback snapshot
+          </a>
+        )}
+      </div>
+
+      {others.length > 0 && (
+        <div className="drawerDay">
+          <div className="drawerTitle">Same day</div>
+          <ul>
+            {others.map(({ name: other, plot: o }) => (
+              <li key={`${other}|${o.point.id}`}>
+                <button type="button" onClick={() => onSelect({ series: other, id: o.point.id })}>
+                  {other}: <b>{formatMoney(o.y, currency)}</b>
+                  {o.point.kind === 'msrp' && <span className="muted"> {KIND_LABELS.msrp}</span>}
+                  {o.point.listing && <span className="muted"> · {o.point.listing.title}</span>}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </aside>
+  )
+}
+
+/** Sale prices of the regional storefronts in the display currency: over time, and the latest side by side. */
+function RegionComparison({
+  sources,
+  observations,
+  currency
+}: {
+  sources: DataFile['sources']
+  observations: RegionalObservation[]
+  currency: DisplayCurrency
+}) {
+  const regions = useMemo(() => sources.filter((s) => observations.some((o) => o.sourceId === s.id)), [observations, sources])
+  const rows = useMemo(() => compareRegions(observations), [observations])
+  const regionOf = (id: string) => regions.find((s) => s.id === id)
+
+  const option = useMemo<echarts.EChartsOption>(() => {
+    const axisLine = { lineStyle: { color: 'rgba(255,255,255,0.25)' } }
+    const splitLine = { lineStyle: { color: 'rgba(255,255,255,0.06)' } }
+    return {
+      backgroundColor: 'transparent',
+      grid: { left: 18, right: 18, top: 36, bottom: 18, containLabel: true },
+      legend: { top: 0, textStyle: { color: 'rgba(255,255,255,0.85)' } },
+      tooltip: { trigger: 'axis', valueFormatter: (v) => formatMoney(Number(v), currency) },
+      xAxis: {
+        type: 'time',
+        axisLabel: { color: 'rgba(255,255,255,0.85)', formatter: (value: number) => format(new Date(value), 'MMM yyyy') },
+        axisLine,
+        splitLine
+      },
+      yAxis: {
+        type: 'value',
+        scale: true,
+        axisLabel: { color: 'rgba(255,255,255,0.85)', formatter: (v: number) => `${v.toFixed(0)} ${currency}` },
+        axisLine,
+        splitLine
+      },
+      // a storefront price holds until the next observation, so each region is a step line
+      series: regions.map((src) => ({
+        name: src.region ?? src.name,
+        type: 'line',
+        step: 'end',
+        symbolSize: 5,
+        data: observations.filter((o) => o.sourceId === src.id).map((o) => [o.date, o.value]),
+        lineStyle: { width: 2, color: src.color },
+        itemStyle: { color: src.color }
+      }))
+    }
+  }, [currency, observations, regions])
+
+  const { ref } = useEChart(option)
+
+  return (
+    <section className="panel regions">
+      <div className="statTitle">Retail price by region ({currency})</div>
+      <div ref={ref} className="regionChart" />
+      <table className="stat statTable">
+        <thead>
+          <tr>
+            <th>Region</th>
+            <th>Listed</th>
+            <th>{currency}</th>
+            <th>vs cheapest</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.sourceId}>
+              <td>
+                {regionOf(r.sourceId)?.region ?? r.sourceId}
+                <span className="muted"> {format(parseISO(r.date), 'MMM d')}</span>
+              </td>
+              <td>{formatMoney(r.price.amount, r.price.currency)}</td>
+              <td>{formatMoney(r.value, currency)}</td>
+              <td>{r.premium === 0 ? <b>cheapest</b> : formatPercent(r.premium)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  )
+}
+
 export default App
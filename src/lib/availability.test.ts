@@ -0,0 +1,67 @@
+import { describe, expect, test } from 'vitest'
+
+import { availabilityOn, availabilityRows, availabilitySpans, type AvailabilitySnapshot } from './availability'
+
+const snap = (date: string, status: AvailabilitySnapshot['status'], variants: AvailabilitySnapshot['variants'] = []) => ({
+  date,
+  sourceId: 'arcteryx-ca',
+  status,
+  variants,
+  url: 'https://arcteryx.invalid/bucket-hat'
+})
+
+const snapshots: AvailabilitySnapshot[] = [
+  snap('2026-01-10', 'in-stock', [
+    { size: 'S-M', status: 'in-stock' },
+    { size: 'L-XL', status: 'in-stock' }
+  ]),
+  snap('2026-01-12', 'in-stock', [
+    { size: 'S-M', status: 'out-of-stock' },
+    { size: 'L-XL', status: 'in-stock' }
+  ]),
+  snap('2026-01-15', 'out-of-stock', [
+    { size: 'S-M', status: 'out-of-stock' },
+    { size: 'L-XL', status: 'out-of-stock' }
+  ]),
+  snap('2026-01-20', 'in-stock')
+]
+
+describe('availabilitySpans', () => {
+  test('merges unchanged statuses and splits at sell-outs and restocks', () => {
+    const spans = availabilitySpans(snapshots, '2026-01-25')
+    const overall = spans.filter((s) => s.size == null)
+    expect(overall.map(({ start, end, status }) => [start, end, status])).toEqual([
+      ['2026-01-10', '2026-01-15', 'in-stock'],
+      ['2026-01-15', '2026-01-20', 'out-of-stock'],
+      ['2026-01-20', '2026-01-25', 'in-stock']
+    ])
+    expect(spans.filter((s) => s.size === 'S-M').map(({ start, end, status }) => [start, end, status])).toEqual([
+      ['2026-01-10', '2026-01-12', 'in-stock'],
+      ['2026-01-12', '2026-01-20', 'out-of-stock']
+    ])
+  })
+
+  test('ends the last span at its own date when `until` is earlier or missing', () => {
+    const spans = availabilitySpans([snap('2026-01-20', 'backorder')])
+    expect(spans).toEqual([
+      { sourceId: 'arcteryx-ca', size: null, start: '2026-01-20', end: '2026-01-20', status: 'backorder' }
+    ])
+  })
+})
+
+describe('availabilityRows', () => {
+  test('lists the overall row then sizes in page order', () => {
+    expect(availabilityRows(snapshots)).toEqual([
+      { sourceId: 'arcteryx-ca', size: null },
+      { sourceId: 'arcteryx-ca', size: 'S-M' },
+      { sourceId: 'arcteryx-ca', size: 'L-XL' }
+    ])
+  })
+})
+
+describe('availabilityOn', () => {
+  test('returns the latest snapshot on or before the date', () => {
+    expect(availabilityOn(snapshots, '2026-01-14').map((s) => s.date)).toEqual(['2026-01-12'])
+    expect(availabilityOn(snapshots, '2026-01-01')).toEqual([])
+  })
+})
@@ -0,0 +1,88 @@
+// Stock-status timeline for the availability band under the price chart.
+
+export type StockStatus = 'in-stock' | 'out-of-stock' | 'backorder'
+
+export type AvailabilitySnapshot = {
+  date: string
+  sourceId: string
+  status: StockStatus
+  // per-size status; empty when the page only stated an overall status
+  variants: { size: string; color?: string; status: StockStatus }[]
+  url: string
+  wayback?: { timestamp: string; url?: string }
+}
+
+// One band row: a source's overall status (size null) or one of its sizes.
+export type AvailabilityRow = { sourceId: string; size: string | null }
+
+export type AvailabilitySpan = AvailabilityRow & { start: string; end: string; status: StockStatus }
+
+export const STOCK_STATUS_LABELS: Record<StockStatus, string> = {
+  'in-stock': 'In stock',
+  'out-of-stock': 'Sold out',
+  backorder: 'Backorder'
+}
+
+function bySource(snapshots: AvailabilitySnapshot[]) {
+  const out = new Map<string, AvailabilitySnapshot[]>()
+  for (const s of snapshots) {
+    if (!out.has(s.sourceId)) out.set(s.sourceId, [])
+    out.get(s.sourceId)!.push(s)
+  }
+  for (const list of out.values()) list.sort((a, b) => a.date.localeCompare(b.date))
+  return out
+}
+
+/**
+ * Each snapshot's status holds until the source's next snapshot; the last one extends to `until`.
+ * Consecutive spans with the same status are merged, so a span starts at a restock or sell-out.
+ * A size missing from a snapshot leaves a gap in its row.
+ */
+export function availabilitySpans(snapshots: AvailabilitySnapshot[], until?: string | null): AvailabilitySpan[] {
+  const spans: AvailabilitySpan[] = []
+  const open = new Map<string, AvailabilitySpan>()
+
+  const extend = (row: AvailabilityRow, start: string, end: string, status: StockStatus) => {
+    const key = `${row.sourceId}|${row.size ?? ''}`
+    const prev = open.get(key)
+    if (prev && prev.end === start && prev.status === status) {
+      prev.end = end
+      return
+    }
+    const span = { ...row, start, end, status }
+    spans.push(span)
+    open.set(key, span)
+  }
+
+  for (const [sourceId, list] of bySource(snapshots)) {
+    list.forEach((s, i) => {
+      const next = list[i + 1]?.date
+      const end = next ?? (until && until > s.date ? until : s.date)
+      extend({ sourceId, size: null }, s.date, end, s.status)
+      for (const v of s.variants) extend({ sourceId, size: v.size }, s.date, end, v.status)
+    })
+  }
+  return spans
+}
+
+/** Band rows in display order: per source, the overall row first, then sizes in page order. */
+export function availabilityRows(snapshots: AvailabilitySnapshot[]): AvailabilityRow[] {
+  const rows: AvailabilityRow[] = []
+  for (const [sourceId, list] of bySource(snapshots)) {
+    rows.push({ sourceId, size: null })
+    const sizes: string[] = []
+    for (const s of list) for (const v of s.variants) if (!sizes.includes(v.size)) sizes.push(v.size)
+    for (const size of sizes) rows.push({ sourceId, size })
+  }
+  return rows
+}
+
+/** Latest snapshot per source on or before `date`. */
+export function availabilityOn(snapshots: AvailabilitySnapshot[], date: string): AvailabilitySnapshot[] {
+  const out: AvailabilitySnapshot[] = []
+  for (const list of bySource(snapshots).values()) {
+    const hit = list.filter((s) => s.date <= date).pop()
+    if (hit) out.push(hit)
+  }
+  return out
+}
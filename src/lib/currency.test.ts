@@ -0,0 +1,56 @@
+import { describe, expect, test } from 'vitest'
+
+import { cadRate, convertLanded, convertPoint, formatMoney, type FxTable } from './currency'
+
+const table: FxTable = {
+  base: 'CAD',
+  currencies: ['USD', 'JPY'],
+  dates: ['2026-01-16', '2026-01-20', '2026-01-21'],
+  rates: { USD: [0.72, 0.7, null], JPY: [110.5, 111, 112] }
+}
+
+describe('cadRate', () => {
+  test('uses the rate for the date, or the latest earlier one', () => {
+    expect(cadRate(table, '2026-01-20', 'USD')).toBe(0.7)
+    expect(cadRate(table, '2026-01-18', 'USD')).toBe(0.72)
+    expect(cadRate(table, '2026-01-21', 'USD')).toBe(0.7)
+  })
+
+  test('is 1 for CAD and null when nothing is known', () => {
+    expect(cadRate(table, '2026-01-20', 'CAD')).toBe(1)
+    expect(cadRate(table, '2026-01-01', 'USD')).toBeNull()
+    expect(cadRate(table, '2026-01-20', 'EUR')).toBeNull()
+  })
+})
+
+describe('convertPoint', () => {
+  const usdPoint = { date: '2026-01-20', price: { amount: 100, currency: 'USD' }, priceCad: { amount: 138.26 } }
+  const cadPoint = { date: '2026-01-20', price: { amount: 225, currency: 'CAD' } }
+
+  test('keeps the original amount in its own currency', () => {
+    expect(convertPoint(usdPoint, 'USD', table)).toBe(100)
+  })
+
+  test('converts through the CAD price at the capture date', () => {
+    expect(convertPoint(usdPoint, 'CAD', table)).toBe(138.26)
+    expect(convertPoint(cadPoint, 'USD', table)).toBe(157.5)
+    expect(convertPoint(cadPoint, 'JPY', table)).toBe(24975)
+  })
+
+  test('returns null without a rate or CAD price', () => {
+    expect(convertPoint(cadPoint, 'EUR', table)).toBeNull()
+    expect(convertPoint({ date: '2026-01-20', price: { amount: 90, currency: 'GBP' } }, 'CAD', table)).toBeNull()
+  })
+})
+
+test('convertLanded converts the CAD estimate, even into the listing currency', () => {
+  const landed = { date: '2026-01-20', price: { amount: 100, currency: 'USD' }, priceCad: { amount: 138.26 }, landedCad: { amount: 200 } }
+  expect(convertLanded(landed, 'CAD', table)).toBe(200)
+  expect(convertLanded(landed, 'USD', table)).toBe(140)
+  expect(convertLanded({ ...landed, landedCad: undefined }, 'CAD', table)).toBeNull()
+})
+
+test('formatMoney drops decimals for JPY', () => {
+  expect(formatMoney(157.5, 'USD')).toBe('157.50 USD')
+  expect(formatMoney(24975, 'JPY')).toBe('24975 JPY')
+})
@@ -0,0 +1,71 @@
+// Client-side reconversion of series points into the selected display currency.
+//
+// Every point already carries its CAD price (converted at capture-date FX by the updater);
+// src/data/fx-table.json adds CAD → display currency rates for each capture date. Landed-cost
+// estimates are CAD too and convert the same way.
+
+export const DISPLAY_CURRENCIES = ['CAD', 'USD', 'EUR', 'GBP', 'JPY'] as const
+export type DisplayCurrency = (typeof DISPLAY_CURRENCIES)[number]
+
+export type FxTable = {
+  base: 'CAD'
+  currencies: string[]
+  dates: string[]
+  rates: Record<string, (number | null)[]>
+}
+
+export type Convertible = {
+  date: string
+  price: { amount: number; currency: string }
+  priceCad?: { amount: number }
+  landedCad?: { amount: number }
+}
+
+export function isDisplayCurrency(value: string | null | undefined): value is DisplayCurrency {
+  return DISPLAY_CURRENCIES.includes(value as DisplayCurrency)
+}
+
+/** CAD → currency rate in effect on `date` (latest table date on or before it), or null. */
+export function cadRate(table: FxTable, date: string, currency: string): number | null {
+  if (currency === 'CAD') return 1
+  const column = table.rates[currency]
+  if (!column) return null
+  // binary search for the last table date <= date
+  let lo = 0
+  let hi = table.dates.length - 1
+  let found = -1
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1
+    if (table.dates[mid] <= date) {
+      found = mid
+      lo = mid + 1
+    } else {
+      hi = mid - 1
+    }
+  }
+  for (let i = found; i >= 0; i--) {
+    if (column[i] != null) return column[i]
+  }
+  return null
+}
+
+function fromCad(cad: number, date: string, currency: string, table: FxTable): number | null {
+  const rate = cadRate(table, date, currency)
+  return rate == null ? null : Number((cad * rate).toFixed(currency === 'JPY' ? 0 : 2))
+}
+
+/** The point's price in `currency` at its capture date, or null when no rate is available. */
+export function convertPoint(p: Convertible, currency: string, table: FxTable): number | null {
+  if (p.price.currency === currency) return p.price.amount
+  const cad = p.price.currency === 'CAD' ? p.price.amount : p.priceCad?.amount
+  return cad == null ? null : fromCad(cad, p.date, currency, table)
+}
+
+/** The point's estimated landed cost in `currency`, or null without an estimate or a rate. */
+export function convertLanded(p: Convertible, currency: string, table: FxTable): number | null {
+  return p.landedCad ? fromCad(p.landedCad.amount, p.date, currency, table) : null
+}
+
+export function formatMoney(amount: number, currency: string) {
+  return `${amount.toFixed(currency === 'JPY' ? 0 : 2)} ${currency}`
+}
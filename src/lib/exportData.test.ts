@@ -0,0 +1,84 @@
+import { describe, expect, test } from 'vitest'
+
+import { API_BASE, apiFiles, latestBySource, pointRow, toCsv, type ExportDataset, type ExportPoint } from './exportData'
+
+const point = (date: string, sourceId: string, amount: number, extra: Partial<ExportPoint> = {}): ExportPoint => ({
+  date,
+  kind: 'sale',
+  price: { amount, currency: sourceId === 'arcteryx-ca' ? 'CAD' : 'USD' },
+  sourceId,
+  url: `https://${sourceId}.test/`,
+  ...extra
+})
+
+const dataset: ExportDataset = {
+  product: { id: 'vbh-carmine', name: 'Veilance Bucket Hat', color: 'Carmine' },
+  sources: [
+    { id: 'arcteryx-ca', name: "Arc'teryx CA", role: 'retail', url: 'https://arcteryx.test', currency: 'CAD', color: '#f00' },
+    { id: 'grailed', name: 'Grailed', role: 'resale', url: 'https://grailed.test', currency: 'USD', color: '#0f0' }
+  ],
+  series: [
+    point('2026-01-01', 'arcteryx-ca', 200, { kind: 'msrp', status: 'accepted' }),
+    point('2026-01-05', 'arcteryx-ca', 150, { status: 'accepted' }),
+    point('2026-01-05', 'arcteryx-ca', 200, { kind: 'msrp', status: 'accepted' }),
+    point('2026-01-03', 'grailed', 120, { listing: { id: '1', title: 'Hat, "mint"' } }),
+    point('2026-01-04', 'grailed', 999, { status: 'flagged' })
+  ]
+}
+
+describe('csv', () => {
+  test('quotes fields that need it and leaves missing values empty', () => {
+    expect(toCsv(['a', 'b', 'c'], [{ a: 'x,y', b: 'say "hi"', c: undefined }, { a: 1, b: 'line\nbreak', c: 0 }])).toBe(
+      'a,b,c\r\n"x,y","say ""hi""",\r\n1,"line\nbreak",0\r\n'
+    )
+  })
+
+  test('flattens a point, counting unreviewed points as accepted', () => {
+    expect(pointRow('vbh-carmine', dataset.series[3])).toMatchObject({
+      product: 'vbh-carmine',
+      source: 'grailed',
+      amount: 120,
+      currency: 'USD',
+      amount_cad: undefined,
+      status: 'accepted',
+      listing_id: '1',
+      listing_title: 'Hat, "mint"'
+    })
+  })
+})
+
+describe('static api', () => {
+  test('latest takes every accepted point of each source’s last day', () => {
+    const latest = latestBySource(dataset.series)
+    expect(latest['arcteryx-ca'].date).toBe('2026-01-05')
+    expect(latest['arcteryx-ca'].points.map((p) => p.kind)).toEqual(['sale', 'msrp'])
+    expect(latest.grailed.date).toBe('2026-01-03')
+  })
+
+  test('emits the versioned files', () => {
+    const files = apiFiles([dataset], new Date('2026-01-06T00:00:00Z'))
+    expect(Object.keys(files).sort()).toEqual(
+      ['index.json', 'latest.json', 'series.csv', 'series.json', 'sources/arcteryx-ca.json', 'sources/grailed.json'].map(
+        (f) => `${API_BASE}/${f}`
+      )
+    )
+
+    const series = JSON.parse(files[`${API_BASE}/series.json`])
+    expect(series).toMatchObject({ apiVersion: 1, generatedAt: '2026-01-06T00:00:00.000Z' })
+    expect(series.products[0].series).toHaveLength(5)
+
+    const grailed = JSON.parse(files[`${API_BASE}/sources/grailed.json`])
+    expect(grailed.source.name).toBe('Grailed')
+    expect(grailed.points.map((p: { productId: string; price: { amount: number } }) => [p.productId, p.price.amount])).toEqual([
+      ['vbh-carmine', 120],
+      ['vbh-carmine', 999]
+    ])
+
+    const latest = JSON.parse(files[`${API_BASE}/latest.json`]).products[0]
+    expect(Object.keys(latest.retail)).toEqual(['arcteryx-ca'])
+    expect(latest.resale.grailed.points[0].price.amount).toBe(120)
+
+    expect(files[`${API_BASE}/series.csv`].split('\r\n')).toHaveLength(1 + 5 + 1)
+    expect(JSON.parse(files[`${API_BASE}/index.json`]).files).toContain(`${API_BASE}/latest.json`)
+  })
+})
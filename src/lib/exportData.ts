@@ -0,0 +1,154 @@
+// CSV and JSON exports of the price series: the static API the build emits under api/v1/ (see
+// vite.config.ts) and the app's downloads of the current view are both built from these.
+//
+// The API is versioned by path; a change that removes or renames a field needs a new version.
+
+export const API_VERSION = 1
+export const API_BASE = `api/v${API_VERSION}`
+
+type Money = { amount: number; currency: string }
+
+export type ExportPoint = {
+  id?: string
+  date: string
+  kind: 'sale' | 'msrp'
+  price: Money
+  priceCad?: { amount: number }
+  shipping?: Money
+  landedCad?: { amount: number }
+  sourceId: string
+  url: string
+  listing?: { id: string; title: string; condition?: string; sold?: boolean }
+  status?: 'accepted' | 'flagged' | 'rejected'
+}
+
+export type ExportSource = {
+  id: string
+  name: string
+  role: 'retail' | 'resale'
+  url: string
+  currency: string
+  color: string
+  region?: string
+}
+
+export type ExportDataset<P extends ExportPoint = ExportPoint> = {
+  product: { id: string; name: string; color: string }
+  sources: ExportSource[]
+  series: P[]
+}
+
+export type CsvValue = string | number | null | undefined
+
+export const POINT_COLUMNS = [
+  'id',
+  'product',
+  'date',
+  'source',
+  'kind',
+  'amount',
+  'currency',
+  'amount_cad',
+  'shipping',
+  'shipping_currency',
+  'landed_cad',
+  'status',
+  'listing_id',
+  'listing_title',
+  'condition',
+  'url'
+] as const
+
+/** One CSV row per point; points from older files without a review status count as accepted. */
+export function pointRow(productId: string, p: ExportPoint): Record<(typeof POINT_COLUMNS)[number], CsvValue> {
+  return {
+    id: p.id,
+    product: productId,
+    date: p.date,
+    source: p.sourceId,
+    kind: p.kind,
+    amount: p.price.amount,
+    currency: p.price.currency,
+    amount_cad: p.priceCad?.amount,
+    shipping: p.shipping?.amount,
+    shipping_currency: p.shipping?.currency,
+    landed_cad: p.landedCad?.amount,
+    status: p.status ?? 'accepted',
+    listing_id: p.listing?.id,
+    listing_title: p.listing?.title,
+    condition: p.listing?.condition,
+    url: p.url
+  }
+}
+
+function csvField(value: CsvValue) {
+  if (value == null) return ''
+  const s = String(value)
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+/** RFC 4180 CSV with a header row; missing values are empty fields. */
+export function toCsv(columns: readonly string[], rows: Record<string, CsvValue>[]) {
+  const lines = [columns.join(','), ...rows.map((row) => columns.map((c) => csvField(row[c])).join(','))]
+  return lines.join('\r\n') + '\r\n'
+}
+
+/** Points from older files without a review status count as accepted. */
+export const isAccepted = (p: ExportPoint) => (p.status ?? 'accepted') === 'accepted'
+
+/** The accepted points of each source's latest observation day. */
+export function latestBySource<P extends ExportPoint>(points: P[]): Record<string, { date: string; points: P[] }> {
+  const out: Record<string, { date: string; points: P[] }> = {}
+  for (const p of points) {
+    if (!isAccepted(p)) continue
+    const current = out[p.sourceId]
+    if (!current || p.date > current.date) out[p.sourceId] = { date: p.date, points: [p] }
+    else if (p.date === current.date) current.points.push(p)
+  }
+  return out
+}
+
+/**
+ * The files of the static API, keyed by path under the site root:
+ *
+ *   api/v1/index.json              what is available
+ *   api/v1/series.json             every product with its sources and points
+ *   api/v1/series.csv              every point of every product, one row each
+ *   api/v1/sources/<id>.json       one source's points across products
+ *   api/v1/latest.json             per product: current retail price and latest resale sales
+ */
+export function apiFiles(datasets: ExportDataset[], generatedAt: Date): Record<string, string> {
+  const meta = { apiVersion: API_VERSION, generatedAt: generatedAt.toISOString() }
+  const json = (value: unknown) => JSON.stringify(value, null, 2) + '\n'
+
+  const sources = new Map<string, ExportSource>()
+  for (const d of datasets) for (const s of d.sources) if (!sources.has(s.id)) sources.set(s.id, s)
+
+  const files: Record<string, string> = {}
+  files[`${API_BASE}/series.json`] = json({ ...meta, products: datasets })
+  files[`${API_BASE}/series.csv`] = toCsv(
+    POINT_COLUMNS,
+    datasets.flatMap((d) => d.series.map((p) => pointRow(d.product.id, p)))
+  )
+  for (const source of sources.values()) {
+    const points = datasets.flatMap((d) =>
+      d.series.filter((p) => p.sourceId === source.id).map((p) => ({ productId: d.product.id, ...p }))
+    )
+    files[`${API_BASE}/sources/${source.id}.json`] = json({ ...meta, source, points })
+  }
+  files[`${API_BASE}/latest.json`] = json({
+    ...meta,
+    products: datasets.map((d) => {
+      const latest = latestBySource(d.series)
+      const byRole = (role: ExportSource['role']) =>
+        Object.fromEntries(d.sources.filter((s) => s.role === role && latest[s.id]).map((s) => [s.id, latest[s.id]]))
+      return { id: d.product.id, name: d.product.name, color: d.product.color, retail: byRole('retail'), resale: byRole('resale') }
+    })
+  })
+  files[`${API_BASE}/index.json`] = json({
+    ...meta,
+    products: datasets.map((d) => d.product.id),
+    files: Object.keys(files).sort()
+  })
+  return files
+}
@@ -0,0 +1,75 @@
+import { describe, expect, test } from 'vitest'
+
+import type { ExportDataset, ExportPoint } from './exportData'
+import { atomFeed, feedEntries, jsonFeed } from './feed'
+
+const retail = (date: string, amount: number, extra: Partial<ExportPoint> = {}): ExportPoint => ({
+  date,
+  kind: 'sale',
+  price: { amount, currency: 'CAD' },
+  sourceId: 'arcteryx-ca',
+  url: 'https://arcteryx.test/hat',
+  ...extra
+})
+
+const dataset: ExportDataset = {
+  product: { id: 'vbh-carmine', name: 'Veilance Bucket Hat', color: 'Carmine' },
+  sources: [
+    { id: 'arcteryx-ca', name: "Arc'teryx CA", role: 'retail', url: 'https://arcteryx.test', currency: 'CAD', color: '#f00' },
+    { id: 'ebay', name: 'eBay', role: 'resale', url: 'https://ebay.test', currency: 'USD', color: '#0f0' }
+  ],
+  series: [
+    retail('2026-01-01', 200),
+    retail('2026-01-01', 200, { kind: 'msrp' }),
+    retail('2026-01-02', 200),
+    retail('2026-01-03', 150),
+    retail('2026-01-04', 200, { kind: 'msrp' }),
+    retail('2026-01-05', 10, { status: 'rejected' }),
+    {
+      date: '2026-01-04',
+      kind: 'sale',
+      price: { amount: 90, currency: 'USD' },
+      priceCad: { amount: 122.8 },
+      sourceId: 'ebay',
+      url: 'https://ebay.test/itm/7',
+      listing: { id: '7', title: 'Veilance <bucket> hat & co', condition: 'Used', sold: true }
+    }
+  ]
+}
+
+describe('feed entries', () => {
+  test('retail changes per kind and every resale observation, newest first', () => {
+    const entries = feedEntries([dataset])
+    expect(entries.map((e) => [e.date, e.title])).toEqual([
+      ['2026-01-04', 'Veilance Bucket Hat — Carmine: sold for 90.00 USD on eBay'],
+      ['2026-01-03', "Veilance Bucket Hat — Carmine: Arc'teryx CA price now 150.00 CAD (was 200.00 CAD, -25%)"],
+      ['2026-01-01', "Veilance Bucket Hat — Carmine: Arc'teryx CA MSRP 200.00 CAD"],
+      ['2026-01-01', "Veilance Bucket Hat — Carmine: Arc'teryx CA price 200.00 CAD"]
+    ])
+    expect(entries[0]).toMatchObject({
+      id: 'urn:vbh-tracker:vbh-carmine:ebay:listing:7',
+      url: 'https://ebay.test/itm/7',
+      lines: ['Price: 90.00 USD', 'In CAD: 122.80 CAD', 'Source: eBay', 'Listing: Veilance <bucket> hat & co (Used)', 'Link: https://ebay.test/itm/7']
+    })
+    expect(feedEntries([dataset], 2)).toHaveLength(2)
+  })
+})
+
+describe('feed documents', () => {
+  const entries = feedEntries([dataset])
+
+  test('atom escapes text and links to the site when its URL is known', () => {
+    const xml = atomFeed(entries, { title: 'VBH', siteUrl: 'https://example.github.io/vbh-tracker' })
+    expect(xml).toContain('<updated>2026-01-04T00:00:00Z</updated>')
+    expect(xml).toContain('<link rel="self" type="application/atom+xml" href="https://example.github.io/vbh-tracker/feed.atom"/>')
+    expect(xml).toContain('Veilance &lt;bucket&gt; hat &amp; co')
+    expect(xml.match(/<entry>/g)).toHaveLength(4)
+    expect(atomFeed(entries, { title: 'VBH' })).not.toContain('rel="self"')
+  })
+
+  test('json feed', () => {
+    const feed = JSON.parse(jsonFeed(entries, { title: 'VBH', siteUrl: 'https://example.github.io/vbh-tracker/' }))
+    expect(feed).toMatchObject({ version: 'https://jsonfeed.org/version/1.1', feed_url: 'https://example.github.io/vbh-tracker/feed.json' })
+    expect(feed.items[0]).toMatchObject({ id: entries[0].id, date_published: '2026-01-04T00:00:00Z' })
+  })
+})
@@ -0,0 +1,139 @@
+// Atom and JSON Feed of price events, emitted by the build next to the app (see vite.config.ts):
+// an entry whenever a retail source's price changes and for every new resale observation.
+//
+// Entry ids are derived from the points, so a rebuild with the same data yields the same feed and
+// readers don't see old events again.
+
+import { formatMoney } from './currency'
+import { isAccepted, type ExportDataset, type ExportPoint, type ExportSource } from './exportData'
+
+export const FEED_LIMIT = 100
+
+export type FeedEntry = {
+  id: string
+  date: string
+  title: string
+  // plain-text lines of the entry body
+  lines: string[]
+  url: string
+}
+
+export type FeedInfo = {
+  title: string
+  // absolute URL of the deployed app, when known; without it the feeds carry no self/home links
+  siteUrl?: string
+}
+
+const money = (m: { amount: number; currency: string }) => formatMoney(m.amount, m.currency)
+
+function details(p: ExportPoint, source: ExportSource) {
+  return [
+    `Price: ${money(p.price)}${p.shipping ? ` + ${money(p.shipping)} shipping` : ''}`,
+    p.priceCad && p.price.currency !== 'CAD' ? `In CAD: ${money({ amount: p.priceCad.amount, currency: 'CAD' })}` : null,
+    `Source: ${source.name}`,
+    p.listing ? `Listing: ${p.listing.title}${p.listing.condition ? ` (${p.listing.condition})` : ''}` : null,
+    `Link: ${p.url}`
+  ].filter((line): line is string => line != null)
+}
+
+/** Retail price changes and resale observations of every product, newest first. */
+export function feedEntries(datasets: ExportDataset[], limit = FEED_LIMIT): FeedEntry[] {
+  const entries: FeedEntry[] = []
+  for (const d of datasets) {
+    const label = `${d.product.name} — ${d.product.color}`
+    for (const source of d.sources) {
+      const points = d.series.filter((p) => p.sourceId === source.id && isAccepted(p)).sort((a, b) => a.date.localeCompare(b.date))
+      if (source.role === 'resale') {
+        for (const p of points) {
+          const key = p.listing ? `listing:${p.listing.id}` : `${p.date}:${p.kind}:${p.price.amount}${p.price.currency}`
+          entries.push({
+            id: `urn:vbh-tracker:${d.product.id}:${source.id}:${key}`,
+            date: p.date,
+            title: `${label}: ${p.listing?.sold === false ? 'listed' : 'sold'} for ${money(p.price)} on ${source.name}`,
+            lines: details(p, source),
+            url: p.url
+          })
+        }
+        continue
+      }
+      // retail: the first price seen and every change, per kind (sale price and MSRP move separately)
+      const previous: Partial<Record<ExportPoint['kind'], ExportPoint>> = {}
+      for (const p of points) {
+        const before = previous[p.kind]
+        previous[p.kind] = p
+        if (before && before.price.amount === p.price.amount && before.price.currency === p.price.currency) continue
+        const what = p.kind === 'msrp' ? 'MSRP' : 'price'
+        const change =
+          before && before.price.currency === p.price.currency
+            ? ` (was ${money(before.price)}, ${p.price.amount < before.price.amount ? '' : '+'}${Math.round((p.price.amount / before.price.amount - 1) * 100)}%)`
+            : ''
+        entries.push({
+          id: `urn:vbh-tracker:${d.product.id}:${source.id}:${p.kind}:${p.date}`,
+          date: p.date,
+          title: before
+            ? `${label}: ${source.name} ${what} now ${money(p.price)}${change}`
+            : `${label}: ${source.name} ${what} ${money(p.price)}`,
+          lines: details(p, source),
+          url: p.url
+        })
+      }
+    }
+  }
+  return entries.sort((a, b) => b.date.localeCompare(a.date) || a.id.localeCompare(b.id)).slice(0, limit)
+}
+
+const escapeXml = (s: string) =>
+  s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+const timestamp = (date: string) => `${date}T00:00:00Z`
+
+/** Atom 1.0 document for the entries; the feed's `updated` is the newest entry's date. */
+export function atomFeed(entries: FeedEntry[], info: FeedInfo): string {
+  const updated = timestamp(entries[0]?.date ?? '1970-01-01')
+  const site = info.siteUrl?.replace(/\/?$/, '/')
+  const out = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(site ? `${site}feed.atom` : 'urn:vbh-tracker:feed')}</id>`,
+    `  <title>${escapeXml(info.title)}</title>`,
+    `  <updated>${updated}</updated>`,
+    '  <author><name>VBH Tracker</name></author>',
+    ...(site
+      ? [
+          `  <link rel="self" type="application/atom+xml" href="${escapeXml(`${site}feed.atom`)}"/>`,
+          `  <link rel="alternate" type="text/html" href="${escapeXml(site)}"/>`
+        ]
+      : [])
+  ]
+  for (const e of entries) {
+    out.push(
+      '  <entry>',
+      `    <id>${escapeXml(e.id)}</id>`,
+      `    <title>${escapeXml(e.title)}</title>`,
+      `    <updated>${timestamp(e.date)}</updated>`,
+      `    <link rel="alternate" href="${escapeXml(e.url)}"/>`,
+      `    <content type="text">${escapeXml(e.lines.join('\n'))}</content>`,
+      '  </entry>'
+    )
+  }
+  out.push('</feed>')
+  return out.join('\n') + '\n'
+}
+
+/** JSON Feed 1.1 document for the entries. */
+export function jsonFeed(entries: FeedEntry[], info: FeedInfo): string {
+  const site = info.siteUrl?.replace(/\/?$/, '/')
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: info.title,
+    ...(site ? { home_page_url: site, feed_url: `${site}feed.json` } : {}),
+    items: entries.map((e) => ({
+      id: e.id,
+      url: e.url,
+      title: e.title,
+      content_text: e.lines.join('\n'),
+      date_published: timestamp(e.date)
+    }))
+  }
+  return JSON.stringify(feed, null, 2) + '\n'
+}
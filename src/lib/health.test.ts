@@ -0,0 +1,51 @@
+import { describe, expect, test } from 'vitest'
+
+import { sourceStatuses, type HealthFile } from './health'
+
+const health: HealthFile = {
+  version: 1,
+  sources: {
+    'vbh-carmine/arcteryx-ca': {
+      productId: 'vbh-carmine',
+      sourceId: 'arcteryx-ca',
+      lastSuccess: '2026-01-04T09:23:00.000Z',
+      recentCounts: [1, 1],
+      lastRun: {
+        at: '2026-01-05T09:23:00.000Z',
+        status: 'regressed',
+        points: 1,
+        checks: [
+          { name: 'fetch', ok: true, detail: 'ok' },
+          { name: 'strategy', ok: false, detail: 'text fallback instead of json-ld' },
+          { name: 'count', ok: true, detail: '1 point(s), usually 1' }
+        ]
+      }
+    },
+    'vbh-carmine/ebay': {
+      productId: 'vbh-carmine',
+      sourceId: 'ebay',
+      lastSuccess: '2026-01-05T09:20:00.000Z',
+      recentCounts: [4],
+      lastRun: { at: '2026-01-05T09:20:00.000Z', status: 'ok', points: 4, checks: [{ name: 'fetch', ok: true, detail: 'ok' }] }
+    }
+  }
+}
+
+describe('sourceStatuses', () => {
+  test('keeps the last success of a regressed source and lists its failed checks', () => {
+    expect(sourceStatuses(health, 'vbh-carmine', ['arcteryx-ca', 'ebay', 'grailed'])).toEqual([
+      {
+        sourceId: 'arcteryx-ca',
+        state: 'regressed',
+        lastSuccess: '2026-01-04T09:23:00.000Z',
+        problems: ['strategy: text fallback instead of json-ld']
+      },
+      { sourceId: 'ebay', state: 'ok', lastSuccess: '2026-01-05T09:20:00.000Z', problems: [] },
+      { sourceId: 'grailed', state: 'unknown', lastSuccess: null, problems: [] }
+    ])
+  })
+
+  test('reports every source as unknown without a health file', () => {
+    expect(sourceStatuses(undefined, 'vbh-carmine', ['arcteryx-ca']).map((s) => s.state)).toEqual(['unknown'])
+  })
+})
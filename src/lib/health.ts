@@ -0,0 +1,44 @@
+// Scraper health for the status strip: src/data/health.json as written by scripts/lib/health.mjs.
+
+export type HealthCheck = { name: 'fetch' | 'strategy' | 'count' | 'price'; ok: boolean; detail: string }
+
+export type SourceRun = {
+  at: string
+  status: 'ok' | 'regressed'
+  points: number
+  checks: HealthCheck[]
+}
+
+export type SourceHealth = {
+  productId: string
+  sourceId: string
+  // time of the last run that passed every check; null before the first one
+  lastSuccess: string | null
+  lastRun?: SourceRun
+  recentCounts: number[]
+}
+
+export type HealthFile = { version: number; sources: Record<string, SourceHealth> }
+
+export type SourceStatus = {
+  sourceId: string
+  // 'unknown': never run (resale sources only run with fetch:marketplace)
+  state: 'ok' | 'regressed' | 'unknown'
+  lastSuccess: string | null
+  // the failed checks of the last run
+  problems: string[]
+}
+
+/** Status of each of a product's sources, in the order given. */
+export function sourceStatuses(health: HealthFile | undefined, productId: string, sourceIds: string[]): SourceStatus[] {
+  return sourceIds.map((sourceId) => {
+    const entry = health?.sources[`${productId}/${sourceId}`]
+    const run = entry?.lastRun
+    return {
+      sourceId,
+      state: run?.status ?? 'unknown',
+      lastSuccess: entry?.lastSuccess ?? null,
+      problems: (run?.checks ?? []).filter((c) => !c.ok).map((c) => `${c.name}: ${c.detail}`)
+    }
+  })
+}
@@ -0,0 +1,87 @@
+import { describe, expect, test } from 'vitest'
+
+import { drawerEntries, provenanceOf, reviewNote, waybackUrl, type DetailPoint } from './pointDetails'
+import type { Promotion } from './promotions'
+
+const point = (id: string, date: string, sourceId: string, extra: Partial<DetailPoint> = {}): DetailPoint => ({
+  id,
+  date,
+  kind: 'sale',
+  sourceId,
+  url: `https://${sourceId}.test/${id}`,
+  ...extra
+})
+const plot = (p: DetailPoint, y: number) => ({ date: p.date, y, point: p })
+
+const sale: Promotion = {
+  sourceId: 'arcteryx-ca',
+  start: '2026-01-10',
+  list: { amount: 225, currency: 'CAD' },
+  sale: { amount: 180, currency: 'CAD' },
+  discount: 20
+}
+
+const retail = point('r1', '2026-01-12', 'arcteryx-ca')
+const ebay = point('e1', '2026-01-12', 'ebay')
+const earlier = point('e0', '2026-01-05', 'ebay')
+const series = [
+  { name: "Arc'teryx (CA)", points: [plot(retail, 180)], promotions: [sale] },
+  { name: 'eBay', points: [plot(earlier, 170), plot(ebay, 160)], promotions: [sale] },
+  // the same listing plotted for the compared product
+  { name: 'eBay — Black', points: [plot(ebay, 160)], promotions: [] }
+]
+
+describe('drawerEntries', () => {
+  test('lists the selected point first, then the rest of its day', () => {
+    const entries = drawerEntries(series, { series: 'eBay', id: 'e1' })
+    expect(entries.map((e) => [e.name, e.plot.point.id])).toEqual([
+      ['eBay', 'e1'],
+      ["Arc'teryx (CA)", 'r1'],
+      ['eBay — Black', 'e1']
+    ])
+    // only the retail sale falls in its own source's promotion
+    expect(entries.map((e) => e.promotion)).toEqual([undefined, sale, undefined])
+  })
+
+  test('tells points with the same id apart by series, and finds nothing for a point no longer plotted', () => {
+    expect(drawerEntries(series, { series: 'eBay — Black', id: 'e1' })[0].name).toBe('eBay — Black')
+    expect(drawerEntries(series, { series: 'Grailed', id: 'e1' })).toEqual([])
+    expect(drawerEntries(series, null)).toEqual([])
+  })
+})
+
+describe('point details', () => {
+  test('splits the parser into adapter and version', () => {
+    const snapshot = 'ab'.repeat(32)
+    expect(provenanceOf(point('a', '2026-01-12', 'ebay', { provenance: { snapshot, parser: 'ebay@2', match: 'C $95.00' } }))).toEqual({
+      adapter: 'ebay',
+      version: 2,
+      snapshot,
+      match: 'C $95.00'
+    })
+    expect(provenanceOf(point('b', '2026-01-12', 'manual', { provenance: { snapshot, parser: 'manual', strategy: 'text' } }))).toEqual({
+      adapter: 'manual',
+      version: null,
+      snapshot,
+      strategy: 'text'
+    })
+    expect(provenanceOf(retail)).toBeNull()
+  })
+
+  test('links the Wayback snapshot of a backfilled point', () => {
+    expect(waybackUrl({ ...retail, wayback: { timestamp: '20260112090000' } })).toBe(
+      'https://web.archive.org/web/20260112090000/https://arcteryx-ca.test/r1'
+    )
+    // a resale point links the search page the snapshot captured, not its listing
+    const listing = { ...ebay, wayback: { timestamp: '20260112090000', url: 'https://ebay.test/sch?q=hat' } }
+    expect(waybackUrl(listing)).toBe('https://web.archive.org/web/20260112090000/https://ebay.test/sch?q=hat')
+    expect(waybackUrl(retail)).toBeUndefined()
+  })
+
+  test('explains a flag or a manual decision', () => {
+    expect(reviewNote({ ...ebay, outlier: { z: -7.42, median: 171 } })).toBe('z=-7.42 vs median 171.00 CAD')
+    expect(reviewNote({ ...ebay, outlier: { median: 225, floor: 78.75 } })).toBe('under 78.75 CAD, the floor at retail median 225.00 CAD')
+    expect(reviewNote({ ...ebay, reason: 'different item' })).toBe('different item')
+    expect(reviewNote(ebay)).toBeNull()
+  })
+})
@@ -0,0 +1,92 @@
+// What the point drawer shows for a chart click: the points of that day, and for each where it
+// came from (the page and parser recorded as provenance by scripts/lib/archive.mjs) and why it was
+// flagged or rejected (scripts/lib/outliers.mjs).
+
+import { formatMoney } from './currency'
+import { promotionOn, type Promotion } from './promotions'
+
+export type DetailPoint = {
+  id: string
+  date: string
+  kind: 'sale' | 'msrp'
+  sourceId: string
+  url: string
+  // `url`: the page the snapshot captured, when it isn't the point's own (a resale search page)
+  wayback?: { timestamp: string; url?: string }
+  provenance?: { snapshot: string; parser: string; match?: string; strategy?: string }
+  outlier?: { z?: number; median: number; floor?: number }
+  reason?: string
+}
+
+type Plotted<P> = { date: string; point: P }
+
+// a point as plotted in one chart series; the same listing can be plotted for both compared products
+export type PointRef = { series: string; id: string }
+
+export type DrawerEntry<T> = { name: string; plot: T; promotion?: Promotion }
+
+/**
+ * The drawer's points for `selected`: that point first, then every other plotted point of its day,
+ * each sale with the promotion its source was running. Empty when the point isn't plotted (any more).
+ */
+export function drawerEntries<P extends DetailPoint, T extends Plotted<P>>(
+  series: Array<{ name: string; points: T[]; promotions: Promotion[] }>,
+  selected: PointRef | null
+): DrawerEntry<T>[] {
+  if (!selected) return []
+  const isSelected = (name: string, p: T) => name === selected.series && p.point.id === selected.id
+  const hit = series.find((s) => s.name === selected.series)?.points.find((p) => isSelected(selected.series, p))
+  if (!hit) return []
+  const sameDay = series.flatMap(({ name, points, promotions }) =>
+    points
+      .filter((p) => p.date === hit.date)
+      .map((p) => ({
+        name,
+        plot: p,
+        promotion: p.point.kind === 'sale' ? promotionOn(promotions, p.point.sourceId, p.date) : undefined
+      }))
+  )
+  return sameDay.sort((a, b) => Number(isSelected(b.name, b.plot)) - Number(isSelected(a.name, a.plot)))
+}
+
+export type Provenance = {
+  // adapter id and parser version, from `parser` ('ebay@2')
+  adapter: string
+  version: number | null
+  // content hash of the archived page (src/data/archive/pages/<snapshot>.html.gz)
+  snapshot: string
+  match?: string
+  strategy?: string
+}
+
+/** Where the point was parsed from, or null for points without provenance (manual, older). */
+export function provenanceOf(p: DetailPoint): Provenance | null {
+  if (!p.provenance) return null
+  const { parser, snapshot, match, strategy } = p.provenance
+  const at = parser.lastIndexOf('@')
+  const version = at > 0 ? Number(parser.slice(at + 1)) : NaN
+  return {
+    adapter: at > 0 ? parser.slice(0, at) : parser,
+    version: Number.isInteger(version) ? version : null,
+    snapshot,
+    ...(match ? { match } : {}),
+    ...(strategy ? { strategy } : {})
+  }
+}
+
+/** The Wayback Machine copy of the page a backfilled point was read from. */
+export function waybackUrl(p: DetailPoint): string | undefined {
+  return p.wayback ? `https://web.archive.org/web/${p.wayback.timestamp}/${p.wayback.url ?? p.url}` : undefined
+}
+
+/** Why a point was flagged (an automatic check) or reviewed by hand, or null for accepted points. */
+export function reviewNote(p: DetailPoint): string | null {
+  const notes = []
+  if (p.outlier?.floor != null) {
+    notes.push(`under ${formatMoney(p.outlier.floor, 'CAD')}, the floor at retail median ${formatMoney(p.outlier.median, 'CAD')}`)
+  } else if (p.outlier) {
+    notes.push(`z=${p.outlier.z} vs median ${formatMoney(p.outlier.median, 'CAD')}`)
+  }
+  if (p.reason) notes.push(p.reason)
+  return notes.length > 0 ? notes.join(' · ') : null
+}
@@ -0,0 +1,42 @@
+import { describe, expect, test } from 'vitest'
+
+import { discountOf, promotionOn, type Promotion } from './promotions'
+
+const promotions: Promotion[] = [
+  {
+    sourceId: 'arcteryx-ca',
+    start: '2026-01-05',
+    end: '2026-01-20',
+    list: { amount: 225, currency: 'CAD' },
+    sale: { amount: 157.5, currency: 'CAD' },
+    discount: 30
+  },
+  {
+    sourceId: 'arcteryx-ca',
+    start: '2026-03-01',
+    list: { amount: 225, currency: 'CAD' },
+    sale: { amount: 180, currency: 'CAD' },
+    discount: 20
+  }
+]
+
+describe('promotionOn', () => {
+  test('covers the start day up to, not including, the end day', () => {
+    expect(promotionOn(promotions, 'arcteryx-ca', '2026-01-04')).toBeUndefined()
+    expect(promotionOn(promotions, 'arcteryx-ca', '2026-01-05')?.discount).toBe(30)
+    expect(promotionOn(promotions, 'arcteryx-ca', '2026-01-19')?.discount).toBe(30)
+    expect(promotionOn(promotions, 'arcteryx-ca', '2026-01-20')).toBeUndefined()
+  })
+
+  test('keeps an ongoing promotion open and other sources apart', () => {
+    expect(promotionOn(promotions, 'arcteryx-ca', '2027-01-01')?.discount).toBe(20)
+    expect(promotionOn(promotions, 'arcteryx-us', '2026-01-10')).toBeUndefined()
+  })
+})
+
+describe('discountOf', () => {
+  test('compares a sale price with the list price in the same currency', () => {
+    expect(discountOf({ amount: 168.75, currency: 'CAD' }, promotions[0])).toBe(25)
+    expect(discountOf({ amount: 120, currency: 'USD' }, promotions[0])).toBeNull()
+  })
+})
@@ -0,0 +1,26 @@
+// Retail promotions as recorded in the series files (scripts/lib/promotions.mjs): shaded on the
+// chart and quoted as a discount next to sale prices.
+
+type Money = { amount: number; currency: string }
+
+export type Promotion = {
+  sourceId: string
+  start: string
+  // first observation back at full price; absent while the promotion is on
+  end?: string
+  list: Money
+  sale: Money
+  // deepest markdown, in whole percent
+  discount: number
+}
+
+/** The source's promotion on `date`, if any; the end day itself is back at full price. */
+export function promotionOn(promotions: Promotion[], sourceId: string, date: string): Promotion | undefined {
+  return promotions.find((p) => p.sourceId === sourceId && p.start <= date && (!p.end || date < p.end))
+}
+
+/** How far a sale price is below the promotion's list price, in whole percent (null across currencies). */
+export function discountOf(price: Money, promotion: Promotion): number | null {
+  if (price.currency !== promotion.list.currency) return null
+  return Math.round((1 - price.amount / promotion.list.amount) * 100)
+}
@@ -0,0 +1,34 @@
+import { describe, expect, test } from 'vitest'
+
+import { compareRegions, type RegionalObservation } from './regions'
+
+const obs = (date: string, value: number, sourceId: string, amount: number, currency: string): RegionalObservation => ({
+  date,
+  value,
+  sourceId,
+  price: { amount, currency }
+})
+
+describe('compareRegions', () => {
+  test('ranks the latest price of each region and prices the others against the cheapest', () => {
+    const rows = compareRegions([
+      obs('2026-01-01', 225, 'arcteryx-ca', 225, 'CAD'),
+      obs('2026-01-01', 230, 'arcteryx-us', 165, 'USD'),
+      // the US price was cut since
+      obs('2026-01-10', 200, 'arcteryx-us', 145, 'USD'),
+      obs('2026-01-05', 250, 'arcteryx-uk', 135, 'GBP')
+    ])
+    expect(rows.map((r) => [r.sourceId, r.date, r.price.amount])).toEqual([
+      ['arcteryx-us', '2026-01-10', 145],
+      ['arcteryx-ca', '2026-01-01', 225],
+      ['arcteryx-uk', '2026-01-05', 135]
+    ])
+    expect(rows.map((r) => r.premium)).toEqual([0, 0.125, 0.25])
+  })
+
+  test('takes the lowest price of a day and returns nothing without observations', () => {
+    const rows = compareRegions([obs('2026-01-01', 240, 'arcteryx-eu', 160, 'EUR'), obs('2026-01-01', 210, 'arcteryx-eu', 140, 'EUR')])
+    expect(rows).toEqual([{ sourceId: 'arcteryx-eu', date: '2026-01-01', value: 210, price: { amount: 140, currency: 'EUR' }, premium: 0 }])
+    expect(compareRegions([])).toEqual([])
+  })
+})
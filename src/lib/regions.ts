@@ -0,0 +1,32 @@
+// Regional retail comparison: the same product on each regional storefront (storefronts.json),
+// converted to the display currency at each day's FX rate, so the cheapest place to buy shows up
+// even when only the exchange rate moved.
+
+import type { Observation } from './stats'
+
+type Money = { amount: number; currency: string }
+
+export type RegionalObservation = Observation & { price: Money }
+
+export type RegionalPrice = {
+  sourceId: string
+  date: string
+  value: number
+  // the price as listed, in the storefront's currency
+  price: Money
+  // how much dearer than the cheapest region, as a fraction (0 for the cheapest)
+  premium: number
+}
+
+/** The latest sale price of each regional source, cheapest first, with its premium over the cheapest. */
+export function compareRegions(observations: RegionalObservation[]): RegionalPrice[] {
+  const latest = new Map<string, RegionalObservation>()
+  for (const o of observations) {
+    const prev = latest.get(o.sourceId)
+    // on the latest day, the lowest price wins
+    if (!prev || o.date > prev.date || (o.date === prev.date && o.value < prev.value)) latest.set(o.sourceId, o)
+  }
+  const rows = [...latest.values()].sort((a, b) => a.value - b.value || a.sourceId.localeCompare(b.sourceId))
+  const cheapest = rows[0]?.value
+  return rows.map(({ sourceId, date, value, price }) => ({ sourceId, date, value, price, premium: value / cheapest - 1 }))
+}
@@ -0,0 +1,74 @@
+import { describe, expect, test } from 'vitest'
+
+import {
+  inRange,
+  quantile,
+  resalePremiums,
+  retailPriceOn,
+  rollingSpread,
+  spread,
+  summarizeSources,
+  type Observation
+} from './stats'
+
+const obs = (date: string, value: number, sourceId = 'ebay'): Observation => ({ date, value, sourceId })
+
+describe('quantile / spread', () => {
+  test('interpolates between ranks', () => {
+    expect(quantile([1, 2, 3, 4], 0.5)).toBe(2.5)
+    expect(quantile([10], 0.25)).toBe(10)
+    expect(spread([4, 1, 3, 2, 5])).toEqual({ median: 3, q1: 2, q3: 4, count: 5 })
+  })
+
+  test('has no spread for no values', () => {
+    expect(spread([])).toBeNull()
+  })
+})
+
+describe('inRange', () => {
+  test('keeps dates inside the inclusive range; null ends are open', () => {
+    const items = [obs('2026-01-01', 1), obs('2026-01-10', 2), obs('2026-01-20', 3)]
+    expect(inRange(items, { from: '2026-01-10', to: null }).map((o) => o.value)).toEqual([2, 3])
+    expect(inRange(items, { from: null, to: '2026-01-10' }).map((o) => o.value)).toEqual([1, 2])
+  })
+})
+
+describe('rollingSpread', () => {
+  test('uses the trailing window ending on each observed date', () => {
+    const series = [obs('2026-01-01', 100), obs('2026-01-05', 120), obs('2026-01-05', 140), obs('2026-01-09', 200)]
+    expect(rollingSpread(series, 7)).toEqual([
+      { date: '2026-01-01', median: 100, q1: 100, q3: 100, count: 1 },
+      { date: '2026-01-05', median: 120, q1: 110, q3: 130, count: 3 },
+      // 2026-01-03..2026-01-09: the 01-01 sale has left the window
+      { date: '2026-01-09', median: 140, q1: 130, q3: 170, count: 3 }
+    ])
+  })
+})
+
+describe('summarizeSources', () => {
+  test('counts and tracks min, max and the latest value per source', () => {
+    const series = [obs('2026-01-05', 150, 'grailed'), obs('2026-01-01', 120), obs('2026-01-09', 110), obs('2026-01-03', 180)]
+    expect(summarizeSources(series)).toEqual([
+      { sourceId: 'grailed', count: 1, min: 150, max: 150, last: { date: '2026-01-05', value: 150 } },
+      { sourceId: 'ebay', count: 3, min: 110, max: 180, last: { date: '2026-01-09', value: 110 } }
+    ])
+  })
+})
+
+describe('resale premium', () => {
+  const retail = [obs('2026-01-01', 225, 'arcteryx-ca'), obs('2026-02-01', 157.5, 'arcteryx-ca')]
+
+  test('uses the retail price in effect on the date', () => {
+    expect(retailPriceOn(retail, '2025-12-31')).toBeNull()
+    expect(retailPriceOn(retail, '2026-01-15')).toBe(225)
+    expect(retailPriceOn(retail, '2026-02-01')).toBe(157.5)
+  })
+
+  test('is relative to retail and skips sales before the first retail price', () => {
+    const premiums = resalePremiums([obs('2025-12-20', 300), obs('2026-01-10', 270), obs('2026-02-10', 126)], retail)
+    expect(premiums.map((p) => [p.date, p.retail, Number(p.premium.toFixed(2))])).toEqual([
+      ['2026-01-10', 225, 0.2],
+      ['2026-02-10', 157.5, -0.2]
+    ])
+  })
+})
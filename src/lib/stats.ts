@@ -0,0 +1,112 @@
+// Summary statistics for the stats panel and chart overlays.
+//
+// Everything here works on plain { date, value } observations already converted to the display
+// currency, so it stays independent of the series file format and of ECharts.
+
+export type Observation = { date: string; value: number; sourceId: string }
+
+export type DateRange = { from: string | null; to: string | null }
+
+export const ROLLING_WINDOWS = [7, 30, 90] as const
+export type RollingWindow = (typeof ROLLING_WINDOWS)[number]
+
+export type Spread = { median: number; q1: number; q3: number; count: number }
+
+export type RollingPoint = Spread & { date: string }
+
+export type SourceSummary = {
+  sourceId: string
+  count: number
+  min: number
+  max: number
+  last: { date: string; value: number }
+}
+
+export type PremiumPoint = { date: string; value: number; retail: number; premium: number; sourceId: string }
+
+function addDays(date: string, days: number) {
+  const d = new Date(`${date}T00:00:00Z`)
+  d.setUTCDate(d.getUTCDate() + days)
+  return d.toISOString().slice(0, 10)
+}
+
+/** Quantile of ascending `sorted` values with linear interpolation between ranks. */
+export function quantile(sorted: number[], q: number): number {
+  if (sorted.length === 0) return NaN
+  const pos = (sorted.length - 1) * q
+  const lo = Math.floor(pos)
+  const hi = Math.ceil(pos)
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo)
+}
+
+/** Median and interquartile range, or null for no values. */
+export function spread(values: number[]): Spread | null {
+  if (values.length === 0) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  return { median: quantile(sorted, 0.5), q1: quantile(sorted, 0.25), q3: quantile(sorted, 0.75), count: sorted.length }
+}
+
+export function inRange<T extends { date: string }>(items: T[], range: DateRange): T[] {
+  return items.filter((o) => (!range.from || o.date >= range.from) && (!range.to || o.date <= range.to))
+}
+
+/**
+ * Trailing-window median/IQR at every date that has an observation: the window for date D covers
+ * the `windowDays` days ending on D.
+ */
+export function rollingSpread(observations: Observation[], windowDays: number): RollingPoint[] {
+  const sorted = [...observations].sort((a, b) => a.date.localeCompare(b.date))
+  const dates = [...new Set(sorted.map((o) => o.date))]
+  const out: RollingPoint[] = []
+  let start = 0
+  let end = 0
+  for (const date of dates) {
+    const from = addDays(date, -(windowDays - 1))
+    while (end < sorted.length && sorted[end].date <= date) end++
+    while (start < end && sorted[start].date < from) start++
+    const s = spread(sorted.slice(start, end).map((o) => o.value))
+    if (s) out.push({ date, ...s })
+  }
+  return out
+}
+
+/** Count, min, max and latest value per source, in order of first appearance. */
+export function summarizeSources(observations: Observation[]): SourceSummary[] {
+  const bySource = new Map<string, SourceSummary>()
+  for (const o of observations) {
+    const s = bySource.get(o.sourceId)
+    if (!s) {
+      bySource.set(o.sourceId, { sourceId: o.sourceId, count: 1, min: o.value, max: o.value, last: { date: o.date, value: o.value } })
+      continue
+    }
+    s.count++
+    s.min = Math.min(s.min, o.value)
+    s.max = Math.max(s.max, o.value)
+    if (o.date >= s.last.date) s.last = { date: o.date, value: o.value }
+  }
+  return [...bySource.values()]
+}
+
+/** Retail price in effect on `date`: the latest retail observation on or before it (lowest on ties). */
+export function retailPriceOn(retail: Observation[], date: string): number | null {
+  let best: Observation | null = null
+  for (const o of retail) {
+    if (o.date > date) continue
+    if (!best || o.date > best.date || (o.date === best.date && o.value < best.value)) best = o
+  }
+  return best?.value ?? null
+}
+
+/**
+ * Each resale observation against the retail price in effect on its date. `premium` is a fraction:
+ * 0.2 = 20% above retail, -0.1 = 10% below. Observations before the first retail price are skipped.
+ */
+export function resalePremiums(resale: Observation[], retail: Observation[]): PremiumPoint[] {
+  const out: PremiumPoint[] = []
+  for (const o of resale) {
+    const price = retailPriceOn(retail, o.date)
+    if (price == null || price <= 0) continue
+    out.push({ date: o.date, value: o.value, retail: price, premium: o.value / price - 1, sourceId: o.sourceId })
+  }
+  return out
+}
@@ -0,0 +1,57 @@
+import { describe, expect, test } from 'vitest'
+
+import { DEFAULT_VIEW, activePreset, parseViewState, presetRange, serializeViewState, type ViewState } from './viewState'
+
+describe('view state query string', () => {
+  test('leaves defaults out', () => {
+    expect(serializeViewState(DEFAULT_VIEW)).toBe('')
+    expect(parseViewState('')).toEqual(DEFAULT_VIEW)
+  })
+
+  test('round-trips every setting', () => {
+    const view: ViewState = {
+      productId: 'veilance-bucket-hat-black',
+      compareId: 'veilance-bucket-hat-carmine',
+      currency: 'USD',
+      priceBasis: 'landed',
+      kind: 'sale',
+      hidden: ['ebay', 'grailed'],
+      range: { from: '2026-01-01', to: '2026-02-15' },
+      scale: 'log',
+      resaleStyle: 'line',
+      rollingWindow: 0,
+      showFlagged: true
+    }
+    const search = serializeViewState(view)
+    expect(search).toBe(
+      '?product=veilance-bucket-hat-black&compare=veilance-bucket-hat-carmine&currency=USD&price=landed&kind=sale' +
+        '&hide=ebay%2Cgrailed&from=2026-01-01&to=2026-02-15&scale=log&resale=line&rolling=off&flagged=1'
+    )
+    expect(parseViewState(search)).toEqual(view)
+  })
+
+  test('falls back to defaults for malformed values', () => {
+    const view = parseViewState('?currency=XYZ&price=retail&kind=rent&scale=sqrt&rolling=12&from=last-week&hide=,ebay,')
+    expect(view).toEqual({ ...DEFAULT_VIEW, hidden: ['ebay'] })
+  })
+
+  test('swaps a reversed range', () => {
+    expect(parseViewState('?from=2026-02-01&to=2026-01-01').range).toEqual({ from: '2026-01-01', to: '2026-02-01' })
+  })
+})
+
+describe('range presets', () => {
+  test('end on the latest observation', () => {
+    expect(presetRange('30d', '2026-02-28')).toEqual({ from: '2026-01-30', to: '2026-02-28' })
+    expect(presetRange('90d', '2026-02-28')).toEqual({ from: '2025-12-01', to: '2026-02-28' })
+    expect(presetRange('1y', '2026-02-28')).toEqual({ from: '2025-02-28', to: '2026-02-28' })
+    expect(presetRange('all', '2026-02-28')).toEqual({ from: null, to: null })
+    expect(presetRange('30d', null)).toEqual({ from: null, to: null })
+  })
+
+  test('are recognised from the range', () => {
+    expect(activePreset({ from: '2026-01-30', to: '2026-02-28' }, '2026-02-28')).toBe('30d')
+    expect(activePreset({ from: null, to: null }, '2026-02-28')).toBe('all')
+    expect(activePreset({ from: '2026-01-31', to: '2026-02-28' }, '2026-02-28')).toBeNull()
+  })
+})
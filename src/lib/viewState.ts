@@ -0,0 +1,119 @@
+// Chart view state and its URL query string, so a view can be shared as a link and browser
+// back/forward step through earlier views.
+//
+// Defaults are left out of the query string; unknown or malformed parameters fall back to them.
+
+import { format, parseISO, subDays, subYears } from 'date-fns'
+
+import { isDisplayCurrency, type DisplayCurrency } from './currency'
+import { ROLLING_WINDOWS, type DateRange, type RollingWindow } from './stats'
+
+export type KindFilter = 'all' | 'sale' | 'msrp'
+export type AxisScale = 'linear' | 'log'
+export type ResaleStyle = 'scatter' | 'line'
+// item: the listed price; landed: the estimated delivered cost (landed-cost.json)
+export type PriceBasis = 'item' | 'landed'
+
+export const RANGE_PRESETS = ['30d', '90d', '1y', 'all'] as const
+export type RangePreset = (typeof RANGE_PRESETS)[number]
+
+export type ViewState = {
+  // empty: the first tracked product / no comparison
+  productId: string
+  compareId: string
+  currency: DisplayCurrency
+  priceBasis: PriceBasis
+  kind: KindFilter
+  // source ids switched off, sorted
+  hidden: string[]
+  // null ends are open: from the first / through the latest observation
+  range: DateRange
+  scale: AxisScale
+  resaleStyle: ResaleStyle
+  rollingWindow: RollingWindow | 0
+  showFlagged: boolean
+}
+
+export const DEFAULT_VIEW: ViewState = {
+  productId: '',
+  compareId: '',
+  currency: 'CAD',
+  priceBasis: 'item',
+  kind: 'all',
+  hidden: [],
+  range: { from: null, to: null },
+  scale: 'linear',
+  resaleStyle: 'scatter',
+  rollingWindow: 30,
+  showFlagged: false
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/
+
+function oneOf<T extends string>(value: string | null, allowed: readonly T[], fallback: T): T {
+  return allowed.includes(value as T) ? (value as T) : fallback
+}
+
+const dateOrNull = (value: string | null) => (value && ISO_DATE.test(value) ? value : null)
+
+export function parseViewState(search: string): ViewState {
+  const q = new URLSearchParams(search)
+  const currency = q.get('currency')
+  const rolling = q.get('rolling')
+  const range = { from: dateOrNull(q.get('from')), to: dateOrNull(q.get('to')) }
+  return {
+    productId: q.get('product') ?? DEFAULT_VIEW.productId,
+    compareId: q.get('compare') ?? DEFAULT_VIEW.compareId,
+    currency: isDisplayCurrency(currency) ? currency : DEFAULT_VIEW.currency,
+    priceBasis: oneOf(q.get('price'), ['item', 'landed'], DEFAULT_VIEW.priceBasis),
+    kind: oneOf(q.get('kind'), ['all', 'sale', 'msrp'], DEFAULT_VIEW.kind),
+    hidden: (q.get('hide') ?? '').split(',').filter(Boolean).sort(),
+    // a reversed range is treated as a typo and swapped
+    range: range.from && range.to && range.from > range.to ? { from: range.to, to: range.from } : range,
+    scale: oneOf(q.get('scale'), ['linear', 'log'], DEFAULT_VIEW.scale),
+    resaleStyle: oneOf(q.get('resale'), ['scatter', 'line'], DEFAULT_VIEW.resaleStyle),
+    rollingWindow:
+      rolling === 'off' ? 0 : ROLLING_WINDOWS.find((w) => String(w) === rolling) ?? DEFAULT_VIEW.rollingWindow,
+    showFlagged: q.get('flagged') === '1'
+  }
+}
+
+/** Query string for a view ('' for the default view, otherwise starting with '?'). */
+export function serializeViewState(view: ViewState): string {
+  const q = new URLSearchParams()
+  const set = (key: string, value: string, fallback: string) => {
+    if (value !== fallback) q.set(key, value)
+  }
+  set('product', view.productId, DEFAULT_VIEW.productId)
+  set('compare', view.compareId, DEFAULT_VIEW.compareId)
+  set('currency', view.currency, DEFAULT_VIEW.currency)
+  set('price', view.priceBasis, DEFAULT_VIEW.priceBasis)
+  set('kind', view.kind, DEFAULT_VIEW.kind)
+  set('hide', [...view.hidden].sort().join(','), '')
+  set('from', view.range.from ?? '', '')
+  set('to', view.range.to ?? '', '')
+  set('scale', view.scale, DEFAULT_VIEW.scale)
+  set('resale', view.resaleStyle, DEFAULT_VIEW.resaleStyle)
+  set('rolling', view.rollingWindow === 0 ? 'off' : String(view.rollingWindow), String(DEFAULT_VIEW.rollingWindow))
+  set('flagged', view.showFlagged ? '1' : '', '')
+  const s = q.toString()
+  return s ? `?${s}` : ''
+}
+
+/** Date range of a preset, ending on the latest observation (`latest`). */
+export function presetRange(preset: RangePreset, latest: string | null): DateRange {
+  if (preset === 'all' || !latest) return { from: null, to: null }
+  const end = parseISO(latest)
+  const start = preset === '1y' ? subYears(end, 1) : subDays(end, preset === '30d' ? 29 : 89)
+  return { from: format(start, 'yyyy-MM-dd'), to: latest }
+}
+
+/** The preset a range corresponds to, if any. */
+export function activePreset(range: DateRange, latest: string | null): RangePreset | null {
+  return (
+    RANGE_PRESETS.find((p) => {
+      const r = presetRange(p, latest)
+      return r.from === range.from && r.to === range.to
+    }) ?? null
+  )
+}
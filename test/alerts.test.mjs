@@ -0,0 +1,110 @@
+import { describe, expect, test } from 'vitest';
+
+import { evaluateRules } from '../scripts/alerts/rules.mjs';
+import { deliverAlerts } from '../scripts/alerts/sinks/index.mjs';
+
+const sources = [
+  { id: 'arcteryx-ca', name: "Arc'teryx (CA)", role: 'retail' },
+  { id: 'ebay', name: 'eBay', role: 'resale' },
+  { id: 'grailed', name: 'Grailed', role: 'resale' }
+];
+
+function seriesOf(points) {
+  return { product: { id: 'vbh-carmine', name: 'Veilance Bucket Hat', color: 'Carmine' }, sources, series: points };
+}
+
+const retail = (date, kind, amount) => ({
+  date,
+  kind,
+  price: { amount, currency: 'CAD' },
+  priceCad: { amount },
+  sourceId: 'arcteryx-ca',
+  url: 'https://arcteryx.test/hat'
+});
+const resale = (sourceId, id, date, usd, cad) => ({
+  date,
+  kind: 'sale',
+  price: { amount: usd, currency: 'USD' },
+  priceCad: { amount: cad },
+  sourceId,
+  url: `https://${sourceId}.test/${id}`,
+  listing: { id, title: 'Veilance Bucket Hat Carmine' }
+});
+
+describe('evaluateRules', () => {
+  test('retail-below fires on the latest retail price only', () => {
+    const next = seriesOf([retail('2026-01-01', 'sale', 180), retail('2026-02-01', 'sale', 225)]);
+    const rules = [{ id: 'r', type: 'retail-below', below: 200 }];
+    expect(evaluateRules(rules, { previous: null, next })).toEqual([]);
+
+    const marked = seriesOf([retail('2026-02-01', 'sale', 225), retail('2026-03-01', 'sale', 157.5)]);
+    const [alert] = evaluateRules(rules, { previous: null, next: marked });
+    expect(alert).toMatchObject({ ruleId: 'r', productId: 'vbh-carmine', key: 'r|vbh-carmine|arcteryx-ca|157.5|CAD' });
+  });
+
+  test('resale-below only considers points that are new since the previous series', () => {
+    const old = resale('ebay', '1', '2026-01-10', 90, 124);
+    const fresh = resale('grailed', '2', '2026-01-12', 100, 138);
+    const pricey = resale('grailed', '3', '2026-01-12', 180, 249);
+    const alerts = evaluateRules([{ id: 'cheap', type: 'resale-below', below: 150 }], {
+      previous: seriesOf([old]),
+      next: seriesOf([old, fresh, pricey])
+    });
+    expect(alerts.map((a) => a.url)).toEqual(['https://grailed.test/2']);
+  });
+
+  test('msrp-gap compares sale and MSRP captured on the same date', () => {
+    const next = seriesOf([retail('2026-03-01', 'msrp', 225), retail('2026-03-01', 'sale', 157.5)]);
+    const fire = evaluateRules([{ id: 'gap', type: 'msrp-gap', minPercent: 20 }], { previous: null, next });
+    expect(fire).toHaveLength(1);
+    expect(fire[0].title).toContain('30% off');
+    expect(evaluateRules([{ id: 'gap', type: 'msrp-gap', minPercent: 40 }], { previous: null, next })).toEqual([]);
+  });
+
+  test('new-source fires once per source that had no points before', () => {
+    const previous = seriesOf([retail('2026-01-01', 'sale', 225)]);
+    const next = seriesOf([retail('2026-01-01', 'sale', 225), resale('grailed', '9', '2026-01-05', 120, 166)]);
+    const alerts = evaluateRules([{ id: 'src', type: 'new-source' }], { previous, next });
+    expect(alerts.map((a) => a.key)).toEqual(['src|vbh-carmine|grailed']);
+  });
+
+  test('flagged and rejected points never alert', () => {
+    const junk = { ...resale('ebay', '7', '2026-01-12', 50, 69), status: 'flagged' };
+    const rejected = { ...resale('ebay', '8', '2026-01-12', 60, 83), status: 'rejected' };
+    const ok = { ...resale('ebay', '9', '2026-01-12', 90, 124), status: 'accepted' };
+    const alerts = evaluateRules([{ id: 'cheap', type: 'resale-below', below: 150 }], {
+      previous: null,
+      next: seriesOf([junk, rejected, ok])
+    });
+    expect(alerts.map((a) => a.url)).toEqual(['https://ebay.test/9']);
+  });
+
+  test('rules scoped to another product are skipped, unknown types throw', () => {
+    const next = seriesOf([retail('2026-01-01', 'sale', 100)]);
+    expect(evaluateRules([{ id: 'x', type: 'retail-below', below: 200, product: 'other' }], { previous: null, next })).toEqual([]);
+    expect(() => evaluateRules([{ id: 'y', type: 'nope' }], { previous: null, next })).toThrow(/Unknown alert rule type/);
+  });
+});
+
+describe('deliverAlerts', () => {
+  const sink = (type, notifies, send = async () => {}) => ({ type, notifies, missingConfig: (c) => (c.off ? 'off' : null), send });
+  const sinks = {
+    log: sink('log', false),
+    hook: sink('hook', true),
+    down: sink('down', true, async () => {
+      throw new Error('HTTP 500');
+    })
+  };
+
+  test('reports each sink, so a log alone does not count as delivered', async () => {
+    const alert = { key: 'k', ruleId: 'r', productId: 'p', title: 't', message: 'm' };
+    const results = await deliverAlerts([alert], [{ type: 'log' }, { type: 'hook', off: true }, { type: 'down' }, { type: 'nope' }], sinks);
+    expect(results).toEqual([
+      { type: 'log', status: 'sent', notifies: false },
+      { type: 'hook', status: 'skipped', notifies: true },
+      { type: 'down', status: 'failed', notifies: true },
+      { type: 'nope', status: 'skipped', notifies: false }
+    ]);
+    expect(await deliverAlerts([alert], [{ type: 'hook' }], sinks)).toEqual([{ type: 'hook', status: 'sent', notifies: true }]);
+  });
+});
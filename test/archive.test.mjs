@@ -0,0 +1,72 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { afterEach, beforeEach, describe, expect, test } from 'vitest';
+
+import { archivePage, keepUnparsed, loadArchive, readArchivedPage, saveArchive, withProvenance } from '../scripts/lib/archive.mjs';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vbh-archive-'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const fetchOf = (date, extra = {}) => ({ sourceId: 'ebay', url: 'https://ebay.test/search', date, run: `${date}T06:00:00.000Z`, ...extra });
+
+describe('page archive', () => {
+  test('stores each distinct page once and records every fetch', async () => {
+    const archive = await loadArchive(dir);
+    expect(archive.fetches).toEqual([]);
+
+    const a = await archivePage(archive, '<html>C $95.00</html>', fetchOf('2026-02-01', { productId: 'vbh-carmine' }));
+    const b = await archivePage(archive, '<html>C $95.00</html>', fetchOf('2026-02-02', { productId: 'vbh-carmine' }));
+    await archivePage(archive, '<html>C $95.00</html>', fetchOf('2026-02-02', { productId: 'vbh-carmine' }));
+    const c = await archivePage(archive, '<html>C $80.00</html>', fetchOf('2026-02-03', { wayback: { timestamp: '20260203120000' } }));
+
+    expect(a).toBe(b);
+    expect(c).not.toBe(a);
+    expect(await fs.readdir(path.join(dir, 'pages'))).toHaveLength(2);
+    expect(archive.fetches.map((f) => f.date)).toEqual(['2026-02-01', '2026-02-02', '2026-02-03']);
+
+    await saveArchive(archive);
+    const reloaded = await loadArchive(dir);
+    expect(reloaded.fetches).toEqual(archive.fetches);
+    // a fetch recorded by an earlier run isn't added twice
+    await archivePage(reloaded, '<html>C $95.00</html>', fetchOf('2026-02-02', { productId: 'vbh-carmine' }));
+    expect(reloaded.fetches).toHaveLength(3);
+    expect(await readArchivedPage(reloaded, c)).toBe('<html>C $80.00</html>');
+  });
+});
+
+describe('withProvenance', () => {
+  test('moves the matched text into provenance with the parser version', () => {
+    const obs = { date: '2026-02-01', kind: 'sale', price: { amount: 95, currency: 'CAD' }, match: 'C $95.00' };
+    expect(withProvenance(obs, { id: 'ebay', version: 2 }, 'abc')).toEqual({
+      date: '2026-02-01',
+      kind: 'sale',
+      price: { amount: 95, currency: 'CAD' },
+      provenance: { snapshot: 'abc', parser: 'ebay@2', match: 'C $95.00' }
+    });
+    expect(withProvenance({ date: '2026-02-01' }, { id: 'grailed' }, 'def').provenance).toEqual({ snapshot: 'def', parser: 'grailed@1' });
+  });
+});
+
+describe('keepUnparsed', () => {
+  test('keeps the points of pages a partial archive no longer has', async () => {
+    const archive = await loadArchive(dir);
+    const kept = await archivePage(archive, '<html>C $95.00</html>', fetchOf('2026-02-01'));
+    const point = (snapshot, date) => ({ date, sourceId: 'ebay', ...(snapshot ? { provenance: { snapshot, parser: 'ebay@1' } } : {}) });
+    const points = [point(kept, '2026-02-01'), point('f'.repeat(64), '2026-01-01'), point(null, '2025-12-01')];
+
+    const result = keepUnparsed(points, new Set(archive.fetches.map((f) => f.hash)));
+    // the re-parsed page's point is rebuilt; the expired page's point and the manual one stay
+    expect(result.kept.map((p) => p.date)).toEqual(['2026-01-01', '2025-12-01']);
+    expect(result.missing).toBe(1);
+    expect(await readArchivedPage(archive, 'f'.repeat(64))).toBeNull();
+  });
+});
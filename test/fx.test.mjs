@@ -0,0 +1,87 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+
+import { lookupRate, prefetchRates } from '../scripts/lib/fx.mjs';
+
+function cacheWith(rates, covered) {
+  return { pairs: { 'USD/CAD': { covered, rates } } };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('lookupRate', () => {
+  const cache = cacheWith({ '2026-01-16': 1.39, '2026-01-19': 1.385 }, [['2026-01-10', '2026-01-19']]);
+
+  test('returns the rate for a business day', () => {
+    expect(lookupRate(cache, '2026-01-19', 'USD', 'CAD')).toEqual({ rate: 1.385, date: '2026-01-19' });
+  });
+
+  test('falls back to the previous business day on weekends', () => {
+    expect(lookupRate(cache, '2026-01-18', 'USD', 'CAD')).toEqual({ rate: 1.39, date: '2026-01-16' });
+  });
+
+  test('returns null for unknown pairs or dates far from any rate', () => {
+    expect(lookupRate(cache, '2026-01-18', 'EUR', 'CAD')).toBeNull();
+    expect(lookupRate(cache, '2025-06-01', 'USD', 'CAD')).toBeNull();
+  });
+
+  test('only falls back within a fetched range', () => {
+    // a day after the cache ends was never fetched (e.g. offline), so the last rate isn't its rate
+    expect(lookupRate(cache, '2026-01-21', 'USD', 'CAD')).toBeNull();
+  });
+});
+
+describe('prefetchRates', () => {
+  test('fetches missing dates of a pair as one range and records coverage', async () => {
+    const fetch = vi.fn(async () => ({
+      ok: true,
+      text: async () =>
+        JSON.stringify({ start_date: '2026-01-13', end_date: '2026-01-23', rates: { '2026-01-20': { CAD: 1.38 }, '2026-01-23': { CAD: 1.37 } } })
+    }));
+    vi.stubGlobal('fetch', fetch);
+    const cache = { pairs: {} };
+
+    await prefetchRates(cache, [
+      { date: '2026-01-20', from: 'USD', to: 'CAD' },
+      { date: '2026-01-25', from: 'USD', to: 'CAD' },
+      { date: '2026-01-25', from: 'CAD', to: 'CAD' }
+    ]);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][0]).toBe('https://api.frankfurter.app/2026-01-13..2026-01-25?from=USD&to=CAD');
+    // the weekend after the API's last business day is in the past, so it counts as fetched
+    expect(cache.pairs['USD/CAD'].covered).toEqual([['2026-01-13', '2026-01-25']]);
+    expect(lookupRate(cache, '2026-01-25', 'USD', 'CAD')).toEqual({ rate: 1.37, date: '2026-01-23' });
+  });
+
+  test('leaves today out of the coverage until its rate is published', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-01-26T08:00:00Z'));
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async () => ({
+        ok: true,
+        text: async () => JSON.stringify({ start_date: '2026-01-19', end_date: '2026-01-23', rates: { '2026-01-23': { CAD: 1.37 } } })
+      }))
+    );
+    const cache = { pairs: {} };
+
+    await prefetchRates(cache, [{ date: '2026-01-26', from: 'USD', to: 'CAD' }]);
+
+    expect(cache.pairs['USD/CAD'].covered).toEqual([['2026-01-19', '2026-01-23']]);
+    expect(lookupRate(cache, '2026-01-26', 'USD', 'CAD')).toBeNull();
+    vi.useRealTimers();
+  });
+
+  test('skips dates already covered and never fetches offline', async () => {
+    const fetch = vi.fn();
+    vi.stubGlobal('fetch', fetch);
+    const cache = cacheWith({ '2026-01-16': 1.39 }, [['2026-01-10', '2026-01-19']]);
+
+    await prefetchRates(cache, [{ date: '2026-01-18', from: 'USD', to: 'CAD' }]);
+    await prefetchRates(cache, [{ date: '2026-03-01', from: 'USD', to: 'CAD' }], { offline: true });
+
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
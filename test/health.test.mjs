@@ -0,0 +1,133 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, expect, test } from 'vitest';
+
+import { lastKnownPrices, latestRunKeys, recordRun, regressions, scoreRun } from '../scripts/lib/health.mjs';
+import { withProvenance } from '../scripts/lib/archive.mjs';
+import { getAdapter } from '../scripts/sources/index.mjs';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const HASH = 'a'.repeat(64);
+const arcteryx = getAdapter('arcteryx-ca');
+const ebay = getAdapter('ebay');
+
+/** The arcteryx-ca fixture page parsed as a live run would be. */
+const livePoints = (fixture) =>
+  arcteryx
+    .parse(fs.readFileSync(path.join(FIXTURES_DIR, 'arcteryx-ca', `${fixture}.html`), 'utf8'), { date: '2026-01-15' })
+    .map((obs) => ({ ...withProvenance(obs, arcteryx, HASH), sourceId: arcteryx.id, url: 'https://arcteryx.test/' }));
+
+const stored = (date, amount, extra = {}) => ({
+  date,
+  kind: 'sale',
+  price: { amount, currency: 'CAD' },
+  sourceId: 'arcteryx-ca',
+  url: 'https://arcteryx.test/',
+  status: 'accepted',
+  ...extra
+});
+
+const failed = (run) => run.checks.filter((c) => !c.ok).map((c) => c.name);
+
+describe('lastKnownPrices', () => {
+  test('takes the median of the latest day with accepted points, per kind', () => {
+    expect(
+      lastKnownPrices([
+        stored('2026-01-01', 300),
+        stored('2026-01-02', 100),
+        stored('2026-01-02', 140),
+        stored('2026-01-02', 120),
+        stored('2026-01-03', 10, { status: 'rejected' }),
+        stored('2026-01-02', 300, { kind: 'msrp' })
+      ])
+    ).toEqual({
+      sale: { amount: 120, currency: 'CAD', date: '2026-01-02' },
+      msrp: { amount: 300, currency: 'CAD', date: '2026-01-02' }
+    });
+  });
+});
+
+describe('scoreRun', () => {
+  const entry = { recentCounts: [1, 1, 1], lastSuccess: '2026-01-14T09:00:00.000Z' };
+
+  test('passes a JSON-LD price close to the last known one', () => {
+    const run = scoreRun(arcteryx, { at: 'now', points: livePoints('live'), entry, known: [stored('2026-01-14', 225)] });
+    expect(run.status).toBe('ok');
+    expect(run.checks.map((c) => c.name)).toEqual(['fetch', 'strategy', 'count', 'price']);
+    expect(run.prices).toEqual({ sale: { amount: 225, currency: 'CAD' } });
+  });
+
+  test('flags a price read by the visible-text fallback', () => {
+    const run = scoreRun(arcteryx, { at: 'now', points: livePoints('sold-out'), entry });
+    expect(run.status).toBe('regressed');
+    expect(run.checks.find((c) => c.name === 'strategy').detail).toBe('text fallback instead of json-ld');
+  });
+
+  test('flags a failed fetch and a page without prices', () => {
+    const fetchFailed = scoreRun(arcteryx, { at: 'now', error: new Error('HTTP 503'), points: [], entry });
+    expect(fetchFailed).toMatchObject({ status: 'regressed', checks: [{ name: 'fetch', ok: false, detail: 'HTTP 503' }] });
+
+    expect(failed(scoreRun(arcteryx, { at: 'now', points: livePoints('no-price'), entry }))).toEqual(['count']);
+    // before any history, a retail page still has to show a price
+    expect(failed(scoreRun(arcteryx, { at: 'now', points: [], entry: undefined }))).toEqual(['count']);
+  });
+
+  test('compares the point count with the recent norm', () => {
+    const listings = (n) => Array.from({ length: n }, (_, i) => ({ ...stored('2026-01-15', 150 + i), sourceId: 'ebay' }));
+    const norm = { recentCounts: [10, 12, 11] };
+    expect(failed(scoreRun(ebay, { at: 'now', points: listings(5), entry: norm }))).toEqual(['count']);
+    expect(scoreRun(ebay, { at: 'now', points: listings(6), entry: norm }).status).toBe('ok');
+    // an empty search is fine for a resale source without history
+    expect(scoreRun(ebay, { at: 'now', points: [], entry: undefined }).status).toBe('ok');
+  });
+
+  test('flags a price jump unless the previous run saw it too', () => {
+    const known = [stored('2026-01-14', 225)];
+    const points = [{ ...stored('2026-01-15', 22.5), provenance: { snapshot: HASH, parser: 'arcteryx-ca@1', strategy: 'json-ld' } }];
+    expect(failed(scoreRun(arcteryx, { at: 'now', points, entry, known }))).toEqual(['price']);
+
+    const seenBefore = { ...entry, lastRun: { prices: { sale: { amount: 22.5, currency: 'CAD' } } } };
+    const confirmed = scoreRun(arcteryx, { at: 'now', points, entry: seenBefore, known });
+    expect(confirmed.status).toBe('ok');
+    expect(confirmed.checks.find((c) => c.name === 'price').detail).toMatch(/confirmed by the previous run$/);
+  });
+});
+
+describe('recordRun', () => {
+  test('keeps the last success and the norm across regressed runs', () => {
+    const health = { version: 1, sources: {} };
+    const run = (at, points) => recordRun(health, arcteryx, { productId: 'vbh-carmine', at, points, known: [] });
+
+    run('2026-01-14T09:00:00.000Z', livePoints('live'));
+    const entry = run('2026-01-15T09:00:00.000Z', livePoints('sold-out'));
+    expect(entry).toMatchObject({
+      productId: 'vbh-carmine',
+      sourceId: 'arcteryx-ca',
+      lastSuccess: '2026-01-14T09:00:00.000Z',
+      recentCounts: [1],
+      lastRun: { at: '2026-01-15T09:00:00.000Z', status: 'regressed' }
+    });
+    expect(regressions(health).map((r) => r.key)).toEqual(['vbh-carmine/arcteryx-ca']);
+    expect(regressions(health, new Set(['other/arcteryx-ca']))).toEqual([]);
+
+    run('2026-01-16T09:00:00.000Z', livePoints('live'));
+    expect(health.sources['vbh-carmine/arcteryx-ca'].lastSuccess).toBe('2026-01-16T09:00:00.000Z');
+    expect(regressions(health)).toEqual([]);
+  });
+});
+
+describe('latestRunKeys', () => {
+  test('leaves out entries from an earlier scrape and sources never run', () => {
+    const health = { version: 1, sources: {} };
+    recordRun(health, ebay, { productId: 'vbh-carmine', at: '2026-01-10T09:00:00.000Z', error: new Error('HTTP 403'), points: [] });
+    recordRun(health, arcteryx, { productId: 'vbh-carmine', at: '2026-01-15T09:00:00.000Z', points: livePoints('live'), known: [] });
+    recordRun(health, arcteryx, { productId: 'vbh-black', at: '2026-01-15T09:00:00.000Z', points: livePoints('live'), known: [] });
+    const keys = new Set(['vbh-carmine/arcteryx-ca', 'vbh-black/arcteryx-ca', 'vbh-carmine/ebay', 'vbh-carmine/grailed']);
+    const current = latestRunKeys(health, keys);
+    expect([...current].sort()).toEqual(['vbh-black/arcteryx-ca', 'vbh-carmine/arcteryx-ca']);
+    // the stale eBay regression doesn't count against this run
+    expect(regressions(health, current)).toEqual([]);
+    expect(latestRunKeys({ version: 1, sources: {} }, keys).size).toBe(0);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, expect, test } from 'vitest';
+
+import { landedCost, loadLandedCostModel, shippingInCad, withLanded } from '../scripts/lib/landed.mjs';
+import { SOURCE_ADAPTERS } from '../scripts/sources/index.mjs';
+
+const model = {
+  destination: 'CA',
+  salesTaxRate: 0.13,
+  import: { dutyRate: 0.18, dutyFreeUpTo: 150, taxFreeUpTo: 40, brokerageFee: 10, feeRate: 0.025 },
+  sources: {
+    'arcteryx-ca': { origin: 'CA', shipping: 0 },
+    ebay: { origin: 'US', shipping: 30 }
+  }
+};
+
+const point = (sourceId, cad, extra = {}) => ({
+  date: '2026-01-15',
+  kind: 'sale',
+  price: { amount: cad, currency: 'CAD' },
+  priceCad: { amount: cad },
+  sourceId,
+  url: 'https://example.test/',
+  ...extra
+});
+
+// USD/CAD on 2026-01-15
+const fxCache = { pairs: { 'USD/CAD': { covered: [['2026-01-01', '2026-01-31']], rates: { '2026-01-15': 1.4 } } } };
+
+describe('landedCost', () => {
+  test('adds sales tax only to a domestic purchase', () => {
+    expect(landedCost(point('arcteryx-ca', 225), model)).toEqual({
+      amount: 254.25,
+      shipping: 0,
+      duty: 0,
+      tax: 29.25,
+      fees: 0,
+      estimatedShipping: true
+    });
+  });
+
+  test('adds duty, import tax and fees above the thresholds of a cross-border purchase', () => {
+    // duty 18% of 200, tax 13% of 200 + 20 + 36, fees 2.5% of 200 + brokerage
+    expect(landedCost(point('ebay', 200), model, 20)).toEqual({ amount: 304.28, shipping: 20, duty: 36, tax: 33.28, fees: 15 });
+    // under the duty threshold, still taxed
+    expect(landedCost(point('ebay', 100), model, 20)).toMatchObject({ duty: 0, tax: 15.6, fees: 12.5 });
+    // under both: no brokerage either
+    expect(landedCost(point('ebay', 30), model, 20)).toMatchObject({ amount: 50.75, duty: 0, tax: 0, fees: 0.75 });
+  });
+
+  test('estimates shipping the listing does not quote, and skips sources and points it cannot price', () => {
+    expect(landedCost(point('ebay', 100), model)).toMatchObject({ shipping: 30, estimatedShipping: true });
+    expect(landedCost(point('grailed', 100), model)).toBeNull();
+    expect(landedCost({ ...point('ebay', 100), priceCad: undefined, fxStatus: 'missing' }, model)).toBeNull();
+    expect(landedCost(point('ebay', 100), null)).toBeNull();
+  });
+});
+
+describe('withLanded', () => {
+  test('converts the listing shipping and replaces a stale estimate', () => {
+    const pt = point('ebay', 140, {
+      price: { amount: 100, currency: 'USD' },
+      shipping: { amount: 15, currency: 'USD' },
+      landedCad: { amount: 1, shipping: 0, duty: 0, tax: 0, fees: 0 }
+    });
+    expect(shippingInCad(pt, fxCache)).toBe(21);
+    expect(withLanded(pt, model, fxCache).landedCad).toMatchObject({ shipping: 21, duty: 0, tax: 20.93 });
+    expect(withLanded(pt, { ...model, sources: {} }, fxCache)).not.toHaveProperty('landedCad');
+  });
+});
+
+describe('landed-cost.json', () => {
+  test('covers every registered source', async () => {
+    const model = await loadLandedCostModel();
+    const missing = SOURCE_ADAPTERS.map((a) => a.id).filter((id) => !model.sources[id]);
+    expect(missing).toEqual([]);
+  });
+});
@@ -0,0 +1,63 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, expect, test } from 'vitest';
+
+import { htmlText, titleMatchesProduct } from '../scripts/lib/listings.mjs';
+import { parseEbayMoney } from '../scripts/sources/ebay.mjs';
+import { parseGrailedListings } from '../scripts/sources/grailed.mjs';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const carmine = { name: 'Veilance Bucket Hat', color: 'Carmine', titleMatch: ['veilance', 'bucket', 'carmine'] };
+
+describe('titleMatchesProduct', () => {
+  test('requires every title term, case-insensitively', () => {
+    expect(titleMatchesProduct("ARC'TERYX VEILANCE BUCKET HAT CARMINE", carmine)).toBe(true);
+    expect(titleMatchesProduct("Arc'teryx Veilance Bucket Hat Black", carmine)).toBe(false);
+    expect(titleMatchesProduct("Arc'teryx Bird Cap Carmine", carmine)).toBe(false);
+  });
+
+  test('falls back to name words + colour when titleMatch is not configured', () => {
+    const product = { name: 'Veilance Bucket Hat', color: 'Black' };
+    expect(titleMatchesProduct('veilance bucket hat black one size', product)).toBe(true);
+    expect(titleMatchesProduct('veilance bucket black', product)).toBe(false);
+  });
+
+  test('keeps everything without a product', () => {
+    expect(titleMatchesProduct('anything', undefined)).toBe(true);
+  });
+});
+
+describe('parseEbayMoney', () => {
+  test.each([
+    ['$132.00', { amount: 132, currency: 'USD' }],
+    ['C $180.00', { amount: 180, currency: 'CAD' }],
+    ['£95.00', { amount: 95, currency: 'GBP' }],
+    ['$1,050.00', { amount: 1050, currency: 'USD' }],
+    ['$50.00 to $80.00', { amount: 50, currency: 'USD' }]
+  ])('%s', (text, expected) => {
+    expect(parseEbayMoney(text)).toEqual(expected);
+  });
+
+  test('returns null without an amount', () => {
+    expect(parseEbayMoney('Free shipping')).toBeNull();
+  });
+});
+
+describe('parseGrailedListings', () => {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, 'grailed', 'next-data.html'), 'utf8');
+  const shippingById = (shipTo) => Object.fromEntries(parseGrailedListings(html, { shipTo }).map((l) => [l.id, l.shipping]));
+
+  test('quotes shipping to the destination region', () => {
+    const toCanada = shippingById('CA');
+    expect(toCanada['58123401']).toBe(30);
+    // the other listings don't say what shipping to Canada costs
+    expect(Object.values(toCanada).filter((s) => s !== undefined)).toEqual([30]);
+    expect(shippingById(undefined)['58123401']).toBe(15);
+  });
+});
+
+test('htmlText strips tags and decodes entities', () => {
+  expect(htmlText('<span>Arc&#39;teryx&nbsp;<b>Veilance</b></span>')).toBe("Arc'teryx Veilance");
+});
@@ -0,0 +1,96 @@
+import { describe, expect, test } from 'vitest';
+
+import { MIGRATIONS, SERIES_VERSION, compactPoints, upgradeSeries, unspreadDates } from '../scripts/lib/migrations.mjs';
+import { pointId } from '../scripts/lib/points.mjs';
+
+const SEARCH_URL = 'https://www.ebay.com/sch/i.html?_nkw=veilance';
+
+const point = (date, amount, extra = {}) => ({
+  date,
+  kind: 'sale',
+  price: { amount, currency: 'USD' },
+  sourceId: 'ebay',
+  url: SEARCH_URL,
+  ...extra
+});
+
+describe('unspreadDates', () => {
+  test('moves a spread run back to its last (capture) date', () => {
+    const spread = [point('2026-01-31', 50), point('2026-02-01', 72), point('2026-02-02', 99.99)];
+    const { points, runs } = unspreadDates(spread, new Set(['ebay']));
+    expect(points.map((p) => p.date)).toEqual(['2026-02-02', '2026-02-02', '2026-02-02']);
+    expect(runs).toEqual([{ sourceId: 'ebay', from: '2026-01-31', to: '2026-02-02', count: 3 }]);
+  });
+
+  test('leaves gaps, price drops, listings and retail sources alone', () => {
+    const points = [
+      point('2026-01-10', 80),
+      point('2026-01-12', 90),
+      point('2026-01-13', 70),
+      point('2026-01-14', 60, { listing: { id: '123456789012', title: 'Veilance Bucket Hat' } }),
+      point('2026-01-15', 225, { sourceId: 'arcteryx-ca' }),
+      point('2026-01-16', 230, { sourceId: 'arcteryx-ca' })
+    ];
+    const result = unspreadDates(points, new Set(['ebay']));
+    expect(result.runs).toEqual([]);
+    expect(result.points).toEqual(points);
+  });
+});
+
+describe('unspread-dates migration', () => {
+  test('re-converts re-dated points with the rate known for the capture date', () => {
+    const fx = (rate, date) => ({ pair: 'USD/CAD', rate, source: 'frankfurter.app', date });
+    const data = {
+      sources: [{ id: 'ebay', role: 'resale' }],
+      series: [
+        point('2026-02-01', 100, { priceCad: { amount: 135.25, fx: fx(1.3525, '2026-02-01') } }),
+        point('2026-02-02', 120, { priceCad: { amount: 163.75, fx: fx(1.3646, '2026-02-02') } })
+      ]
+    };
+    const { data: migrated, changed } = MIGRATIONS['unspread-dates'].apply(data, { fxCache: null });
+    expect(changed).toEqual(['ebay: 2 points 2026-02-01..2026-02-02 → 2026-02-02']);
+    expect(migrated.series[0]).toMatchObject({ date: '2026-02-02', priceCad: { amount: 136.46, fx: fx(1.3646, '2026-02-02') } });
+  });
+});
+
+describe('series file versions', () => {
+  test('point ids are stable and follow the listing when there is one', () => {
+    expect(pointId(point('2026-02-01', 100))).toBe(pointId(point('2026-02-01', 100, { url: 'https://elsewhere.test' })));
+    expect(pointId(point('2026-02-01', 100))).not.toBe(pointId(point('2026-02-01', 101)));
+    const listing = { id: '42', title: 'Veilance Bucket Hat' };
+    expect(pointId(point('2026-02-01', 100, { listing }))).toBe(pointId(point('2026-02-03', 90, { listing })));
+    expect(pointId(point('2026-02-01', 100))).toMatch(/^[0-9a-f]{12}$/);
+  });
+
+  test('upgrades version 1 files step by step and leaves current ones alone', () => {
+    const v1 = { product: { id: 'vbh' }, sources: [], series: [point('2026-02-01', 100)] };
+    const { data, changed } = upgradeSeries(v1);
+    expect(Object.keys(data)[0]).toBe('version');
+    expect(data.version).toBe(SERIES_VERSION);
+    expect(data.series[0].id).toBe(pointId(v1.series[0]));
+    expect(changed).toEqual(['version 1 → 2: give every point a stable id']);
+    expect(upgradeSeries(data)).toEqual({ data, changed: [] });
+    expect(() => upgradeSeries({ ...data, version: SERIES_VERSION + 1 })).toThrow('newer than this updater');
+  });
+
+  test('compaction keeps one point per id, the latest in the first one’s place', () => {
+    const a = { id: 'a', ...point('2026-02-02', 100) };
+    const b = { id: 'b', ...point('2026-02-01', 90) };
+    const a2 = { ...a, url: 'https://www.ebay.com/itm/1' };
+    expect(compactPoints([a, b, a2])).toEqual({ points: [b, a2], merged: 1 });
+  });
+
+  test('compact and prune migrations', () => {
+    const data = { version: 1, sources: [], series: [point('2026-02-02', 100), point('2026-01-01', 90), point('2026-02-02', 100)] };
+    const compacted = MIGRATIONS.compact.apply(data);
+    expect(compacted.changed).toEqual(['version 1 → 2: give every point a stable id', 'merged 1 duplicate point(s)']);
+    expect(compacted.data.series.map((p) => p.date)).toEqual(['2026-01-01', '2026-02-02']);
+    expect(MIGRATIONS.compact.apply(compacted.data).changed).toEqual([]);
+
+    const withRetail = { ...compacted.data, series: [...compacted.data.series, point('2025-12-01', 225, { sourceId: 'arcteryx-ca' })] };
+    const pruned = MIGRATIONS.prune.apply(withRetail, { options: { before: '2026-02-01', source: 'ebay' } });
+    expect(pruned.changed).toEqual(['dropped 1 point(s)']);
+    expect(pruned.data.series.map((p) => `${p.sourceId} ${p.date}`)).toEqual(['ebay 2026-02-02', 'arcteryx-ca 2025-12-01']);
+    expect(() => MIGRATIONS.prune.apply(withRetail, { options: {} })).toThrow('prune needs');
+  });
+});
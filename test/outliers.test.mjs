@@ -0,0 +1,116 @@
+import { describe, expect, test } from 'vitest';
+
+import { exclusionKey, findBelowRetail, findOutliers, reviewPoints, robustZ } from '../scripts/lib/outliers.mjs';
+
+const sale = (sourceId, date, cad, id) => ({
+  date,
+  kind: 'sale',
+  price: { amount: cad, currency: 'CAD' },
+  priceCad: { amount: cad },
+  sourceId,
+  url: `https://${sourceId}.test/${id ?? date}`,
+  ...(id ? { listing: { id, title: 'Veilance Bucket Hat Carmine' } } : {})
+});
+
+// a typical month of eBay sales plus a $50 "sale" that is really a shipping charge
+const ebay = [
+  sale('ebay', '2026-01-02', 160, '1'),
+  sale('ebay', '2026-01-05', 175, '2'),
+  sale('ebay', '2026-01-09', 182, '3'),
+  sale('ebay', '2026-01-12', 168, '4'),
+  sale('ebay', '2026-01-15', 50, '5'),
+  sale('ebay', '2026-01-20', 190, '6'),
+  sale('ebay', '2026-01-24', 171, '7')
+];
+
+describe('robustZ', () => {
+  test('scores distance from the median in MAD units', () => {
+    expect(robustZ(3, [1, 2, 3, 4, 5])).toBe(0);
+    expect(robustZ(5, [1, 2, 3, 4, 5])).toBeCloseTo(1.349, 3);
+  });
+
+  test('falls back to the mean absolute deviation when most values are identical', () => {
+    expect(robustZ(100, [10, 10, 10, 10, 100])).toBeCloseTo(3.99, 2);
+    expect(robustZ(10, [10, 10, 10])).toBeNull();
+  });
+});
+
+describe('findOutliers', () => {
+  test('flags a price far from nearby points of the same source', () => {
+    const flagged = findOutliers(ebay);
+    expect([...flagged.keys()].map((p) => p.listing.id)).toEqual(['5']);
+    expect(flagged.get(ebay[4])).toEqual({ z: -7.42, median: 171 });
+  });
+
+  test('only compares within a source and within the window', () => {
+    const grailed = [sale('grailed', '2026-01-10', 60, 'g1')];
+    const later = sale('ebay', '2026-09-01', 50, '99');
+    expect(findOutliers([...ebay.filter((p) => p !== ebay[4]), ...grailed, later]).size).toBe(0);
+  });
+});
+
+const sources = [
+  { id: 'arcteryx-ca', role: 'retail' },
+  { id: 'ebay', role: 'resale' },
+  { id: 'grailed', role: 'resale' }
+];
+
+describe('findBelowRetail', () => {
+  const retail = [sale('arcteryx-ca', '2026-01-01', 225), sale('arcteryx-ca', '2026-01-20', 225)];
+
+  test('flags a resale price under the floor however few points the source has', () => {
+    const sparse = [ebay[0], ebay[4], ebay[5]];
+    expect(findOutliers(sparse).size).toBe(0);
+    const flagged = findBelowRetail([...retail, ...sparse], sources);
+    expect([...flagged.keys()]).toEqual([ebay[4]]);
+    expect(flagged.get(ebay[4])).toEqual({ median: 225, floor: 78.75 });
+  });
+
+  test('needs retail prices to compare with', () => {
+    expect(findBelowRetail(ebay, sources).size).toBe(0);
+  });
+});
+
+describe('reviewPoints', () => {
+  const options = { productId: 'vbh-carmine', sources };
+
+  test('marks every point and applies manual decisions over automatic flags', () => {
+    const exclusions = [
+      { key: exclusionKey('vbh-carmine', ebay[4]), status: 'accepted', reason: 'checked: auction for a worn hat' },
+      { key: exclusionKey('vbh-carmine', ebay[6]), status: 'rejected', reason: 'different item' }
+    ];
+    const reviewed = reviewPoints(ebay, exclusions, options);
+    expect(reviewed.map((p) => p.status)).toEqual([
+      'accepted',
+      'accepted',
+      'accepted',
+      'accepted',
+      'accepted',
+      'accepted',
+      'rejected'
+    ]);
+    expect(reviewed[4].reason).toBe('checked: auction for a worn hat');
+    expect(reviewed[4].outlier).toBeUndefined();
+  });
+
+  test('replaces an earlier review', () => {
+    const [first] = reviewPoints(ebay, [{ key: exclusionKey('vbh-carmine', ebay[0]), status: 'rejected', reason: 'typo' }], options);
+    const [again] = reviewPoints([first], [], options);
+    expect(again).toEqual({ ...ebay[0], status: 'accepted' });
+  });
+
+  test("applies a decision only to its own product's series", () => {
+    const exclusions = [{ key: exclusionKey('vbh-black', ebay[6]), status: 'rejected', reason: 'black hat' }];
+    expect(reviewPoints(ebay, exclusions, options)[6].status).toBe('accepted');
+    expect(reviewPoints(ebay, exclusions, { ...options, productId: 'vbh-black' })[6].status).toBe('rejected');
+  });
+
+  test('never flags a retail markdown', () => {
+    const retail = Array.from({ length: 20 }, (_, i) => sale('arcteryx-ca', `2026-01-${String(i + 1).padStart(2, '0')}`, 225));
+    const markdown = sale('arcteryx-ca', '2026-01-21', 157.5);
+    // scored like a resale source, the markdown would be far out
+    expect(findOutliers([...retail, markdown]).get(markdown)?.z).toBe(-16.76);
+    const reviewed = reviewPoints([...retail, markdown], [], options);
+    expect(reviewed.every((p) => p.status === 'accepted')).toBe(true);
+  });
+});
@@ -0,0 +1,77 @@
+/*
+  Offline parser regression suite.
+
+  Every file in test/fixtures/<sourceId>/ named `<case>.html` or `<case>.json` is fed to that
+  source adapter's `parse`, and the result is compared with `<case>.expected.json`. Adapters that
+  read stock status also have `parseAvailability` compared with `<case>.availability.expected.json`.
+  After an intentional parser change, regenerate expectations with:
+
+    UPDATE_FIXTURES=1 npm test
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, expect, test } from 'vitest';
+
+import { getAdapter } from '../scripts/sources/index.mjs';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const CTX_DATE = '2026-01-15';
+// listing-based parsers only keep listings whose title matches the product
+const CTX_PRODUCT = {
+  id: 'veilance-bucket-hat-carmine',
+  name: 'Veilance Bucket Hat',
+  color: 'Carmine',
+  titleMatch: ['veilance', 'bucket', 'carmine']
+};
+const UPDATE = process.env.UPDATE_FIXTURES === '1';
+
+function fixtureCases(sourceId) {
+  const dir = path.join(FIXTURES_DIR, sourceId);
+  return fs
+    .readdirSync(dir)
+    .filter((f) => /\.(html|json)$/.test(f) && !f.endsWith('.expected.json'))
+    .sort()
+    .map((file) => ({
+      name: file.replace(/\.(html|json)$/, ''),
+      inputPath: path.join(dir, file),
+      expectedPath: path.join(dir, file.replace(/\.(html|json)$/, '.expected.json')),
+      availabilityPath: path.join(dir, file.replace(/\.(html|json)$/, '.availability.expected.json'))
+    }));
+}
+
+function expectMatchesFixture(actual, expectedPath) {
+  if (UPDATE) {
+    fs.writeFileSync(expectedPath, JSON.stringify(actual, null, 2) + '\n', 'utf8');
+    return;
+  }
+  if (!fs.existsSync(expectedPath)) {
+    throw new Error(`Missing ${path.relative(FIXTURES_DIR, expectedPath)}; run with UPDATE_FIXTURES=1`);
+  }
+  expect(actual).toEqual(JSON.parse(fs.readFileSync(expectedPath, 'utf8')));
+}
+
+for (const sourceId of fs.readdirSync(FIXTURES_DIR).sort()) {
+  describe(sourceId, () => {
+    const adapter = getAdapter(sourceId);
+
+    test('has a registered adapter', () => {
+      expect(adapter, `no adapter registered for fixture directory "${sourceId}"`).toBeTruthy();
+    });
+
+    for (const { name, inputPath, expectedPath, availabilityPath } of fixtureCases(sourceId)) {
+      const ctx = { date: CTX_DATE, url: `https://fixtures.invalid/${sourceId}/${name}`, product: CTX_PRODUCT };
+
+      test(name, () => {
+        expectMatchesFixture(adapter.parse(fs.readFileSync(inputPath, 'utf8'), ctx), expectedPath);
+      });
+
+      if (adapter?.parseAvailability) {
+        test(`${name} (availability)`, () => {
+          expectMatchesFixture(adapter.parseAvailability(fs.readFileSync(inputPath, 'utf8'), ctx), availabilityPath);
+        });
+      }
+    }
+  });
+}
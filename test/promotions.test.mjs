@@ -0,0 +1,66 @@
+import { describe, expect, test } from 'vitest';
+
+import { findPromotions } from '../scripts/lib/promotions.mjs';
+
+const point = (date, kind, amount, extra = {}) => ({
+  date,
+  kind,
+  price: { amount, currency: 'CAD' },
+  sourceId: 'arcteryx-ca',
+  url: 'https://arcteryx.test/',
+  status: 'accepted',
+  ...extra
+});
+
+describe('findPromotions', () => {
+  test('runs from the first discounted day to the first day back at full price', () => {
+    const points = [
+      point('2026-01-01', 'sale', 225),
+      point('2026-01-05', 'sale', 180),
+      point('2026-01-05', 'msrp', 225),
+      // the page stopped showing the list price, but the price is still marked down
+      point('2026-01-08', 'sale', 157.5),
+      point('2026-01-12', 'sale', 157.5),
+      point('2026-01-12', 'msrp', 225),
+      point('2026-01-20', 'sale', 225)
+    ];
+    expect(findPromotions(points)).toEqual([
+      {
+        sourceId: 'arcteryx-ca',
+        start: '2026-01-05',
+        end: '2026-01-20',
+        list: { amount: 225, currency: 'CAD' },
+        sale: { amount: 157.5, currency: 'CAD' },
+        discount: 30
+      }
+    ]);
+  });
+
+  test('leaves an ongoing promotion open and ignores a price cut without a list price', () => {
+    const points = [
+      point('2025-06-01', 'sale', 225),
+      // a lower price with no list price shown is a price change, not a promotion
+      point('2025-07-01', 'sale', 200),
+      point('2026-01-05', 'sale', 150),
+      point('2026-01-05', 'msrp', 200),
+      point('2026-01-06', 'sale', 100, { status: 'rejected' })
+    ];
+    const [promotion] = findPromotions(points);
+    expect(promotion).toMatchObject({ start: '2026-01-05', discount: 25 });
+    expect(promotion).not.toHaveProperty('end');
+    expect(findPromotions(points)).toHaveLength(1);
+  });
+
+  test('keeps sources apart', () => {
+    const points = [
+      point('2026-01-05', 'sale', 180),
+      point('2026-01-05', 'msrp', 225),
+      point('2026-01-06', 'sale', 160, { sourceId: 'arcteryx-us', price: { amount: 160, currency: 'USD' } }),
+      point('2026-01-06', 'msrp', 200, { sourceId: 'arcteryx-us', price: { amount: 200, currency: 'USD' } })
+    ];
+    expect(findPromotions(points).map((p) => [p.sourceId, p.discount, p.list.currency])).toEqual([
+      ['arcteryx-ca', 20, 'CAD'],
+      ['arcteryx-us', 20, 'USD']
+    ]);
+  });
+});
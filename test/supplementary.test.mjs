@@ -0,0 +1,40 @@
+import { describe, expect, test } from 'vitest';
+
+import { mergeScrape } from '../scripts/lib/supplementary.mjs';
+
+const listing = (id, date, extra = {}) => ({
+  productId: 'vbh-carmine',
+  date,
+  kind: 'sale',
+  price: { amount: 150, currency: 'USD' },
+  sourceId: 'ebay',
+  url: `https://www.ebay.com/itm/${id}`,
+  listing: { id, title: 'Veilance Bucket Hat Carmine' },
+  provenance: { snapshot: 'live1', parser: 'ebay@1' },
+  ...extra
+});
+
+const options = { defaultProductId: 'vbh-carmine', replaceOnRefresh: new Set(['ebay']), waybackSnapshots: new Set(['old-wayback']) };
+
+describe('mergeScrape', () => {
+  test('a live sold search replaces earlier live results but keeps backfilled and manual points', () => {
+    const existing = [
+      listing('100000001', '2026-01-02'),
+      listing('100000002', '2025-06-01', { wayback: { timestamp: '20250601120000' }, provenance: { snapshot: 'wb1', parser: 'ebay@1' } }),
+      // backfilled before points recorded their snapshot timestamp
+      listing('100000003', '2025-05-01', { provenance: { snapshot: 'old-wayback', parser: 'ebay@1' } }),
+      listing('100000004', '2025-04-01', { provenance: undefined }),
+      listing('100000005', '2026-01-02', { productId: 'vbh-black' })
+    ];
+    const found = [listing('100000006', '2026-01-10', { provenance: { snapshot: 'live2', parser: 'ebay@1' } })];
+    const { merged, added, replaced } = mergeScrape(existing, found, options);
+    expect(merged.map((p) => p.listing.id)).toEqual(['100000002', '100000003', '100000004', '100000005', '100000006']);
+    expect({ added, replaced }).toEqual({ added: 1, replaced: 1 });
+  });
+
+  test('backfilled points alone replace nothing, and a sale seen again is added once', () => {
+    const existing = [listing('100000001', '2026-01-02')];
+    const backfill = listing('100000001', '2026-01-02', { wayback: { timestamp: '20260105000000' }, provenance: { snapshot: 'wb2', parser: 'ebay@1' } });
+    expect(mergeScrape(existing, [backfill], options)).toEqual({ merged: existing, added: 0, replaced: 0 });
+  });
+});
@@ -0,0 +1,110 @@
+import fs from 'node:fs/promises';
+
+import { describe, expect, test } from 'vitest';
+
+import { checkSeries, checkSupplementaryPoint, checkSupplementaryPoints, findDuplicatePoints } from '../scripts/lib/validate.mjs';
+import { SOURCE_ADAPTERS } from '../scripts/sources/index.mjs';
+
+const context = { products: [{ id: 'vbh-carmine' }, { id: 'vbh-black' }], sourceIds: ['arcteryx-ca', 'ebay', 'grailed'] };
+
+const point = (extra = {}) => ({
+  date: '2026-02-02',
+  kind: 'sale',
+  price: { amount: 120, currency: 'USD' },
+  sourceId: 'grailed',
+  url: 'https://www.grailed.com/listings/1',
+  ...extra
+});
+
+describe('supplementary points', () => {
+  test('accepts a complete point', () => {
+    expect(checkSupplementaryPoint(point({ productId: 'vbh-black', listing: { id: '1', title: 'Veilance bucket hat' } }), context)).toEqual([]);
+  });
+
+  test('gives a reason for every problem', () => {
+    const bad = { date: '2/2/2026', kind: 'sold', price: { amount: 0, currency: 'usd' }, url: 'www.grailed.com', note: 'x' };
+    expect(checkSupplementaryPoint(bad, context)).toEqual([
+      'sourceId is missing',
+      'unknown field note',
+      'date must be a date (YYYY-MM-DD), got "2/2/2026"',
+      'kind must be one of sale, msrp',
+      'price.amount must be > 0',
+      'price.currency must be a 3-letter currency code in capitals (e.g. USD), got "usd"',
+      'url must be an http(s) URL, got "www.grailed.com"'
+    ]);
+    expect(checkSupplementaryPoint(point({ listing: { id: '1' } }), context)).toEqual(['listing.title is missing']);
+  });
+
+  test('rejects unknown products and sources and future dates', () => {
+    expect(checkSupplementaryPoint(point({ productId: 'vbh-blue', sourceId: 'vinted', date: '2999-01-01' }), context)).toEqual([
+      'unknown product "vbh-blue" (not in tracked-products.json)',
+      'unknown source "vinted" (no adapter in scripts/sources/)',
+      'date 2999-01-01 is in the future'
+    ]);
+  });
+
+  test('reports entries by index, including ones that are not objects', () => {
+    expect(checkSupplementaryPoints([point(), null, point({ kind: 'rent' })], context)).toEqual([
+      { index: 1, reasons: ['entry is not an object'] },
+      { index: 2, reasons: ['kind must be one of sale, msrp'] }
+    ]);
+  });
+
+  test('finds duplicates per product, by listing id when known', () => {
+    const points = [
+      point(),
+      point({ productId: 'vbh-carmine' }),
+      point({ productId: 'vbh-black' }),
+      point({ listing: { id: '7', title: 'a' } }),
+      point({ date: '2026-02-05', price: { amount: 99, currency: 'USD' }, listing: { id: '7', title: 'a (relisted)' } })
+    ];
+    expect(findDuplicatePoints(points, 'vbh-carmine')).toEqual([
+      { index: 1, of: 0 },
+      { index: 4, of: 3 }
+    ]);
+  });
+
+  test('the resale parsers only produce valid points', async () => {
+    const products = [{ id: 'veilance-bucket-hat-carmine' }];
+    const sourceIds = SOURCE_ADAPTERS.map((a) => a.id);
+    for (const [sourceId, fixture] of [
+      ['ebay', 'ebay/sold-search.expected.json'],
+      ['grailed', 'grailed/next-data.expected.json']
+    ]) {
+      const found = JSON.parse(await fs.readFile(new URL(`./fixtures/${fixture}`, import.meta.url), 'utf8'));
+      expect(found.length).toBeGreaterThan(0);
+      // fetch-marketplace stores the parser's `match` as provenance and fills in the search URL
+      for (const { match: _match, ...obs } of found) {
+        expect(checkSupplementaryPoint({ url: 'https://example.test/search', ...obs, sourceId }, { products, sourceIds })).toEqual([]);
+      }
+    }
+  });
+});
+
+describe('series files', () => {
+  const series = (points) => ({
+    version: 2,
+    product: { id: 'vbh-carmine', name: 'Veilance Bucket Hat', brand: "Arc'teryx", line: 'Veilance', color: 'Carmine', currencyDisplay: 'CAD', notes: [] },
+    sources: [{ id: 'grailed', name: 'Grailed', role: 'resale', url: 'https://www.grailed.com', currency: 'USD', color: '#000' }],
+    series: points.map((p, i) => ({ id: `00000000000${i}`, ...p }))
+  });
+  const converted = { amount: 163.75, fx: { pair: 'USD/CAD', rate: 1.3646, source: 'frankfurter.app', date: '2026-02-02' } };
+
+  test('accept the generated shape', () => {
+    expect(checkSeries(series([point({ priceCad: converted, status: 'accepted' })]))).toEqual([]);
+  });
+
+  test('require a format version and point ids', () => {
+    const { version: _version, ...unversioned } = series([]);
+    expect(checkSeries(unversioned)).toEqual(['version is missing']);
+    expect(checkSeries(series([point({ id: 'p1', priceCad: converted })]))).toEqual([
+      'series[0].id must be a 12-character hex point id (see scripts/lib/points.mjs), got "p1"'
+    ]);
+  });
+
+  test('require a CAD price or the reason it is missing', () => {
+    expect(checkSeries(series([point({ priceCad: converted, status: 'accepted' }), point({ status: 'accepted' })]))).toEqual([
+      'series[1].fxStatus is missing'
+    ]);
+  });
+});
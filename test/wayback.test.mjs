@@ -0,0 +1,108 @@
+import { describe, expect, test } from 'vitest';
+
+import { HttpError } from '../scripts/lib/http.mjs';
+import {
+  MAX_ATTEMPTS,
+  createWaybackClient,
+  markFailed,
+  markProcessed,
+  pendingSnapshots,
+  sampleEvenly,
+  waybackOptionsFromArgs
+} from '../scripts/lib/wayback.mjs';
+
+/** A client on a fake clock: sleeping advances time instead of waiting. */
+function fakeClient(options) {
+  let clock = 0;
+  const sleeps = [];
+  const client = createWaybackClient({
+    ...options,
+    now: () => clock,
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      clock += ms;
+    }
+  });
+  return { client, sleeps };
+}
+
+const snap = (timestamp) => ({ timestamp, date: `${timestamp.slice(0, 4)}-${timestamp.slice(4, 6)}-${timestamp.slice(6, 8)}` });
+
+describe('wayback client', () => {
+  test('spaces requests out to the configured rate', async () => {
+    const { client, sleeps } = fakeClient({ rate: 0.5 });
+    for (let i = 0; i < 3; i++) await client.run(async () => 'ok');
+    expect(sleeps).toEqual([2000, 2000]);
+  });
+
+  test('backs off exponentially on 429/5xx, honouring a longer Retry-After', async () => {
+    const { client, sleeps } = fakeClient({ rate: 1000, backoffMs: 1000 });
+    const errors = [new HttpError(503, 'x'), new HttpError(429, 'x', 10), new HttpError(502, 'x')];
+    const result = await client.run(async () => {
+      if (errors.length) throw errors.shift();
+      return 'page';
+    });
+    expect(result).toBe('page');
+    expect(sleeps.filter((ms) => ms >= 1000)).toEqual([1000, 10000, 4000]);
+  });
+
+  test('gives up after the retries, and at once on other HTTP errors', async () => {
+    const { client } = fakeClient({ rate: 1000, retries: 2, backoffMs: 1 });
+    let calls = 0;
+    await expect(client.run(async () => (calls++, Promise.reject(new HttpError(500, 'x'))))).rejects.toThrow('HTTP 500');
+    expect(calls).toBe(3);
+    calls = 0;
+    await expect(client.run(async () => (calls++, Promise.reject(new HttpError(404, 'x'))))).rejects.toThrow('HTTP 404');
+    expect(calls).toBe(1);
+  });
+
+  test('lists CDX snapshots oldest first, in the date range, one per day when asked', async () => {
+    let requested;
+    const { client } = fakeClient({
+      rate: 1000,
+      request: async (url) => {
+        requested = new URL(url);
+        return JSON.stringify([['timestamp'], ['20250302090000'], ['20250301080000'], ['20250301200000']]);
+      }
+    });
+    const snapshots = await client.snapshots('https://shop.test/hat', { collapse: 'timestamp', from: '2025-03-01', perDay: true });
+    expect(snapshots).toEqual([snap('20250301080000'), snap('20250302090000')]);
+    expect(requested.searchParams.get('from')).toBe('20250301');
+    expect(requested.searchParams.get('collapse')).toBe('timestamp');
+  });
+});
+
+describe('backfill progress', () => {
+  const snapshots = ['20250101000000', '20250201000000', '20250301000000', '20250401000000', '20250501000000'].map(snap);
+
+  test('skips processed snapshots and ones that failed too often', () => {
+    const entry = { processed: [], failed: {} };
+    markProcessed(entry, '20250101000000');
+    markFailed(entry, '20250201000000', new Error('HTTP 503'));
+    for (let i = 0; i < MAX_ATTEMPTS; i++) markFailed(entry, '20250301000000', new Error('HTTP 503'));
+
+    expect(entry.failed['20250201000000']).toMatchObject({ attempts: 1, error: 'HTTP 503' });
+    expect(pendingSnapshots(snapshots, entry).map((s) => s.date)).toEqual(['2025-02-01', '2025-04-01', '2025-05-01']);
+    expect(pendingSnapshots(snapshots, entry, { retryFailed: true })).toHaveLength(4);
+
+    markProcessed(entry, '20250201000000');
+    expect(entry.failed['20250201000000']).toBeUndefined();
+  });
+
+  test('limits to the date range and samples evenly down to max', () => {
+    const entry = { processed: [], failed: {} };
+    expect(pendingSnapshots(snapshots, entry, { from: '2025-02-01', to: '2025-04-30' }).map((s) => s.date)).toEqual([
+      '2025-02-01',
+      '2025-03-01',
+      '2025-04-01'
+    ]);
+    expect(pendingSnapshots(snapshots, entry, { max: 3 }).map((s) => s.date)).toEqual(['2025-01-01', '2025-03-01', '2025-05-01']);
+    expect(sampleEvenly([1, 2, 3], 1)).toEqual([1]);
+  });
+
+  test('reads the command-line options', () => {
+    const argv = ['node', 'script', '--wayback', '--from', '2025-01-01', '--max', '20', '--rate', '0.5', '--retry-failed'];
+    expect(waybackOptionsFromArgs(argv)).toEqual({ from: '2025-01-01', to: undefined, max: 20, rate: 0.5, retryFailed: true });
+    expect(() => waybackOptionsFromArgs(['--from', 'last-week'])).toThrow('--from expects a date');
+  });
+});
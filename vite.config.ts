@@ -1,9 +1,79 @@
-import { defineConfig } from 'vite'
+import fs from 'node:fs'
+import path from 'node:path'
+import { defineConfig, type Plugin } from 'vite'
 import react from '@vitejs/plugin-react'
 
+import { apiFiles, type ExportDataset } from './src/lib/exportData'
+import { atomFeed, feedEntries, jsonFeed } from './src/lib/feed'
+
+const SERIES_DIR = path.resolve('src/data/series')
+const FEED_TITLE = 'VBH Tracker: price changes and resale listings'
+
+/** Series files in the order of tracked-products.json, as the app shows them. */
+function loadDatasets(): ExportDataset[] {
+  const order: string[] = JSON.parse(fs.readFileSync('tracked-products.json', 'utf8')).products.map((p: { id: string }) => p.id)
+  return fs
+    .readdirSync(SERIES_DIR)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => JSON.parse(fs.readFileSync(path.join(SERIES_DIR, f), 'utf8')) as ExportDataset)
+    .sort((a, b) => order.indexOf(a.product.id) - order.indexOf(b.product.id))
+}
+
+/**
+ * Files generated from the series, keyed by path under the site root: the static API
+ * (src/lib/exportData.ts) and the feeds (src/lib/feed.ts). SITE_URL, the deployed app's absolute
+ * URL, gives the feeds their self and home links.
+ */
+function dataFiles(): Record<string, string> {
+  const datasets = loadDatasets()
+  const entries = feedEntries(datasets)
+  const info = { title: FEED_TITLE, siteUrl: process.env.SITE_URL || undefined }
+  return { ...apiFiles(datasets, new Date()), 'feed.atom': atomFeed(entries, info), 'feed.json': jsonFeed(entries, info) }
+}
+
+const CONTENT_TYPES: Record<string, string> = {
+  '.csv': 'text/csv; charset=utf-8',
+  '.atom': 'application/atom+xml; charset=utf-8',
+  '.json': 'application/json'
+}
+
+// emitted with the build, served from the series files in dev
+function dataFilesPlugin(): Plugin {
+  let base = '/'
+  return {
+    name: 'vbh-data-files',
+    configResolved(config) {
+      base = config.base
+    },
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const url = req.url?.split('?')[0]
+        if (!url?.startsWith(base)) return next()
+        const file = url.slice(base.length)
+        const body = file.startsWith('api/') || file.startsWith('feed.') ? dataFiles()[file] : undefined
+        if (body == null) return next()
+        res.setHeader('Content-Type', CONTENT_TYPES[path.extname(file)] ?? 'text/plain')
+        res.end(body)
+      })
+    },
+    // feed autodiscovery
+    transformIndexHtml() {
+      return [
+        { tag: 'link', attrs: { rel: 'alternate', type: 'application/atom+xml', title: FEED_TITLE, href: `${base}feed.atom` }, injectTo: 'head' },
+        { tag: 'link', attrs: { rel: 'alternate', type: 'application/feed+json', title: FEED_TITLE, href: `${base}feed.json` }, injectTo: 'head' }
+      ]
+    },
+    generateBundle() {
+      for (const [fileName, source] of Object.entries(dataFiles())) {
+        this.emitFile({ type: 'asset', fileName, source })
+      }
+    }
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
   // GitHub Pages deploy under /vbh-tracker/
   base: '/vbh-tracker/',
-  plugins: [react()],
+  plugins: [react(), dataFilesPlugin()],
 })